@@ -5,6 +5,9 @@ const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
 const Logger = require('../src/utils/Logger');
+const createSecurity = require('./middleware/security');
+const createAuth = require('./middleware/auth');
+const createAudit = require('./middleware/audit');
 
 class ApiServer {
     constructor(serverManager) {
@@ -12,11 +15,15 @@ class ApiServer {
         this.logger = new Logger('ApiServer');
         this.app = express();
         this.httpServer = http.createServer(this.app);
+        this.security = createSecurity(serverManager);
+        this.auth = createAuth(serverManager, this.security);
+        this.audit = createAudit(serverManager);
         this.io = new Server(this.httpServer, {
             cors: {
-                origin: "*",
+                origin: this.security.socketCorsOrigin,
                 methods: ["GET", "POST"]
-            }
+            },
+            allowRequest: this.security.socketAllowRequest
         });
         
         this.setupMiddleware();
@@ -26,16 +33,17 @@ class ApiServer {
     }
     
     setupMiddleware() {
+        // Security: IP allowlist and rate limiting apply to everything, including the dashboard
+        this.app.use(this.security.ipFilter);
+        this.app.use(this.security.rateLimiter);
+        this.app.use(this.security.cors);
+        
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
         this.app.use(express.static(path.join(process.cwd(), 'public')));
         
-        // CORS
-        this.app.use((req, res, next) => {
-            res.header('Access-Control-Allow-Origin', '*');
-            res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
-            next();
-        });
+        // Every REST route requires the API key or a logged-in user
+        this.app.use('/api', this.auth.authenticate);
         
         // Request logging
         this.app.use((req, res, next) => {
@@ -44,20 +52,49 @@ class ApiServer {
         });
     }
     
+    // Scrapers authenticate like API clients unless monitoring.prometheus.public opts out
+    metricsAuth() {
+        const viewer = this.auth.requireRole('viewer');
+        
+        return (req, res, next) => {
+            if (this.manager.config.get('monitoring.prometheus.public', false) === true) {
+                return next();
+            }
+            this.auth.authenticate(req, res, () => viewer(req, res, next));
+        };
+    }
+    
     setupRoutes() {
+        const { requireRole } = this.auth;
+        const audit = this.audit.rest;
+        
+        // Login and session endpoints
+        this.app.use('/api/auth', require('./routes/auth')(this.manager, this.auth));
+        
         // Health check
         this.app.get('/health', (req, res) => {
             res.json({ status: 'ok', timestamp: Date.now() });
         });
         
+        // Prometheus scrape endpoint
+        this.app.get('/metrics', this.metricsAuth(), (req, res) => {
+            if (!this.manager.config.get('monitoring.prometheus.enabled', true)) {
+                return res.status(404).send('Metrics disabled\n');
+            }
+            
+            const exporter = this.manager.metricsExporter || this.manager.metrics;
+            res.set('Content-Type', exporter.contentType);
+            res.send(exporter.collect());
+        });
+        
         // Status endpoint
-        this.app.get('/api/status', (req, res) => {
+        this.app.get('/api/status', requireRole('viewer'), (req, res) => {
             const status = this.getManagerStatus();
             res.json(status);
         });
         
         // Static servers
-        this.app.post('/api/static/:name/start', async (req, res) => {
+        this.app.post('/api/static/:name/start', audit('static.start'), requireRole('operator'), async (req, res) => {
             try {
                 const server = await this.manager.controller.startStaticServer(req.params.name);
                 res.json({ success: true, server: this.manager.controller.getServerInfo(server.id) });
@@ -66,28 +103,44 @@ class ApiServer {
             }
         });
         
-        this.app.post('/api/static/:name/stop', async (req, res) => {
+        // Stops and restarts drain players to the fallback servers first; { "drain": false } stops at once
+        this.app.post('/api/static/:name/stop', audit('static.stop'), requireRole('operator'), async (req, res) => {
             try {
-                await this.manager.controller.stopStaticServer(req.params.name);
-                res.json({ success: true });
+                const drain = await this.manager.serverDrainer.stopStaticServer(req.params.name, this.drainOptions(req));
+                res.json({ success: true, drain });
             } catch (error) {
                 res.status(400).json({ success: false, error: error.message });
             }
         });
         
-        this.app.post('/api/static/:name/restart', async (req, res) => {
+        this.app.post('/api/static/:name/restart', audit('static.restart'), requireRole('operator'), async (req, res) => {
             try {
-                await this.manager.controller.stopStaticServer(req.params.name);
+                const drain = await this.manager.serverDrainer.stopStaticServer(req.params.name, this.drainOptions(req));
                 await new Promise(resolve => setTimeout(resolve, 2000));
                 const server = await this.manager.controller.startStaticServer(req.params.name);
-                res.json({ success: true, server: this.manager.controller.getServerInfo(server.id) });
+                res.json({ success: true, drain, server: this.manager.controller.getServerInfo(server.id) });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+        
+        // Restore a static server from a backup (latest if no backupId); progress is sent as backup:restoreProgress
+        this.app.post('/api/static/:name/restore', audit('static.restore'), requireRole('admin'), async (req, res) => {
+            try {
+                const { backupId, start } = req.body || {};
+                const result = await this.manager.backupManager.restoreStaticServer(req.params.name, backupId, { start });
+                res.json({
+                    success: true,
+                    backup: result.backup,
+                    server: result.started ? this.manager.controller.getServerInfo(req.params.name) : null
+                });
             } catch (error) {
                 res.status(400).json({ success: false, error: error.message });
             }
         });
         
         // Dynamic servers
-        this.app.post('/api/dynamic/start', async (req, res) => {
+        this.app.post('/api/dynamic/start', audit('dynamic.start'), requireRole('operator'), async (req, res) => {
             try {
                 const { gameType, count = 1 } = req.body;
                 const servers = [];
@@ -103,22 +156,22 @@ class ApiServer {
             }
         });
         
-        this.app.post('/api/dynamic/:id/stop', async (req, res) => {
+        this.app.post('/api/dynamic/:id/stop', audit('dynamic.stop'), requireRole('operator'), async (req, res) => {
             try {
-                await this.manager.controller.stopDynamicServer(req.params.id);
-                res.json({ success: true });
+                const drain = await this.manager.serverDrainer.stopDynamicServer(req.params.id, this.drainOptions(req));
+                res.json({ success: true, drain });
             } catch (error) {
                 res.status(400).json({ success: false, error: error.message });
             }
         });
         
         // Console endpoints
-        this.app.get('/api/console/:id', (req, res) => {
+        this.app.get('/api/console/:id', requireRole('viewer'), (req, res) => {
             const console = this.manager.controller.getConsole(req.params.id);
             res.json({ console });
         });
         
-        this.app.post('/api/console/:id/command', async (req, res) => {
+        this.app.post('/api/console/:id/command', audit('console.command'), requireRole('operator'), async (req, res) => {
             try {
                 const { command } = req.body;
                 await this.manager.controller.sendCommand(req.params.id, command);
@@ -131,13 +184,50 @@ class ApiServer {
         // UPDATED: Pool management routes
         this.setupPoolRoutes();
         
-        // Config endpoints
-        this.app.get('/api/config', (req, res) => {
+        // Audit trail
+        this.app.use('/api/audit', requireRole('admin'), require('./routes/audit')(this.manager));
+        
+        // Backups
+        this.app.use('/api/backups', require('./routes/backups')(this.manager, { requireRole, audit }));
+        
+        // Scheduled restarts, commands, backups and broadcasts
+        this.app.use('/api/schedules', require('./routes/schedules')(this.manager, { requireRole, audit }));
+        
+        // Crash history
+        this.app.use('/api/servers/:id/crashes', requireRole('viewer'), require('./routes/crashes')(this.manager));
+        
+        // Metrics history
+        this.app.use('/api/metrics', requireRole('viewer'), require('./routes/metrics')(this.manager));
+        
+        // Restart policy
+        this.app.use('/api/restarts', require('./routes/restarts')(this.manager, { requireRole, audit }));
+        
+        // Game queues and matchmaking
+        this.app.use('/api/queues', require('./routes/queues')(this.manager, { requireRole, audit }));
+        this.app.use('/api/parties', require('./routes/parties')(this.manager, { requireRole, audit }));
+        
+        // Player directory, transfers and sessions
+        this.app.use('/api/players', require('./routes/players')(this.manager, { requireRole, audit }));
+        
+        // Proxy instances
+        this.app.use('/api/proxies', require('./routes/proxies')(this.manager, { requireRole, audit }));
+        
+        // Proxy watchdog
+        this.app.use('/api/proxy/watchdog', require('./routes/watchdog')(this.manager, { requireRole, audit }));
+        
+        // Alerts
+        this.app.use('/api/alerts', require('./routes/alerts')(this.manager, { requireRole, audit }));
+        
+        // Cleanup
+        this.app.use('/api/cleanup', require('./routes/cleanup')(this.manager, { requireRole, audit }));
+        
+        // Config endpoints (contains credentials, so admin only)
+        this.app.get('/api/config', requireRole('admin'), (req, res) => {
             const config = this.manager.config.config;
             res.json(config);
         });
         
-        this.app.post('/api/config', async (req, res) => {
+        this.app.post('/api/config', audit('config.update'), requireRole('admin'), async (req, res) => {
             try {
                 const { path, value } = req.body;
                 this.manager.config.set(path, value);
@@ -160,15 +250,53 @@ class ApiServer {
                     <p>Dashboard not found. Create public/index.html for web interface.</p>
                     <h2>API Endpoints:</h2>
                     <ul>
+                        <li>GET /metrics - Prometheus metrics</li>
                         <li>GET /api/status - Get system status</li>
                         <li>POST /api/static/:name/start - Start static server</li>
-                        <li>POST /api/static/:name/stop - Stop static server</li>
+                        <li>POST /api/static/:name/stop - Stop static server (moves players off first)</li>
+                        <li>POST /api/static/:name/restore - Restore static server from a backup</li>
                         <li>POST /api/dynamic/start - Start dynamic server</li>
-                        <li>POST /api/dynamic/:id/stop - Stop dynamic server</li>
+                        <li>POST /api/dynamic/:id/stop - Stop dynamic server (moves players off first)</li>
                         <li>GET /api/console/:id - Get server console</li>
                         <li>POST /api/console/:id/command - Send command to server</li>
                         <li>GET /api/pool/status - Get pool status</li>
                         <li>POST /api/pool/scale - Trigger pool scaling</li>
+                        <li>GET /api/backups - List backups</li>
+                        <li>POST /api/backups - Create a backup</li>
+                        <li>POST /api/backups/:id/restore - Restore a backup</li>
+                        <li>GET /api/schedules - List scheduled tasks with next run times</li>
+                        <li>POST /api/schedules - Create a scheduled task</li>
+                        <li>PUT /api/schedules/:id - Update a scheduled task</li>
+                        <li>DELETE /api/schedules/:id - Delete a scheduled task</li>
+                        <li>POST /api/schedules/:id/run - Run a scheduled task now</li>
+                        <li>GET /api/servers/:id/crashes - Get crash history of a server</li>
+                        <li>GET /api/metrics/:name - Get metrics history (from, to, step)</li>
+                        <li>GET /api/restarts - Get restart policy state</li>
+                        <li>POST /api/restarts/:id/reset - Reset a failed server</li>
+                        <li>GET /api/queues - Get game queues and recent matches</li>
+                        <li>POST /api/queues/:gameType/join - Queue a player</li>
+                        <li>DELETE /api/queues/:gameType/:player - Remove a player from a queue</li>
+                        <li>GET /api/parties - List parties</li>
+                        <li>POST /api/parties - Create a party</li>
+                        <li>POST /api/parties/:id/members - Add a player to a party</li>
+                        <li>DELETE /api/parties/:id/members/:player - Remove a player from a party</li>
+                        <li>DELETE /api/parties/:id - Disband a party</li>
+                        <li>GET /api/players - List online players (search, server, gameType, limit, offset)</li>
+                        <li>POST /api/players/:name/transfer - Move a player to another server</li>
+                        <li>POST /api/players/:name/kick - Kick a player from the network</li>
+                        <li>POST /api/players/move - Move every player from one server to another</li>
+                        <li>GET /api/players/:name/history - Get a player's sessions and playtime</li>
+                        <li>GET /api/proxies - List proxy instances</li>
+                        <li>POST /api/proxies/:id/start|stop|restart - Manage one proxy instance</li>
+                        <li>GET /api/proxies/:id/console - Get proxy console</li>
+                        <li>POST /api/proxies/:id/command - Send command to a proxy</li>
+                        <li>GET /api/proxy/watchdog - Get proxy watchdog state and incidents</li>
+                        <li>POST /api/proxy/watchdog/recover - Restart a proxy and re-register backends</li>
+                        <li>GET /api/alerts - Get active alerts, rules and notifiers</li>
+                        <li>GET /api/alerts/history - Get alert history</li>
+                        <li>POST /api/alerts/test - Send a test notification</li>
+                        <li>GET /api/cleanup - Get cleanup status and last reports</li>
+                        <li>POST /api/cleanup/run - Run cleanup policies now</li>
                     </ul>
                 `);
             }
@@ -178,6 +306,8 @@ class ApiServer {
     // NEW: Setup pool-specific routes
     setupPoolRoutes() {
         const poolManager = this.manager.poolManager || this.manager.pool;
+        const { requireRole } = this.auth;
+        const audit = this.audit.rest;
         
         if (!poolManager) {
             this.logger.warn('Pool manager not available, skipping pool routes');
@@ -185,7 +315,7 @@ class ApiServer {
         }
         
         // Get pool status
-        this.app.get('/api/pool/status', (req, res) => {
+        this.app.get('/api/pool/status', requireRole('viewer'), (req, res) => {
             try {
                 const status = poolManager.getStatus();
                 res.json(status);
@@ -196,7 +326,7 @@ class ApiServer {
         });
         
         // Manual scale trigger
-        this.app.post('/api/pool/scale', async (req, res) => {
+        this.app.post('/api/pool/scale', audit('pool.scale'), requireRole('operator'), async (req, res) => {
             try {
                 this.logger.info('Manual pool scale requested via API');
                 
@@ -218,7 +348,7 @@ class ApiServer {
         });
         
         // Scale up by specific amount
-        this.app.post('/api/pool/scale-up', async (req, res) => {
+        this.app.post('/api/pool/scale-up', audit('pool.scaleUp'), requireRole('operator'), async (req, res) => {
             try {
                 const count = parseInt(req.body.count) || 1;
                 this.logger.info(`Manual scale up by ${count} requested`);
@@ -238,7 +368,7 @@ class ApiServer {
         });
         
         // Scale down by specific amount
-        this.app.post('/api/pool/scale-down', async (req, res) => {
+        this.app.post('/api/pool/scale-down', audit('pool.scaleDown'), requireRole('operator'), async (req, res) => {
             try {
                 const count = parseInt(req.body.count) || 1;
                 this.logger.info(`Manual scale down by ${count} requested`);
@@ -259,6 +389,9 @@ class ApiServer {
     }
     
     setupWebSocket() {
+        // Require the API key or a user session on the socket.io handshake
+        this.io.use(this.auth.socketAuth);
+        
         this.io.on('connection', (socket) => {
             this.logger.info(`WebSocket client connected: ${socket.id}`);
             
@@ -271,6 +404,11 @@ class ApiServer {
                 socket.emit('pool:update', poolManager.getStatus());
             }
             
+            // Admins receive audit entries as they are recorded
+            if (this.auth.socketCan(socket, 'admin')) {
+                socket.join('audit');
+            }
+            
             // Subscribe to console
             socket.on('subscribeConsole', (serverId) => {
                 socket.join(`console:${serverId}`);
@@ -286,10 +424,17 @@ class ApiServer {
             // Send command
             socket.on('sendCommand', async (data) => {
                 const { serverId, command } = data;
+                if (!this.auth.socketCan(socket, 'operator')) {
+                    this.audit.socket(socket, 'sendCommand', { target: serverId, args: { command }, result: 'denied' });
+                    socket.emit('error', { message: 'Requires operator role' });
+                    return;
+                }
                 try {
                     await this.manager.controller.sendCommand(serverId, command);
+                    this.audit.socket(socket, 'sendCommand', { target: serverId, args: { command } });
                     socket.emit('commandSent', { serverId, command });
                 } catch (error) {
+                    this.audit.socket(socket, 'sendCommand', { target: serverId, args: { command }, result: 'failure', error: error.message });
                     socket.emit('error', { message: error.message });
                 }
             });
@@ -304,12 +449,18 @@ class ApiServer {
             
             socket.on('pool:scale', async (callback) => {
                 try {
+                    if (!this.auth.socketCan(socket, 'operator')) {
+                        this.audit.socket(socket, 'pool:scale', { result: 'denied' });
+                        throw new Error('Requires operator role');
+                    }
+                    
                     if (!poolManager) {
                         throw new Error('Pool manager not available');
                     }
                     
                     this.logger.info('Pool scale requested via WebSocket');
                     const result = await poolManager.checkAndScale();
+                    this.audit.socket(socket, 'pool:scale', { args: { result } });
                     
                     if (callback) {
                         callback({ 
@@ -331,11 +482,17 @@ class ApiServer {
             
             socket.on('pool:scaleUp', async (count, callback) => {
                 try {
+                    if (!this.auth.socketCan(socket, 'operator')) {
+                        this.audit.socket(socket, 'pool:scaleUp', { args: { count }, result: 'denied' });
+                        throw new Error('Requires operator role');
+                    }
+                    
                     if (!poolManager) {
                         throw new Error('Pool manager not available');
                     }
                     
                     const added = await poolManager.scaleUp(count || 1);
+                    this.audit.socket(socket, 'pool:scaleUp', { args: { count, added } });
                     
                     if (callback) {
                         callback({
@@ -356,11 +513,17 @@ class ApiServer {
             
             socket.on('pool:scaleDown', async (count, callback) => {
                 try {
+                    if (!this.auth.socketCan(socket, 'operator')) {
+                        this.audit.socket(socket, 'pool:scaleDown', { args: { count }, result: 'denied' });
+                        throw new Error('Requires operator role');
+                    }
+                    
                     if (!poolManager) {
                         throw new Error('Pool manager not available');
                     }
                     
                     const removed = await poolManager.scaleDown(count || 1);
+                    this.audit.socket(socket, 'pool:scaleDown', { args: { count, removed } });
                     
                     if (callback) {
                         callback({
@@ -390,6 +553,106 @@ class ApiServer {
             });
         });
         
+        // Forward audit entries to admin clients
+        const auditLog = this.manager.auditLog || this.manager.audit;
+        if (auditLog) {
+            auditLog.on('entry', (entry) => {
+                this.io.to('audit').emit('audit:entry', entry);
+            });
+        }
+        
+        // Forward backup and restore progress
+        const backupManager = this.manager.backupManager || this.manager.backups;
+        if (backupManager) {
+            backupManager.on('restoreProgress', (data) => {
+                this.io.emit('backup:restoreProgress', data);
+            });
+            
+            backupManager.on('backupCreated', (backup) => {
+                this.io.emit('backup:created', backup);
+            });
+        }
+        
+        const scheduler = this.manager.scheduler || this.manager.schedules;
+        if (scheduler) {
+            scheduler.on('scheduleRun', (run) => {
+                this.io.emit('schedule:run', run);
+            });
+        }
+        
+        // Forward restart limit alerts
+        if (this.manager.controller && this.manager.controller.restartPolicy) {
+            this.manager.controller.restartPolicy.on('alert', (alert) => {
+                this.io.emit('server:failed', alert);
+            });
+        }
+        
+        // Forward recorded crashes
+        const crashReporter = this.manager.crashReporter || this.manager.crashes;
+        if (crashReporter) {
+            crashReporter.on('crashRecorded', (crash) => {
+                this.io.emit('server:crash', crash);
+            });
+        }
+        
+        // Forward resource threshold changes
+        const resourceMonitor = this.manager.resourceMonitor || this.manager.resources;
+        if (resourceMonitor) {
+            resourceMonitor.on('serverDegraded', (event) => {
+                this.io.emit('server:degraded', event);
+            });
+            resourceMonitor.on('serverRecovered', (event) => {
+                this.io.emit('server:recovered', event);
+            });
+        }
+        
+        // Forward proxy watchdog incidents
+        const watchdog = this.manager.proxyWatchdog || this.manager.watchdog;
+        if (watchdog) {
+            watchdog.on('recoveryStarted', (event) => {
+                this.io.emit('proxy:recovering', event);
+            });
+            watchdog.on('incident', (incident) => {
+                this.io.emit('proxy:incident', incident);
+            });
+        }
+        
+        // Forward matches
+        const matchmaker = this.manager.matchmaker || this.manager.matchmaking;
+        if (matchmaker) {
+            matchmaker.on('matchCreated', (match) => {
+                this.io.emit('queue:matched', match);
+            });
+        }
+
+        const serverDrainer = this.manager.serverDrainer || this.manager.drainer;
+        if (serverDrainer) {
+            serverDrainer.on('drainStarted', (event) => {
+                this.io.emit('server:draining', event);
+            });
+            serverDrainer.on('drainCompleted', (summary) => {
+                this.io.emit('server:drained', summary);
+            });
+        }
+        
+        const partyManager = this.manager.partyManager || this.manager.parties;
+        if (partyManager) {
+            partyManager.on('partyChanged', (change) => {
+                this.io.emit('party:update', change);
+            });
+        }
+        
+        // Forward alert state changes
+        const alertManager = this.manager.alertManager || this.manager.alerts;
+        if (alertManager) {
+            alertManager.on('alertFiring', (alert) => {
+                this.io.emit('alert:firing', alert);
+            });
+            alertManager.on('alertResolved', (alert) => {
+                this.io.emit('alert:resolved', alert);
+            });
+        }
+        
         // Forward console output to websocket
         if (this.manager.controller) {
             this.manager.controller.on('console', ({ serverId, line }) => {
@@ -399,6 +662,30 @@ class ApiServer {
                     timestamp: Date.now()
                 });
             });
+            
+            // Proxy consoles use the same rooms, keyed by proxy id
+            this.manager.controller.on('proxyConsole', ({ proxyId, line }) => {
+                this.io.to(`console:${proxyId}`).emit('consoleLine', {
+                    serverId: proxyId,
+                    line,
+                    timestamp: Date.now()
+                });
+            });
+            
+            this.manager.controller.on('proxyReady', (proxy) => {
+                this.io.emit('proxy:status', { id: proxy.id, status: 'ready' });
+            });
+            this.manager.controller.on('proxyStopped', (proxy) => {
+                this.io.emit('proxy:status', { id: proxy.id, status: 'stopped' });
+            });
+            
+            // Live updates for the player panel
+            this.manager.controller.on('playerJoin', ({ serverId, player }) => {
+                this.io.emit('player:join', { serverId, player, timestamp: Date.now() });
+            });
+            this.manager.controller.on('playerQuit', ({ serverId, player }) => {
+                this.io.emit('player:quit', { serverId, player, timestamp: Date.now() });
+            });
         }
     }
     
@@ -464,6 +751,12 @@ class ApiServer {
         }, 5000);
     }
     
+    // "drain": false in the body or query skips draining, e.g. for emergency stops
+    drainOptions(req) {
+        const drain = req.body?.drain ?? req.query.drain;
+        return drain === undefined ? {} : { drain: drain !== false && drain !== 'false' };
+    }
+    
     getManagerStatus() {
         const servers = this.manager.controller ? this.manager.controller.getAllServers() : { static: [], dynamic: [] };
         const poolManager = this.manager.poolManager || this.manager.pool; // FIXED: Check both possible names
@@ -494,6 +787,9 @@ class ApiServer {
     }
     
     async stop() {
+        this.security.stop();
+        this.auth.stop();
+        
         return new Promise((resolve) => {
             this.httpServer.close(() => {
                 this.logger.info('API Server stopped');
@@ -0,0 +1,73 @@
+// api/middleware/audit.js - Records REST and socket.io actions in the audit trail
+
+function normalizeIp(ip) {
+    if (!ip) return null;
+    return ip.startsWith('::ffff:') ? ip.substring(7) : ip;
+}
+
+function resultFromStatus(status) {
+    if (status === 401 || status === 403) return 'denied';
+    if (status >= 400) return 'failure';
+    return 'success';
+}
+
+module.exports = (serverManager) => {
+    const auditLog = serverManager.auditLog || serverManager.audit;
+    const logger = serverManager.logger;
+
+    const write = (entry) => {
+        if (!auditLog) return;
+        auditLog.record(entry).catch(error => {
+            logger.error(`Failed to record audit entry: ${error.message}`);
+        });
+    };
+
+    // Express middleware: place before requireRole so denied attempts are recorded too
+    const rest = (action) => (req, res, next) => {
+        const params = { ...req.params };
+        let errorMessage = null;
+
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            if (body && body.error) errorMessage = body.error;
+            return originalJson(body);
+        };
+
+        res.on('finish', () => {
+            write({
+                actor: req.user?.username,
+                role: req.user?.role,
+                ip: normalizeIp(req.socket.remoteAddress),
+                source: 'rest',
+                action,
+                route: `${req.method} ${req.originalUrl}`,
+                target: params.id || params.name || null,
+                args: req.body && Object.keys(req.body).length > 0 ? req.body : null,
+                result: resultFromStatus(res.statusCode),
+                status: res.statusCode,
+                error: errorMessage
+            });
+        });
+
+        next();
+    };
+
+    const socket = (socket, event, { target = null, args = null, result = 'success', error = null } = {}) => {
+        const user = socket.data.user;
+
+        write({
+            actor: user?.username,
+            role: user?.role,
+            ip: normalizeIp(socket.handshake.address),
+            source: 'socket',
+            action: event,
+            route: event,
+            target,
+            args,
+            result,
+            error
+        });
+    };
+
+    return { rest, socket };
+};
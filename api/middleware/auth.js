@@ -0,0 +1,247 @@
+// api/middleware/auth.js - User Accounts, Sessions and Role-Based Permissions
+
+const crypto = require('crypto');
+const Logger = require('../../src/utils/Logger');
+
+// Roles in ascending order of privilege; each role inherits everything below it
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const DEFAULT_SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours
+
+function roleLevel(role) {
+    return ROLES.indexOf(role);
+}
+
+function hasRole(user, requiredRole) {
+    if (!user) return false;
+    const level = roleLevel(user.role);
+    return level !== -1 && level >= roleLevel(requiredRole);
+}
+
+// Produces "scrypt:<salt>:<hash>" strings for api.authentication.users[].passwordHash
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt:${salt}:${hash}`;
+}
+
+function verifyPassword(password, user) {
+    if (user.passwordHash) {
+        const [scheme, salt, hash] = user.passwordHash.split(':');
+        if (scheme !== 'scrypt' || !salt || !/^([0-9a-f]{2})+$/i.test(hash || '')) return false;
+
+        const expected = Buffer.from(hash, 'hex');
+        const actual = crypto.scryptSync(password, salt, expected.length);
+        return crypto.timingSafeEqual(actual, expected);
+    }
+
+    if (user.password) {
+        const expected = Buffer.from(String(user.password));
+        const actual = Buffer.from(String(password));
+        return expected.length === actual.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    return false;
+}
+
+function createAuth(serverManager, security) {
+    const logger = new Logger('Auth');
+    const sessions = new Map();
+
+    const getAuthConfig = () => serverManager.config.get('api.authentication', {}) || {};
+    const isEnabled = () => getAuthConfig().enabled === true;
+
+    const purgeInterval = setInterval(() => {
+        const now = Date.now();
+        for (const [token, session] of sessions) {
+            if (session.expiresAt <= now) {
+                sessions.delete(token);
+            }
+        }
+    }, 60000);
+    purgeInterval.unref();
+
+    const findUser = (username) => {
+        const users = getAuthConfig().users || [];
+        return users.find(u => u.username === username) || null;
+    };
+
+    const toIdentity = (user, via) => ({
+        username: user.username,
+        role: ROLES.includes(user.role) ? user.role : 'viewer',
+        via
+    });
+
+    const login = (username, password) => {
+        const user = findUser(username);
+        if (!user || !verifyPassword(password || '', user)) {
+            logger.warn(`Failed login attempt for user ${username}`);
+            return null;
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const ttl = getAuthConfig().sessionTtl || DEFAULT_SESSION_TTL;
+        const session = {
+            ...toIdentity(user, 'session'),
+            createdAt: Date.now(),
+            expiresAt: Date.now() + ttl
+        };
+
+        sessions.set(token, session);
+        logger.info(`User ${user.username} logged in (${session.role})`);
+
+        return { token, user: { username: session.username, role: session.role }, expiresAt: session.expiresAt };
+    };
+
+    const logout = (token) => {
+        const session = sessions.get(token);
+        if (session) {
+            sessions.delete(token);
+            logger.info(`User ${session.username} logged out`);
+        }
+    };
+
+    const getSession = (token) => {
+        if (!token) return null;
+
+        const session = sessions.get(token);
+        if (!session) return null;
+
+        if (session.expiresAt <= Date.now()) {
+            sessions.delete(token);
+            return null;
+        }
+
+        // Re-read the role so config changes apply to existing sessions
+        const user = findUser(session.username);
+        if (!user) {
+            sessions.delete(token);
+            return null;
+        }
+
+        return toIdentity(user, 'session');
+    };
+
+    const resolveBasic = (authorization) => {
+        if (getAuthConfig().type !== 'basic' || !authorization.startsWith('Basic ')) {
+            return null;
+        }
+
+        const decoded = Buffer.from(authorization.substring(6), 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        if (separator === -1) return null;
+
+        const user = findUser(decoded.substring(0, separator));
+        if (!user || !verifyPassword(decoded.substring(separator + 1), user)) {
+            return null;
+        }
+
+        return toIdentity(user, 'basic');
+    };
+
+    /**
+     * Resolve the caller from request headers (or socket handshake auth).
+     * The configured API key always maps to an admin service identity.
+     * When authentication is disabled every caller that passed the API key check is admin.
+     */
+    const resolveIdentity = (headers = {}, handshakeAuth = {}) => {
+        const apiKey = handshakeAuth.apiKey || security.extractApiKey(headers);
+        const configuredKey = serverManager.config.get('security.apiKey');
+
+        if (!isEnabled()) {
+            return security.isApiKeyValid(apiKey) ? { username: 'api', role: 'admin', via: 'apiKey' } : null;
+        }
+
+        if (apiKey && configuredKey && security.isApiKeyValid(apiKey)) {
+            return { username: 'api', role: 'admin', via: 'apiKey' };
+        }
+
+        const token = handshakeAuth.token || headers['x-session-token'] ||
+            ((headers.authorization || '').startsWith('Bearer ') ? headers.authorization.substring(7).trim() : null);
+        const session = getSession(token);
+        if (session) return session;
+
+        return resolveBasic(headers.authorization || '');
+    };
+
+    // Express middleware
+
+    const authenticate = (req, res, next) => {
+        if (serverManager.config.get('security.apiEnabled') === false) {
+            return res.status(403).json({ success: false, error: 'REST API is disabled' });
+        }
+
+        // Login and auth discovery must be reachable before the caller has credentials
+        if (req.path === '/auth/login' || req.path === '/auth/status') {
+            return next();
+        }
+
+        const identity = resolveIdentity(req.headers);
+        if (!identity) {
+            logger.warn(`Rejected ${req.method} ${req.originalUrl} from ${req.socket.remoteAddress}: not authenticated`);
+            if (isEnabled() && getAuthConfig().type === 'basic') {
+                res.header('WWW-Authenticate', 'Basic realm="ServerManager"');
+            }
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+
+        req.user = identity;
+        next();
+    };
+
+    const requireRole = (role) => (req, res, next) => {
+        if (!hasRole(req.user, role)) {
+            logger.warn(`User ${req.user?.username} (${req.user?.role}) denied ${req.method} ${req.originalUrl}, requires ${role}`);
+            return res.status(403).json({ success: false, error: `Requires ${role} role` });
+        }
+        next();
+    };
+
+    // Socket.io hooks
+
+    const socketAuth = (socket, next) => {
+        const identity = resolveIdentity(socket.handshake.headers, socket.handshake.auth || {});
+
+        if (!identity) {
+            logger.warn(`Rejected WebSocket ${socket.id}: not authenticated`);
+            const error = new Error('Authentication required');
+            error.data = { status: 401 };
+            return next(error);
+        }
+
+        socket.data.user = identity;
+        next();
+    };
+
+    const socketCan = (socket, role) => hasRole(socket.data.user, role);
+
+    return {
+        authenticate,
+        requireRole,
+        socketAuth,
+        socketCan,
+        login,
+        logout,
+        isEnabled,
+        getType: () => getAuthConfig().type || 'basic',
+        stop: () => clearInterval(purgeInterval)
+    };
+}
+
+module.exports = createAuth;
+module.exports.ROLES = ROLES;
+module.exports.hasRole = hasRole;
+module.exports.hashPassword = hashPassword;
+module.exports.verifyPassword = verifyPassword;
+
+// Allow generating password hashes from the command line:
+//   node api/middleware/auth.js hash <password>
+if (require.main === module) {
+    const [command, password] = process.argv.slice(2);
+    if (command === 'hash' && password) {
+        console.log(hashPassword(password));
+    } else {
+        console.error('Usage: node api/middleware/auth.js hash <password>');
+        process.exit(1);
+    }
+}
@@ -0,0 +1,240 @@
+// api/middleware/security.js - API Key Validation, IP Allowlist, Rate Limiting and CORS
+
+const crypto = require('crypto');
+const Logger = require('../../src/utils/Logger');
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1'];
+
+const logger = new Logger('Security');
+const reportedEntries = new Set();  // Malformed allowlist entries, logged once each
+
+// Strip the IPv4-mapped IPv6 prefix so allowlist entries can be plain IPv4
+function normalizeIp(ip) {
+    if (!ip) return '';
+    return ip.startsWith('::ffff:') ? ip.substring(7) : ip;
+}
+
+function ipv4ToInt(ip) {
+    const parts = ip.split('.').map(Number);
+    if (parts.length !== 4 || parts.some(p => isNaN(p) || p < 0 || p > 255)) {
+        return null;
+    }
+    return ((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3];
+}
+
+function matchesEntry(ip, entry) {
+    if (entry === '*') return true;
+    if (entry === 'localhost') return LOOPBACK_ADDRESSES.includes(ip);
+
+    // CIDR notation (IPv4 only)
+    if (entry.includes('/')) {
+        const [range, bits] = entry.split('/');
+        const ipInt = ipv4ToInt(ip);
+        const rangeInt = ipv4ToInt(range);
+        const maskBits = /^\d{1,2}$/.test(bits) ? parseInt(bits) : NaN;
+        if (rangeInt === null || !(maskBits >= 0 && maskBits <= 32)) {
+            if (!reportedEntries.has(entry)) {
+                reportedEntries.add(entry);
+                logger.warn(`Ignoring malformed allowlist entry ${entry}`);
+            }
+            return false;
+        }
+        if (ipInt === null) return false;
+        const mask = maskBits === 0 ? 0 : (~0 << (32 - maskBits)) >>> 0;
+        return (ipInt & mask) === (rangeInt & mask);
+    }
+
+    return normalizeIp(entry) === ip;
+}
+
+function safeCompare(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    if (bufA.length !== bufB.length) return false;
+    return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function extractApiKey(headers = {}) {
+    if (headers['x-api-key']) {
+        return headers['x-api-key'];
+    }
+
+    const authorization = headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.substring(7).trim();
+    }
+
+    return null;
+}
+
+module.exports = (serverManager) => {
+    const getSecurity = () => serverManager.config.get('security', {}) || {};
+
+    // Fixed-window counters keyed by client IP
+    const rateWindows = new Map();
+
+    const purgeInterval = setInterval(() => {
+        const now = Date.now();
+        for (const [ip, window] of rateWindows) {
+            if (window.resetAt <= now) {
+                rateWindows.delete(ip);
+            }
+        }
+    }, 60000);
+    purgeInterval.unref();
+
+    const isIpAllowed = (rawIp) => {
+        const allowedIPs = getSecurity().allowedIPs;
+        if (!Array.isArray(allowedIPs) || allowedIPs.length === 0) {
+            return true;
+        }
+
+        const ip = normalizeIp(rawIp);
+        return allowedIPs.some(entry => matchesEntry(ip, entry));
+    };
+
+    const isOriginAllowed = (origin, host) => {
+        // Non-browser clients and same-origin navigations send no Origin header
+        if (!origin) return true;
+
+        // The dashboard itself is always allowed to talk to its own API
+        if (host) {
+            try {
+                if (new URL(origin).host === host) return true;
+            } catch (error) {
+                return false;
+            }
+        }
+
+        const corsOrigins = getSecurity().corsOrigins || [];
+        return corsOrigins.includes('*') || corsOrigins.includes(origin);
+    };
+
+    const isApiKeyValid = (providedKey) => {
+        const apiKey = getSecurity().apiKey;
+
+        // No key configured means key authentication is off
+        if (!apiKey) return true;
+        if (!providedKey) return false;
+
+        return safeCompare(providedKey, apiKey);
+    };
+
+    const consumeRateLimit = (rawIp) => {
+        const rateLimit = getSecurity().rateLimit || {};
+        if (!rateLimit.enabled) {
+            return { limited: false };
+        }
+
+        const windowMs = rateLimit.windowMs || 60000;
+        const maxRequests = rateLimit.maxRequests || 100;
+        const ip = normalizeIp(rawIp);
+        const now = Date.now();
+
+        let window = rateWindows.get(ip);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            rateWindows.set(ip, window);
+        }
+
+        window.count++;
+
+        return {
+            limited: window.count > maxRequests,
+            limit: maxRequests,
+            remaining: Math.max(0, maxRequests - window.count),
+            resetAt: window.resetAt
+        };
+    };
+
+    // Express middleware
+
+    const cors = (req, res, next) => {
+        const origin = req.headers.origin;
+
+        if (!isOriginAllowed(origin, req.headers.host)) {
+            logger.warn(`Rejected request from disallowed origin ${origin}`);
+            return res.status(403).json({ success: false, error: 'Origin not allowed' });
+        }
+
+        if (origin) {
+            res.header('Access-Control-Allow-Origin', origin);
+            res.header('Vary', 'Origin');
+        }
+        res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+
+        if (req.method === 'OPTIONS') {
+            return res.sendStatus(204);
+        }
+
+        next();
+    };
+
+    const ipFilter = (req, res, next) => {
+        if (!isIpAllowed(req.socket.remoteAddress)) {
+            logger.warn(`Rejected request from disallowed IP ${req.socket.remoteAddress}`);
+            return res.status(403).json({ success: false, error: 'IP address not allowed' });
+        }
+        next();
+    };
+
+    const rateLimiter = (req, res, next) => {
+        const result = consumeRateLimit(req.socket.remoteAddress);
+        if (result.limit === undefined) return next();
+
+        res.header('X-RateLimit-Limit', String(result.limit));
+        res.header('X-RateLimit-Remaining', String(result.remaining));
+        res.header('X-RateLimit-Reset', String(Math.ceil(result.resetAt / 1000)));
+
+        if (result.limited) {
+            const retryAfter = Math.ceil((result.resetAt - Date.now()) / 1000);
+            res.header('Retry-After', String(retryAfter));
+            return res.status(429).json({ success: false, error: 'Too many requests', retryAfter });
+        }
+
+        next();
+    };
+
+    // Socket.io hooks
+
+    // Only emits CORS headers; rejection happens in allowRequest where the Host header is available
+    const socketCorsOrigin = (origin, callback) => {
+        callback(null, isOriginAllowed(origin));
+    };
+
+    const socketAllowRequest = (req, callback) => {
+        if (!isIpAllowed(req.socket.remoteAddress)) {
+            logger.warn(`Rejected WebSocket from disallowed IP ${req.socket.remoteAddress}`);
+            return callback('IP address not allowed', false);
+        }
+
+        if (!isOriginAllowed(req.headers.origin, req.headers.host)) {
+            logger.warn(`Rejected WebSocket from disallowed origin ${req.headers.origin}`);
+            return callback('Origin not allowed', false);
+        }
+
+        // Only count the initial handshake, not every long-polling round trip
+        const isHandshake = !new URL(req.url, 'http://localhost').searchParams.has('sid');
+        if (isHandshake && consumeRateLimit(req.socket.remoteAddress).limited) {
+            return callback('Too many requests', false);
+        }
+
+        callback(null, true);
+    };
+
+    return {
+        cors,
+        ipFilter,
+        rateLimiter,
+        socketCorsOrigin,
+        socketAllowRequest,
+        isIpAllowed,
+        isOriginAllowed,
+        isApiKeyValid,
+        extractApiKey,
+        stop: () => clearInterval(purgeInterval)
+    };
+};
+
+module.exports.matchesEntry = matchesEntry;
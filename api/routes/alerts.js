@@ -0,0 +1,67 @@
+// api/routes/alerts.js - Active alerts, alert history and notifier test-fire
+
+const express = require('express');
+const router = express.Router();
+const { toTimestamp } = require('../../src/utils/TimeRange');
+
+module.exports = (serverManager, { requireRole, audit }) => {
+    const alertManager = serverManager.alertManager || serverManager.alerts;
+    const logger = serverManager.logger;
+
+    if (!alertManager) {
+        logger.error('Alert manager not found in server manager');
+        return router;
+    }
+
+    // Pending and firing alerts with the rules and notifiers they are evaluated against
+    router.get('/', requireRole('viewer'), (req, res) => {
+        res.json({
+            success: true,
+            enabled: alertManager.enabled,
+            active: alertManager.getActive(),
+            rules: alertManager.rules,
+            notifiers: alertManager.getNotifiers()
+        });
+    });
+
+    // Fired, resolved and test notifications, newest first
+    router.get('/history', requireRole('viewer'), async (req, res) => {
+        try {
+            const { rule, status, severity, key } = req.query;
+
+            const data = await alertManager.queryHistory({
+                rule,
+                status,
+                severity,
+                key,
+                from: toTimestamp(req.query.from),
+                to: toTimestamp(req.query.to),
+                limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+                offset: parseInt(req.query.offset) || 0
+            });
+
+            res.json({ success: true, ...data });
+        } catch (error) {
+            logger.error('Error querying alert history:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Send a test notification through one notifier, or all enabled ones
+    router.post('/test', audit('alert.test'), requireRole('admin'), async (req, res) => {
+        try {
+            const { notifier, message } = req.body || {};
+            const { notification, results } = await alertManager.testFire({ notifier, message });
+
+            res.json({
+                success: results.length > 0 && results.every(result => result.success),
+                notification,
+                results
+            });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,42 @@
+// api/routes/audit.js - Audit trail query endpoint
+
+const express = require('express');
+const router = express.Router();
+const { toTimestamp } = require('../../src/utils/TimeRange');
+
+module.exports = (serverManager) => {
+    const auditLog = serverManager.auditLog || serverManager.audit;
+    const logger = serverManager.logger;
+
+    if (!auditLog) {
+        logger.error('Audit log not found in server manager');
+        return router;
+    }
+
+    // Query entries, newest first
+    router.get('/', async (req, res) => {
+        try {
+            const { actor, action, target, source, result, ip } = req.query;
+
+            const data = await auditLog.query({
+                actor,
+                action,
+                target,
+                source,
+                result,
+                ip,
+                from: toTimestamp(req.query.from),
+                to: toTimestamp(req.query.to),
+                limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+                offset: parseInt(req.query.offset) || 0
+            });
+
+            res.json({ success: true, ...data });
+        } catch (error) {
+            logger.error('Error querying audit log:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
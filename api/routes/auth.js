@@ -0,0 +1,52 @@
+// api/routes/auth.js - Login, logout and session info endpoints
+
+const express = require('express');
+const router = express.Router();
+
+module.exports = (serverManager, auth) => {
+    const logger = serverManager.logger;
+
+    // Lets the dashboard decide whether to show the login form
+    router.get('/status', (req, res) => {
+        res.json({
+            enabled: auth.isEnabled(),
+            type: auth.getType()
+        });
+    });
+
+    router.post('/login', (req, res) => {
+        if (!auth.isEnabled()) {
+            return res.status(400).json({ success: false, error: 'Authentication is not enabled' });
+        }
+
+        const { username, password } = req.body || {};
+        if (!username || !password) {
+            return res.status(400).json({ success: false, error: 'Username and password are required' });
+        }
+
+        const session = auth.login(username, password);
+        if (!session) {
+            return res.status(401).json({ success: false, error: 'Invalid username or password' });
+        }
+
+        res.json({ success: true, ...session });
+    });
+
+    router.post('/logout', (req, res) => {
+        const token = req.headers['x-session-token'];
+        if (token) {
+            auth.logout(token);
+        }
+        res.json({ success: true });
+    });
+
+    router.get('/me', (req, res) => {
+        if (!req.user) {
+            logger.warn('Auth route reached without an identity');
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+        res.json({ success: true, user: req.user });
+    });
+
+    return router;
+};
@@ -0,0 +1,68 @@
+// api/routes/backups.js - Backup list, create and restore endpoints
+
+const express = require('express');
+const router = express.Router();
+
+module.exports = (serverManager, { requireRole, audit }) => {
+    const backupManager = serverManager.backupManager || serverManager.backups;
+    const logger = serverManager.logger;
+
+    if (!backupManager) {
+        logger.error('Backup manager not found in server manager');
+        return router;
+    }
+
+    // List backups, optionally for one target
+    router.get('/', requireRole('viewer'), async (req, res) => {
+        try {
+            const target = req.query.target || null;
+            if (target && !backupManager.getTarget(target)) {
+                return res.status(400).json({ success: false, error: `Unknown backup target ${target}` });
+            }
+
+            const backups = await backupManager.listBackups(target);
+            res.json({ success: true, status: backupManager.getStatus(), backups });
+        } catch (error) {
+            logger.error('Error listing backups:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Create a backup of one target, or of every target when none is given
+    router.post('/', audit('backup.create'), requireRole('operator'), async (req, res) => {
+        try {
+            const { target } = req.body || {};
+
+            if (target) {
+                const backup = await backupManager.createBackup(target, { reason: 'manual' });
+                return res.json({ success: true, backup });
+            }
+
+            const results = await backupManager.runScheduledBackup();
+            res.json({ success: results.every(r => r.success), results });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    // Restore a backup into its (stopped) target
+    router.post('/:id/restore', audit('backup.restore'), requireRole('admin'), async (req, res) => {
+        try {
+            const backup = await backupManager.restoreBackup(req.params.id);
+            res.json({ success: true, backup });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.delete('/:id', audit('backup.delete'), requireRole('admin'), async (req, res) => {
+        try {
+            await backupManager.deleteBackup(req.params.id);
+            res.json({ success: true });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,37 @@
+// api/routes/cleanup.js - Cleanup status and on-demand runs
+
+const express = require('express');
+const router = express.Router();
+
+module.exports = (serverManager, { requireRole, audit }) => {
+    const cleanupManager = serverManager.cleanupManager || serverManager.cleanup;
+    const logger = serverManager.logger;
+
+    if (!cleanupManager) {
+        logger.error('Cleanup manager not found in server manager');
+        return router;
+    }
+
+    // Schedules and the last report of each policy
+    router.get('/', requireRole('viewer'), (req, res) => {
+        res.json({ success: true, ...cleanupManager.getStatus() });
+    });
+
+    // Run one policy, or every enabled policy when none is given
+    router.post('/run', audit('cleanup.run'), requireRole('operator'), async (req, res) => {
+        try {
+            const { policy } = req.body || {};
+            const reports = policy ? [await cleanupManager.run(policy)] : await cleanupManager.runAll();
+
+            res.json({
+                success: true,
+                bytesReclaimed: reports.reduce((sum, r) => sum + r.bytesReclaimed, 0),
+                reports
+            });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,42 @@
+// api/routes/crashes.js - Crash history per server
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+
+module.exports = (serverManager) => {
+    const crashReporter = serverManager.crashReporter || serverManager.crashes;
+    const logger = serverManager.logger;
+
+    if (!crashReporter) {
+        logger.error('Crash reporter not found in server manager');
+        return router;
+    }
+
+    // Crash summaries, newest first
+    router.get('/', async (req, res) => {
+        try {
+            const crashes = await crashReporter.listCrashes(req.params.id);
+            const limit = parseInt(req.query.limit) || crashes.length;
+            res.json({ success: true, serverId: req.params.id, total: crashes.length, crashes: crashes.slice(0, limit) });
+        } catch (error) {
+            logger.error('Error listing crashes:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Full record including crash report, JVM error log and console tail
+    router.get('/:crashId', async (req, res) => {
+        try {
+            const crash = await crashReporter.getCrash(req.params.id, req.params.crashId);
+            if (!crash) {
+                return res.status(404).json({ success: false, error: 'Crash not found' });
+            }
+            res.json({ success: true, crash });
+        } catch (error) {
+            logger.error('Error reading crash:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,40 @@
+// api/routes/metrics.js - Metrics history queries
+
+const express = require('express');
+const router = express.Router();
+const { parseDuration, toTimestamp } = require('../../src/utils/TimeRange');
+
+module.exports = (serverManager) => {
+    const metricsStore = serverManager.metricsStore || serverManager.metricsHistory;
+    const logger = serverManager.logger;
+
+    if (!metricsStore) {
+        logger.error('Metrics store not found in server manager');
+        return router;
+    }
+
+    // Names of recorded metrics
+    router.get('/', (req, res) => {
+        res.json({ success: true, metrics: metricsStore.getNames() });
+    });
+
+    // Series for one metric: ?from&to&step (step as ms or a duration like "5m")
+    router.get('/:name', async (req, res) => {
+        try {
+            const from = toTimestamp(req.query.from);
+            const to = toTimestamp(req.query.to);
+            const step = req.query.step ? parseDuration(req.query.step) : null;
+
+            if (Number.isNaN(from) || Number.isNaN(to) || (req.query.step && !step)) {
+                return res.status(400).json({ success: false, error: 'Invalid from, to or step' });
+            }
+
+            const data = await metricsStore.query(req.params.name, { from, to, step });
+            res.json({ success: true, ...data });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
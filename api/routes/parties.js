@@ -0,0 +1,89 @@
+// api/routes/parties.js - Parties that queue and play together
+
+const express = require('express');
+const router = express.Router();
+
+module.exports = (serverManager, { requireRole, audit }) => {
+    const parties = serverManager.partyManager || serverManager.parties;
+    const logger = serverManager.logger;
+
+    if (!parties) {
+        logger.error('Party manager not found in server manager');
+        return router;
+    }
+
+    // Resolve :id to a stored party, or answer 404
+    const findParty = async (req, res, next) => {
+        try {
+            const party = await parties.getParty(req.params.id);
+            if (!party) {
+                return res.status(404).json({ success: false, error: `Party ${req.params.id} not found` });
+            }
+            req.party = party;
+            next();
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    };
+
+    router.get('/', requireRole('viewer'), async (req, res) => {
+        try {
+            res.json({ success: true, parties: await parties.list() });
+        } catch (error) {
+            logger.error('Error listing parties:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    router.get('/:id', requireRole('viewer'), findParty, (req, res) => {
+        res.json({ success: true, party: req.party });
+    });
+
+    // Create a party for a leader, optionally with its first members
+    router.post('/', audit('party.create'), requireRole('operator'), async (req, res) => {
+        try {
+            const { leader, members = [] } = req.body || {};
+            let party = await parties.create(leader);
+            for (const member of members.filter(m => m !== leader)) {
+                party = await parties.join(leader, member);
+            }
+            res.json({ success: true, party });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.post('/:id/members', audit('party.join'), requireRole('operator'), findParty, async (req, res) => {
+        try {
+            const { player } = req.body || {};
+            const party = await parties.join(req.party.leader, player);
+            res.json({ success: true, party });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    // Removing the leader disbands the party
+    router.delete('/:id/members/:player', audit('party.leave'), requireRole('operator'), findParty, async (req, res) => {
+        try {
+            if (!req.party.members.includes(req.params.player)) {
+                return res.status(404).json({ success: false, error: `${req.params.player} is not in party ${req.params.id}` });
+            }
+            await parties.leave(req.params.player);
+            res.json({ success: true, party: await parties.getParty(req.params.id) });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.delete('/:id', audit('party.disband'), requireRole('operator'), findParty, async (req, res) => {
+        try {
+            await parties.disband(req.party.leader);
+            res.json({ success: true });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,130 @@
+// api/routes/players.js - Online player directory, transfers and kicks, session history and playtime
+
+const express = require('express');
+const router = express.Router();
+
+module.exports = (serverManager, { requireRole, audit }) => {
+    const redis = serverManager.redisManager || serverManager.redis;
+    const controller = serverManager.serverController || serverManager.controller;
+    const history = serverManager.playerHistory || serverManager.history;
+    const mover = serverManager.playerMover || serverManager.transfers;
+    const logger = serverManager.logger;
+
+    if (!redis || !controller) {
+        logger.error('Redis manager or server controller not found in server manager');
+        return router;
+    }
+
+    // Without Redis, the players the controller saw join are the directory
+    const localPlayers = (serverId) => {
+        const { static: staticServers, dynamic } = controller.getAllServers();
+        return [...staticServers, ...dynamic]
+            .filter(server => !serverId || server.id === serverId)
+            .flatMap(server => server.players.map(name => ({
+                name,
+                server: server.id,
+                gameType: server.gameType || null
+            })));
+    };
+
+    // Online players, filtered by search/server/gameType and paged with limit/offset
+    router.get('/', requireRole('viewer'), async (req, res) => {
+        try {
+            const { search, server, gameType } = req.query;
+            const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+            const offset = parseInt(req.query.offset) || 0;
+
+            let players;
+            if (!redis.connected) {
+                players = localPlayers(server);
+            } else if (server) {
+                players = await redis.getServerPlayers(server);
+            } else {
+                players = await redis.getAllPlayers();
+            }
+
+            if (search) {
+                const needle = search.toLowerCase();
+                players = players.filter(player => player.name.toLowerCase().includes(needle));
+            }
+            if (gameType) {
+                players = players.filter(player => player.gameType === gameType);
+            }
+            players.sort((a, b) => a.name.localeCompare(b.name));
+
+            res.json({
+                success: true,
+                total: players.length,
+                limit,
+                offset,
+                players: players.slice(offset, offset + limit)
+            });
+        } catch (error) {
+            logger.error('Error listing players:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Transfers and kicks answer once every proxy acknowledged, with a result per player
+    const requireMover = (req, res, next) => {
+        if (!mover) {
+            return res.status(404).json({ success: false, error: 'Player transfers are not available' });
+        }
+        next();
+    };
+
+    const sendResult = (res, result) => {
+        res.json({ success: result.failed === 0, ...result });
+    };
+
+    // Everyone on one server to another: { "from": "...", "to": "..." }
+    router.post('/move', audit('player.moveAll'), requireRole('operator'), requireMover, async (req, res) => {
+        try {
+            const { from, to } = req.body || {};
+            if (!from || !to) {
+                return res.status(400).json({ success: false, error: 'from and to are required' });
+            }
+            sendResult(res, await mover.transferAll(from, to));
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.post('/:name/transfer', audit('player.transfer'), requireRole('operator'), requireMover, async (req, res) => {
+        try {
+            const { server } = req.body || {};
+            if (!server) {
+                return res.status(400).json({ success: false, error: 'server is required' });
+            }
+            sendResult(res, await mover.transfer([req.params.name], server));
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.post('/:name/kick', audit('player.kick'), requireRole('operator'), requireMover, async (req, res) => {
+        try {
+            const { reason } = req.body || {};
+            sendResult(res, await mover.kick([req.params.name], reason));
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    // Sessions with server hops, newest first, and playtime per server and gameType
+    router.get('/:name/history', requireRole('viewer'), async (req, res) => {
+        try {
+            if (!history || !history.settings.enabled) {
+                return res.status(404).json({ success: false, error: 'Player history is disabled' });
+            }
+
+            const days = parseInt(req.query.days) || null;
+            res.json({ success: true, ...await history.getHistory(req.params.name, days) });
+        } catch (error) {
+            logger.error('Error reading player history:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
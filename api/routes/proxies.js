@@ -0,0 +1,83 @@
+// api/routes/proxies.js - Proxy instance list, lifecycle, console and commands
+
+const express = require('express');
+const router = express.Router();
+
+module.exports = (serverManager, { requireRole, audit }) => {
+    const controller = serverManager.serverController || serverManager.controller;
+    const logger = serverManager.logger;
+
+    if (!controller || !controller.proxies) {
+        logger.error('Proxy management not found in server controller');
+        return router;
+    }
+
+    // Resolve :id to a configured or running proxy, or answer 404
+    const findProxy = (req, res, next) => {
+        const info = controller.getProxyInfo(req.params.id);
+        if (!info) {
+            return res.status(404).json({ success: false, error: `Proxy ${req.params.id} not found` });
+        }
+        req.proxy = info;
+        next();
+    };
+
+    // Every configured proxy instance with its state
+    router.get('/', requireRole('viewer'), (req, res) => {
+        res.json({ success: true, proxies: controller.getProxiesInfo() });
+    });
+
+    router.get('/:id', requireRole('viewer'), findProxy, (req, res) => {
+        res.json({ success: true, proxy: req.proxy });
+    });
+
+    router.post('/:id/start', audit('proxy.start'), requireRole('operator'), findProxy, async (req, res) => {
+        try {
+            await controller.startProxy(req.params.id);
+            res.json({ success: true, proxy: controller.getProxyInfo(req.params.id) });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.post('/:id/stop', audit('proxy.stop'), requireRole('operator'), findProxy, async (req, res) => {
+        try {
+            await controller.stopProxy(req.params.id);
+            res.json({ success: true, proxy: controller.getProxyInfo(req.params.id) });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    // Stop and start one proxy; the others keep serving players
+    router.post('/:id/restart', audit('proxy.restart'), requireRole('operator'), findProxy, async (req, res) => {
+        try {
+            await controller.stopProxy(req.params.id);
+            await controller.startProxy(req.params.id);
+            res.json({ success: true, proxy: controller.getProxyInfo(req.params.id) });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.get('/:id/console', requireRole('viewer'), findProxy, (req, res) => {
+        const lines = parseInt(req.query.lines) || 100;
+        res.json({ success: true, console: controller.getProxyConsole(req.params.id, lines) });
+    });
+
+    router.post('/:id/command', audit('proxy.command'), requireRole('operator'), findProxy, async (req, res) => {
+        try {
+            const { command } = req.body || {};
+            if (!command) {
+                return res.status(400).json({ success: false, error: 'command is required' });
+            }
+
+            await controller.sendProxyCommand(req.params.id, command);
+            res.json({ success: true });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,49 @@
+// api/routes/queues.js - Game queues, matches and manual queue changes
+
+const express = require('express');
+const router = express.Router();
+
+module.exports = (serverManager, { requireRole, audit }) => {
+    const matchmaker = serverManager.matchmaker || serverManager.matchmaking;
+    const logger = serverManager.logger;
+
+    if (!matchmaker) {
+        logger.error('Matchmaker not found in server manager');
+        return router;
+    }
+
+    // Every queue with waiting players, plus recent matches (newest first)
+    router.get('/', requireRole('viewer'), async (req, res) => {
+        try {
+            res.json({ success: true, ...await matchmaker.getStatus() });
+        } catch (error) {
+            logger.error('Error reading queues:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Queue a player, as the proxy plugin does over queue:request
+    router.post('/:gameType/join', audit('queue.join'), requireRole('operator'), async (req, res) => {
+        try {
+            const { player } = req.body || {};
+            const result = await matchmaker.join(player, req.params.gameType);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.delete('/:gameType/:player', audit('queue.remove'), requireRole('operator'), async (req, res) => {
+        try {
+            const removed = await matchmaker.leave(req.params.player, req.params.gameType);
+            if (!removed) {
+                return res.status(404).json({ success: false, error: `${req.params.player} is not queued for ${req.params.gameType}` });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,46 @@
+// api/routes/restarts.js - Restart policy state and manual reset
+
+const express = require('express');
+const router = express.Router();
+
+module.exports = (serverManager, { requireRole, audit }) => {
+    const controller = serverManager.serverController || serverManager.controller;
+    const logger = serverManager.logger;
+
+    if (!controller || !controller.restartPolicy) {
+        logger.error('Restart policy not found in server controller');
+        return router;
+    }
+
+    // Settings plus crash/restart state of every server that has crashed
+    router.get('/', requireRole('viewer'), (req, res) => {
+        res.json({
+            success: true,
+            settings: controller.restartPolicy.settings,
+            servers: controller.restartPolicy.getAll()
+        });
+    });
+
+    // Clear the restart history of a server (or a proxy), optionally starting it again
+    router.post('/:id/reset', audit('restart.reset'), requireRole('operator'), async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { start } = req.body || {};
+            const wasFailed = controller.resetRestartPolicy(id);
+
+            if (start) {
+                if (controller.getProxyInfo(id)) {
+                    await controller.startProxy(id);
+                } else {
+                    await controller.startStaticServer(id);
+                }
+            }
+
+            res.json({ success: true, id, wasFailed, started: !!start });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
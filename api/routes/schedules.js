@@ -0,0 +1,72 @@
+// api/routes/schedules.js - Scheduled server tasks: list with next runs, create, update, delete and run now
+
+const express = require('express');
+const router = express.Router();
+
+module.exports = (serverManager, { requireRole, audit }) => {
+    const scheduler = serverManager.scheduler || serverManager.schedules;
+    const logger = serverManager.logger;
+
+    if (!scheduler) {
+        logger.error('Scheduler not found in server manager');
+        return router;
+    }
+
+    // Tasks ordered by next run, optionally for one server or template
+    router.get('/', requireRole('viewer'), (req, res) => {
+        const { server, template } = req.query;
+        const schedules = scheduler.getAll()
+            .filter(task => !server || task.server === server)
+            .filter(task => !template || task.template === template);
+
+        res.json({ success: true, enabled: scheduler.enabled, schedules });
+    });
+
+    router.get('/:id', requireRole('viewer'), (req, res) => {
+        const task = scheduler.getTask(req.params.id);
+        if (!task) {
+            return res.status(404).json({ success: false, error: `Schedule ${req.params.id} not found` });
+        }
+        res.json({ success: true, schedule: scheduler.getInfo(task) });
+    });
+
+    // { "cron": "0 4 * * *", "action": "restart", "server": "hub", "warnings": [300, 60] }
+    router.post('/', audit('schedule.create'), requireRole('admin'), async (req, res) => {
+        try {
+            const schedule = await scheduler.create(req.body || {});
+            res.json({ success: true, schedule });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.put('/:id', audit('schedule.update'), requireRole('admin'), async (req, res) => {
+        try {
+            const schedule = await scheduler.update(req.params.id, req.body || {});
+            res.json({ success: true, schedule });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.delete('/:id', audit('schedule.delete'), requireRole('admin'), async (req, res) => {
+        try {
+            await scheduler.remove(req.params.id);
+            res.json({ success: true });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    // Runs the task now, including restart warnings; answers once every target is done
+    router.post('/:id/run', audit('schedule.run'), requireRole('operator'), async (req, res) => {
+        try {
+            const results = await scheduler.run(req.params.id);
+            res.json({ success: results.every(result => result.success), results });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,42 @@
+// api/routes/watchdog.js - Proxy watchdog state, incidents and manual recovery
+
+const express = require('express');
+const router = express.Router();
+
+module.exports = (serverManager, { requireRole, audit }) => {
+    const watchdog = serverManager.proxyWatchdog || serverManager.watchdog;
+    const logger = serverManager.logger;
+
+    if (!watchdog) {
+        logger.error('Proxy watchdog not found in server manager');
+        return router;
+    }
+
+    // Settings, current failure count and recent incidents (newest first)
+    router.get('/', requireRole('viewer'), (req, res) => {
+        res.json({ success: true, ...watchdog.getStatus() });
+    });
+
+    // Restart a proxy and re-register backends now, regardless of the recovery limit.
+    // "proxy" may only be omitted when a single proxy instance is configured.
+    router.post('/recover', audit('proxy.recover'), requireRole('operator'), async (req, res) => {
+        try {
+            const instances = serverManager.config.getProxyInstances();
+            if (!(req.body && req.body.proxy) && instances.length > 1) {
+                return res.status(400).json({ success: false, error: 'Several proxies are configured; specify proxy' });
+            }
+
+            const proxyId = (req.body && req.body.proxy) || instances[0]?.id || 'proxy';
+            if (!watchdog.controller.getProxyInfo(proxyId)) {
+                return res.status(404).json({ success: false, error: `Proxy ${proxyId} not found` });
+            }
+
+            const incident = await watchdog.recover(proxyId, ['manual recovery'], { manual: true });
+            res.json({ success: incident.result === 'recovered', incident });
+        } catch (error) {
+            res.status(409).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -546,6 +546,7 @@ class ServerManagerSetup {
                     path: 'templates/server-jars/paper-1.8.8-445.jar',
                     url: 'https://api.papermc.io/v2/projects/paper/versions/1.8.8/builds/445/downloads/paper-1.8.8-445.jar',
                     javaVersion: 8,
+                    forwarding: 'legacy',
                     minMemory: '512M',
                     maxMemory: '2G',
                     flags: [
@@ -570,6 +571,7 @@ class ServerManagerSetup {
                     path: 'templates/server-jars/paper-1.20.4-496.jar',
                     url: 'https://api.papermc.io/v2/projects/paper/versions/1.20.4/builds/496/downloads/paper-1.20.4-496.jar',
                     javaVersion: 17,
+                    forwarding: 'modern',
                     minMemory: '1G',
                     maxMemory: '4G',
                     flags: [
@@ -623,13 +625,47 @@ class ServerManagerSetup {
                 host: '0.0.0.0',
                 port: answers.velocityPort,
                 directory: './servers/velocity',
+                instances: existingConfig?.proxy?.instances || [],
                 defaultServer: 'hub',
                 fallbackServers: answers.enableLimbo ? ['hub', 'limbo'] : ['hub'],
                 autoStart: true,
                 autoRestart: true,
                 configTemplate: 'velocity',
                 motd: existingConfig?.proxy?.motd || '&3&lMinecraft Network &7| &fPowered by ServerManager',
-                plugins: ['servermanager']
+                showMaxPlayers: existingConfig?.proxy?.showMaxPlayers ?? 500,
+                onlineMode: existingConfig?.proxy?.onlineMode ?? false,
+                forwarding: existingConfig?.proxy?.forwarding || {
+                    mode: 'auto',
+                    secretFile: 'forwarding.secret'
+                },
+                forcedHosts: existingConfig?.proxy?.forcedHosts || {},
+                compression: existingConfig?.proxy?.compression || {
+                    threshold: 256,
+                    level: -1
+                },
+                rateLimits: existingConfig?.proxy?.rateLimits || {
+                    loginRatelimit: 3000,
+                    connectionTimeout: 5000,
+                    readTimeout: 30000
+                },
+                query: existingConfig?.proxy?.query || {
+                    enabled: false,
+                    port: answers.velocityPort,
+                    map: 'Velocity',
+                    showPlugins: false
+                },
+                plugins: ['servermanager'],
+                watchdog: existingConfig?.proxy?.watchdog || {
+                    enabled: true,
+                    interval: 15000,
+                    heartbeatTimeout: 60000,
+                    requireHeartbeat: false,
+                    pingTimeout: 5000,
+                    failureThreshold: 2,
+                    startupGrace: 120000,
+                    maxRecoveries: 3,
+                    window: 1800000
+                }
             },
             servers: {
                 hub: answers.enableHub ? {
@@ -744,6 +780,18 @@ class ServerManagerSetup {
                 checkInterval: 30000,
                 scaleCheckInterval: 30000
             },
+            matchmaking: existingConfig?.matchmaking || {
+                enabled: true,
+                interval: 2000,
+                queueTimeout: 300000,
+                fillTimeout: 15000,
+                createServers: true,
+                parties: {
+                    enabled: true,
+                    maxSize: 8,
+                    sameTeam: true
+                }
+            },
             ports: {
                 rangeStart: answers.dynamicPortStart,
                 rangeEnd: answers.dynamicPortEnd,
@@ -784,8 +832,26 @@ class ServerManagerSetup {
                 alerts: {
                     enabled: true,
                     lowTps: 15,
+                    highMspt: 50,
                     highMemory: 90,
-                    highCpu: 80
+                    highCpu: 80,
+                    highFds: 90,
+                    consecutiveSamples: 2
+                },
+                prometheus: {
+                    enabled: true,
+                    public: false
+                },
+                history: {
+                    enabled: true,
+                    backend: 'redis',
+                    directory: './data/metrics',
+                    retention: {
+                        raw: '6h',
+                        '1m': '7d',
+                        '1h': '90d',
+                        '1d': '730d'
+                    }
                 }
             },
             logging: existingConfig?.logging || {
@@ -813,13 +879,27 @@ class ServerManagerSetup {
                     enabled: true,
                     onCrash: true,
                     maxRetries: 3,
-                    retryDelay: 5000
+                    retryDelay: 5000,
+                    maxDelay: 300000,
+                    window: 600000
+                },
+                orphanProcesses: {
+                    policy: 'adopt',
+                    dynamicPolicy: 'terminate',
+                    stopTimeout: 15000
                 },
                 playerTracking: {
                     enabled: true,
                     storeHistory: true,
                     historyDays: 30
                 },
+                playerTransfer: {
+                    timeout: 5000
+                },
+                drain: {
+                    enabled: true,
+                    countdown: 10
+                },
                 serverSync: {
                     enabled: true,
                     syncInterval: 5000
@@ -844,9 +924,40 @@ class ServerManagerSetup {
                 authentication: {
                     enabled: false,
                     type: 'basic',
+                    sessionTtl: 43200000,
                     users: []
                 }
             },
+            audit: existingConfig?.audit || {
+                enabled: true,
+                file: './data/audit.log'
+            },
+            crashes: existingConfig?.crashes || {
+                enabled: true,
+                directory: './data/crashes',
+                consoleLines: 100,
+                maxRecords: 50
+            },
+            alerting: existingConfig?.alerting || {
+                enabled: true,
+                evaluationInterval: 10000,
+                historyFile: './data/alerts.log',
+                notifiers: [
+                    { id: 'webhook', type: 'webhook', enabled: false, url: '', format: 'generic', headers: {} },
+                    { id: 'discord', type: 'webhook', enabled: false, url: '', format: 'discord' },
+                    {
+                        id: 'email',
+                        type: 'smtp',
+                        enabled: false,
+                        host: 'localhost',
+                        port: 587,
+                        secure: false,
+                        auth: { user: '', pass: '' },
+                        from: 'server-manager@localhost',
+                        to: []
+                    }
+                ]
+            },
             cleanup: existingConfig?.cleanup || {
                 enabled: true,
                 serverLogs: {
@@ -873,7 +984,12 @@ class ServerManagerSetup {
                 compress: true,
                 includeWorlds: true,
                 includePlugins: false,
-                includeConfigs: true
+                includeConfigs: true,
+                includeProxy: true
+            },
+            schedules: existingConfig?.schedules || {
+                enabled: true,
+                tasks: []
             }
         };
         
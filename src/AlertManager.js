@@ -0,0 +1,502 @@
+// src/AlertManager.js - Rule-based Alerting with Deduplication, Resolve Notices and Pluggable Notifiers
+
+const path = require('path');
+const axios = require('axios');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const SmtpClient = require('./utils/SmtpClient');
+const JsonLinesLog = require('./utils/JsonLinesLog');
+const Logger = require('./utils/Logger');
+
+// Used when alerting.rules is not configured
+const DEFAULT_RULES = [
+    { id: 'server-crashed', type: 'crash', threshold: 1, window: 300000, severity: 'warning' },
+    { id: 'restart-limit', type: 'restartLimit', severity: 'critical' },
+    { id: 'pool-exhausted', type: 'poolExhausted', threshold: 3, window: 300000, severity: 'critical' },
+    { id: 'proxy-heartbeat-lost', type: 'proxyHeartbeat', threshold: 60000, severity: 'critical' },
+    { id: 'proxy-recovered', type: 'proxyRecovery', threshold: 1, window: 900000, severity: 'critical' },
+    { id: 'health-checks-failing', type: 'healthCheck', threshold: 2, duration: 30000, severity: 'warning' },
+    { id: 'server-degraded', type: 'degraded', duration: 60000, severity: 'warning', repeatInterval: 3600000 }
+];
+
+// Event-counting rule types keep their events this long at most
+const MAX_EVENT_AGE = 24 * 60 * 60 * 1000;
+
+function formatDuration(ms) {
+    if (ms < 60000) return `${Math.round(ms / 1000)}s`;
+    if (ms < 3600000) return `${Math.round(ms / 60000)}m`;
+    return `${Math.round(ms / 3600000)}h`;
+}
+
+const SEVERITY_COLORS = { info: 0x3b82f6, warning: 0xf59e0b, critical: 0xef4444 };
+
+class WebhookNotifier {
+    constructor(options) {
+        this.options = options;
+    }
+
+    async send(notification) {
+        const { url, headers = {}, timeout = 10000 } = this.options;
+        if (!url) throw new Error('No webhook url configured');
+
+        const body = this.options.format === 'discord'
+            ? this.formatDiscord(notification)
+            : notification;
+
+        await axios.post(url, body, { headers, timeout });
+    }
+
+    // Discord (and compatible) incoming webhooks take content/embeds
+    formatDiscord(notification) {
+        const resolved = notification.status === 'resolved';
+
+        return {
+            username: this.options.username || 'Server Manager',
+            embeds: [{
+                title: `[${notification.status.toUpperCase()}] ${notification.rule}`,
+                description: notification.message,
+                color: resolved ? 0x22c55e : SEVERITY_COLORS[notification.severity] || SEVERITY_COLORS.warning,
+                fields: [
+                    { name: 'Severity', value: notification.severity, inline: true },
+                    { name: 'Target', value: String(notification.key), inline: true }
+                ],
+                timestamp: new Date(notification.timestamp).toISOString()
+            }]
+        };
+    }
+}
+
+class SmtpNotifier {
+    constructor(options) {
+        this.options = options;
+        this.client = new SmtpClient(options);
+    }
+
+    async send(notification) {
+        const { from, to } = this.options;
+        if (!to || to.length === 0) throw new Error('No recipients configured');
+
+        await this.client.send({
+            from,
+            to,
+            subject: `[${notification.status.toUpperCase()}] ${notification.rule}: ${notification.message}`,
+            text: [
+                notification.message,
+                '',
+                `Rule: ${notification.rule} (${notification.type})`,
+                `Severity: ${notification.severity}`,
+                `Target: ${notification.key}`,
+                `Started: ${notification.startedAt ? new Date(notification.startedAt).toISOString() : '-'}`,
+                notification.resolvedAt ? `Resolved: ${new Date(notification.resolvedAt).toISOString()}` : null
+            ].filter(line => line !== null).join('\n')
+        });
+    }
+}
+
+const NOTIFIER_TYPES = {
+    webhook: WebhookNotifier,
+    smtp: SmtpNotifier
+};
+
+class AlertManager extends EventEmitter {
+    constructor(configManager, serverController, poolManager, redisManager, resourceMonitor, proxyWatchdog) {
+        super();
+        this.config = configManager;
+        this.controller = serverController;
+        this.pool = poolManager;
+        this.redis = redisManager;
+        this.resourceMonitor = resourceMonitor;
+        this.proxyWatchdog = proxyWatchdog;
+        this.logger = new Logger('AlertManager');
+
+        // fingerprint (rule:key) -> alert; one alert per rule and target is the deduplication
+        this.active = new Map();
+
+        // type -> [{ key, timestamp, details }] for event-counting rules
+        this.events = { crash: [], poolExhausted: [], proxyRecovery: [] };
+
+        this.evaluators = {
+            crash: (rule) => this.evaluateEvents('crash', rule, count => `crashed ${count} time(s)`),
+            poolExhausted: (rule) => this.evaluateEvents('poolExhausted', rule, count => `${count} server request(s) could not be fulfilled`),
+            proxyRecovery: (rule) => this.evaluateEvents('proxyRecovery', rule, count => `was restarted by the watchdog ${count} time(s)`),
+            restartLimit: () => this.evaluateRestartLimit(),
+            proxyHeartbeat: (rule) => this.evaluateProxyHeartbeat(rule),
+            healthCheck: (rule) => this.evaluateHealthChecks(rule),
+            degraded: () => this.evaluateDegraded()
+        };
+
+        this.history = new JsonLinesLog(() => this.filePath);
+        this.interval = null;
+        this.startedAt = null;
+    }
+
+    get enabled() {
+        return this.config.get('alerting.enabled', true) !== false;
+    }
+
+    get rules() {
+        const rules = this.config.get('alerting.rules') || DEFAULT_RULES;
+
+        return rules
+            .filter(rule => rule.enabled !== false && this.evaluators[rule.type])
+            .map(rule => ({
+                threshold: 1,
+                window: 300000,
+                duration: 0,
+                severity: 'warning',
+                repeatInterval: 0,
+                sendResolved: true,
+                ...rule
+            }));
+    }
+
+    get notifierConfigs() {
+        return this.config.get('alerting.notifiers', []);
+    }
+
+    get filePath() {
+        const configured = this.config.get('alerting.historyFile');
+        if (configured) return path.resolve(configured);
+
+        return path.resolve(this.config.get('paths.data', './data'), 'alerts.log');
+    }
+
+    start() {
+        if (!this.enabled) {
+            this.logger.info('Alerting is disabled');
+            return;
+        }
+
+        this.startedAt = Date.now();
+        this.subscribe();
+
+        const interval = this.config.get('alerting.evaluationInterval', 10000);
+        this.interval = setInterval(() => this.evaluate(), interval);
+
+        const notifiers = this.notifierConfigs.filter(n => n.enabled !== false).map(n => n.id);
+        this.logger.info(`Alerting started with ${this.rules.length} rule(s), notifiers: ${notifiers.join(', ') || 'none'}`);
+    }
+
+    stop() {
+        clearInterval(this.interval);
+        this.interval = null;
+    }
+
+    subscribe() {
+        this.controller.on('serverCrash', ({ serverId, code }) => {
+            this.recordEvent('crash', serverId, { code });
+        });
+
+        this.controller.on('healthCheckFailed', () => this.evaluate('healthCheck'));
+
+        this.controller.restartPolicy.on('alert', () => this.evaluate('restartLimit'));
+        this.controller.restartPolicy.on('reset', () => this.evaluate('restartLimit'));
+
+        if (this.pool) {
+            this.pool.on('requestFailed', (request) => {
+                this.recordEvent('poolExhausted', 'pool', { gameType: request && request.gameType });
+            });
+        }
+
+        if (this.proxyWatchdog) {
+            this.proxyWatchdog.on('incident', (incident) => {
+                this.recordEvent('proxyRecovery', incident.proxyId, { result: incident.result, reasons: incident.reasons });
+            });
+        }
+
+        if (this.resourceMonitor) {
+            this.resourceMonitor.on('serverDegraded', () => this.evaluate('degraded'));
+            this.resourceMonitor.on('serverRecovered', () => this.evaluate('degraded'));
+        }
+    }
+
+    recordEvent(type, key, details = {}) {
+        const now = Date.now();
+
+        this.events[type].push({ key, timestamp: now, details });
+        this.events[type] = this.events[type].filter(event => now - event.timestamp < MAX_EVENT_AGE);
+
+        this.evaluate(type);
+    }
+
+    // Evaluators return the targets currently matching a rule: [{ key, value, message }]
+
+    evaluateEvents(type, rule, describe) {
+        const now = Date.now();
+        const counts = new Map();
+
+        for (const event of this.events[type]) {
+            if (now - event.timestamp < rule.window) {
+                counts.set(event.key, (counts.get(event.key) || 0) + 1);
+            }
+        }
+
+        return Array.from(counts)
+            .filter(([, count]) => count >= rule.threshold)
+            .map(([key, count]) => ({ key, value: count, message: `${key} ${describe(count)} in the last ${formatDuration(rule.window)}` }));
+    }
+
+    evaluateRestartLimit() {
+        return this.controller.restartPolicy.getAll()
+            .filter(state => state.failed)
+            .map(state => ({
+                key: state.id,
+                value: state.recentRestarts,
+                message: `${state.id} hit the restart limit and is marked failed`
+            }));
+    }
+
+    evaluateProxyHeartbeat(rule) {
+        if (!this.config.get('proxy.enabled', false) || !this.redis || !this.redis.connected) return [];
+
+        const now = Date.now();
+        return Array.from(this.controller.proxies.values())
+            .filter(proxy => this.controller.isProxyHeartbeatTracked(proxy))
+            .map(proxy => ({
+                proxy,
+                silence: now - (this.controller.getProxyHeartbeat(proxy) || Math.max(this.startedAt, proxy.startedAt || 0))
+            }))
+            .filter(({ silence }) => silence > rule.threshold)
+            .map(({ proxy, silence }) => ({
+                key: proxy.id,
+                value: silence,
+                message: `No heartbeat from ${proxy.id} for ${formatDuration(silence)}`
+            }));
+    }
+
+    evaluateHealthChecks(rule) {
+        const { static: staticServers, dynamic } = this.controller.getAllServers();
+
+        return [...staticServers, ...dynamic]
+            .filter(server => server.healthChecks && server.healthChecks.failed >= rule.threshold)
+            .map(server => ({
+                key: server.id,
+                value: server.healthChecks.failed,
+                message: `${server.id} failed ${server.healthChecks.failed} consecutive health checks`
+            }));
+    }
+
+    evaluateDegraded() {
+        const { static: staticServers, dynamic } = this.controller.getAllServers();
+
+        return [...staticServers, ...dynamic]
+            .filter(server => server.status === 'degraded')
+            .map(server => ({
+                key: server.id,
+                value: (server.degradedReasons || []).length,
+                message: `${server.id} is degraded: ${(server.degradedReasons || []).map(r => r.message).join(', ')}`
+            }));
+    }
+
+    // Run the rules (optionally only those of one type) and move alerts between pending, firing and resolved
+    evaluate(type = null) {
+        if (!this.enabled) return;
+
+        const now = Date.now();
+
+        for (const rule of this.rules) {
+            if (type && rule.type !== type) continue;
+
+            let matches;
+            try {
+                matches = this.evaluators[rule.type](rule);
+            } catch (error) {
+                this.logger.error(`Failed to evaluate alert rule ${rule.id}: ${error.message}`);
+                continue;
+            }
+
+            const seen = new Set();
+
+            for (const match of matches) {
+                const fingerprint = `${rule.id}:${match.key}`;
+                seen.add(fingerprint);
+
+                let alert = this.active.get(fingerprint);
+                if (!alert) {
+                    alert = {
+                        id: uuidv4(),
+                        fingerprint,
+                        rule: rule.id,
+                        type: rule.type,
+                        severity: rule.severity,
+                        key: match.key,
+                        state: 'pending',
+                        pendingSince: now,
+                        startedAt: null,
+                        lastNotifiedAt: null
+                    };
+                    this.active.set(fingerprint, alert);
+                }
+
+                alert.value = match.value;
+                alert.message = match.message;
+
+                if (alert.state === 'pending' && now - alert.pendingSince >= rule.duration) {
+                    alert.state = 'firing';
+                    alert.startedAt = now;
+                    alert.lastNotifiedAt = now;
+
+                    this.logger.warn(`Alert firing: ${alert.message} (${rule.id})`);
+                    this.emit('alertFiring', this.toPublic(alert));
+                    this.dispatch(rule, alert, 'firing');
+                } else if (alert.state === 'firing' && rule.repeatInterval > 0 &&
+                    now - alert.lastNotifiedAt >= rule.repeatInterval) {
+                    alert.lastNotifiedAt = now;
+                    this.dispatch(rule, alert, 'firing', { repeat: true });
+                }
+            }
+
+            for (const [fingerprint, alert] of this.active) {
+                if (alert.rule !== rule.id || seen.has(fingerprint)) continue;
+
+                this.active.delete(fingerprint);
+                if (alert.state !== 'firing') continue;
+
+                alert.resolvedAt = now;
+                this.logger.info(`Alert resolved: ${alert.message} (${rule.id})`);
+                this.emit('alertResolved', this.toPublic(alert));
+
+                if (rule.sendResolved) {
+                    this.dispatch(rule, alert, 'resolved');
+                } else {
+                    this.recordHistory(this.buildNotification(alert, 'resolved'), []);
+                }
+            }
+        }
+    }
+
+    buildNotification(alert, status) {
+        return {
+            id: alert.id,
+            status,
+            rule: alert.rule,
+            type: alert.type,
+            severity: alert.severity,
+            key: alert.key,
+            value: alert.value,
+            message: alert.message,
+            startedAt: alert.startedAt,
+            resolvedAt: alert.resolvedAt || null,
+            timestamp: Date.now()
+        };
+    }
+
+    dispatch(rule, alert, status, { repeat = false } = {}) {
+        const notification = this.buildNotification(alert, status);
+        const targets = this.getNotifierConfigs(rule.notifiers);
+
+        this.send(targets, notification).then(results => {
+            if (!repeat) {
+                return this.recordHistory(notification, results);
+            }
+        }).catch(error => {
+            this.logger.error(`Failed to dispatch alert ${alert.fingerprint}: ${error.message}`);
+        });
+    }
+
+    // Enabled notifiers, limited to the ids a rule names
+    getNotifierConfigs(ids = null) {
+        return this.notifierConfigs.filter(notifier =>
+            notifier.enabled !== false && (!ids || ids.includes(notifier.id))
+        );
+    }
+
+    async send(targets, notification) {
+        return Promise.all(targets.map(async (options) => {
+            const Notifier = NOTIFIER_TYPES[options.type];
+            if (!Notifier) {
+                return { notifier: options.id, success: false, error: `Unknown notifier type ${options.type}` };
+            }
+
+            try {
+                await new Notifier(options).send(notification);
+                return { notifier: options.id, success: true };
+            } catch (error) {
+                this.logger.error(`Notifier ${options.id} failed: ${error.message}`);
+                return { notifier: options.id, success: false, error: error.message };
+            }
+        }));
+    }
+
+    // Send a test notification through one notifier (even if disabled) or all enabled ones
+    async testFire({ notifier = null, message = null } = {}) {
+        let targets;
+        if (notifier) {
+            targets = this.notifierConfigs.filter(n => n.id === notifier);
+            if (targets.length === 0) {
+                throw new Error(`Notifier ${notifier} not found`);
+            }
+        } else {
+            targets = this.getNotifierConfigs();
+        }
+
+        const notification = {
+            id: uuidv4(),
+            status: 'test',
+            rule: 'test',
+            type: 'test',
+            severity: 'info',
+            key: 'alerting',
+            value: null,
+            message: message || 'Test notification from the server manager',
+            startedAt: Date.now(),
+            resolvedAt: null,
+            timestamp: Date.now()
+        };
+
+        const results = await this.send(targets, notification);
+        await this.recordHistory(notification, results);
+
+        return { notification, results };
+    }
+
+    async recordHistory(notification, results) {
+        const entry = { ...notification, notifications: results };
+
+        try {
+            await this.history.append(entry);
+        } catch (error) {
+            this.logger.error(`Failed to write alert history: ${error.message}`);
+        }
+        return entry;
+    }
+
+    /**
+     * Query the alert history, newest first.
+     * Filters: rule, status (firing|resolved|test), severity, key, from, to (ms timestamps).
+     */
+    async queryHistory(filters = {}) {
+        const { rule, status, severity, key, from, to, limit = 100, offset = 0 } = filters;
+
+        return this.history.query(entry =>
+            (!rule || entry.rule === rule) &&
+            (!status || entry.status === status) &&
+            (!severity || entry.severity === severity) &&
+            (!key || entry.key === key) &&
+            (!from || entry.timestamp >= from) &&
+            (!to || entry.timestamp <= to),
+        { limit, offset });
+    }
+
+    toPublic(alert) {
+        const { id, rule, type, severity, key, state, value, message, pendingSince, startedAt, resolvedAt } = alert;
+        return { id, rule, type, severity, key, state, value, message, pendingSince, startedAt, resolvedAt: resolvedAt || null };
+    }
+
+    getActive() {
+        return Array.from(this.active.values()).map(alert => this.toPublic(alert));
+    }
+
+    // Notifier settings without urls and credentials
+    getNotifiers() {
+        return this.notifierConfigs.map(({ id, type, enabled, format, to }) => ({
+            id,
+            type,
+            enabled: enabled !== false,
+            format: format || null,
+            recipients: Array.isArray(to) ? to.length : undefined
+        }));
+    }
+}
+
+module.exports = AlertManager;
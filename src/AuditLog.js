@@ -0,0 +1,120 @@
+// src/AuditLog.js - Append-only Audit Trail for Mutating Actions
+
+const path = require('path');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const JsonLinesLog = require('./utils/JsonLinesLog');
+const Logger = require('./utils/Logger');
+
+// Keys whose values are never written to the audit trail
+const REDACTED_KEYS = ['password', 'passwordHash', 'pass', 'apiKey', 'token', 'secret'];
+
+// { path, value } bodies (POST /api/config) whose path names one of these carry a secret value
+const SECRET_SEGMENTS = ['apikey', 'password', 'passwordhash', 'pass', 'secret', 'token'];
+
+function isSecretPath(configPath) {
+    return typeof configPath === 'string' &&
+        configPath.split('.').some(segment => SECRET_SEGMENTS.includes(segment.toLowerCase()));
+}
+
+class AuditLog extends EventEmitter {
+    constructor(configManager) {
+        super();
+        this.config = configManager;
+        this.logger = new Logger('AuditLog');
+        this.log = new JsonLinesLog(() => this.filePath);
+    }
+
+    get enabled() {
+        return this.config.get('audit.enabled', true) !== false;
+    }
+
+    get filePath() {
+        const configured = this.config.get('audit.file');
+        if (configured) return path.resolve(configured);
+
+        return path.resolve(this.config.get('paths.data', './data'), 'audit.log');
+    }
+
+    async record(entry) {
+        if (!this.enabled) return null;
+
+        const record = {
+            id: uuidv4(),
+            timestamp: Date.now(),
+            actor: entry.actor || 'anonymous',
+            role: entry.role || null,
+            ip: entry.ip || null,
+            source: entry.source || 'rest',
+            action: entry.action,
+            route: entry.route || null,
+            target: entry.target || null,
+            args: this.redact(entry.args),
+            result: entry.result || 'success',
+            status: entry.status || null,
+            error: entry.error || null
+        };
+
+        try {
+            await this.log.append(record);
+        } catch (error) {
+            this.logger.error(`Failed to write audit entry: ${error.message}`);
+        }
+
+        this.emit('entry', record);
+        this.logger.debug(`Audit: ${record.actor} ${record.action} ${record.target || ''} -> ${record.result}`);
+
+        return record;
+    }
+
+    redact(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.redact(item));
+        }
+
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [key, item] of Object.entries(value)) {
+                result[key] = REDACTED_KEYS.includes(key) ? '[redacted]' : this.redact(item);
+            }
+            if ('value' in result && isSecretPath(value.path)) {
+                result.value = '[redacted]';
+            }
+            return result;
+        }
+
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Query the audit trail, newest first.
+     * Filters: actor, action (prefix match), target, source, result, ip, from, to (ms timestamps).
+     */
+    async query(filters = {}) {
+        const {
+            actor,
+            action,
+            target,
+            source,
+            result,
+            ip,
+            from,
+            to,
+            limit = 100,
+            offset = 0
+        } = filters;
+
+        return this.log.query(entry =>
+            (!actor || entry.actor === actor) &&
+            (!action || entry.action.startsWith(action)) &&
+            (!target || entry.target === target) &&
+            (!source || entry.source === source) &&
+            (!result || entry.result === result) &&
+            (!ip || entry.ip === ip) &&
+            (!from || entry.timestamp >= from) &&
+            (!to || entry.timestamp <= to),
+        { limit, offset });
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,205 @@
+// src/BackendForwarding.js - Player Info Forwarding Mode per Jar and Backend Proxy Settings
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const Logger = require('./utils/Logger');
+
+const PROXY_MODES = ['auto', 'none', 'legacy', 'bungeeguard', 'modern'];
+
+// Returns whether the value changed
+function setPath(target, keys, value) {
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+        if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+        node = node[key];
+    }
+
+    const last = keys[keys.length - 1];
+    if (node[last] === value) return false;
+
+    node[last] = value;
+    return true;
+}
+
+class BackendForwarding {
+    constructor(configManager) {
+        this.config = configManager;
+        this.logger = new Logger('BackendForwarding');
+
+        // Jars already warned about, so every server start does not repeat it
+        this.warned = new Set();
+    }
+
+    get secretFile() {
+        return this.config.get('proxy.forwarding.secretFile', 'forwarding.secret');
+    }
+
+    // Every proxy instance forwards with the same secret, kept in the directory of the first one
+    get secretPath() {
+        const [primary] = this.config.getProxyInstances();
+        const proxyDir = path.resolve(primary ? primary.directory : './servers/velocity');
+        return path.join(proxyDir, this.secretFile);
+    }
+
+    // Minecraft version of a jar: the "version" field, else taken from the jar name or path
+    getVersion(jarName) {
+        const jar = this.config.getJarConfig(jarName) || {};
+        const source = jar.version || jarName || jar.path || '';
+        const match = String(source).match(/(\d+)\.(\d+)(?:\.(\d+))?/);
+
+        return match ? [parseInt(match[1]), parseInt(match[2]), parseInt(match[3] || 0)] : null;
+    }
+
+    // Modern forwarding needs login plugin messages, which arrived in 1.13
+    supportsModern(jarName) {
+        const version = this.getVersion(jarName);
+        return !!version && (version[0] > 1 || version[1] >= 13);
+    }
+
+    // Mode a jar wants: jars.<name>.forwarding, otherwise modern where supported
+    getJarMode(jarName) {
+        const jar = this.config.getJarConfig(jarName) || {};
+        if (['modern', 'legacy', 'none'].includes(jar.forwarding)) return jar.forwarding;
+
+        return this.supportsModern(jarName) ? 'modern' : 'legacy';
+    }
+
+    // Jars of every server the proxy routes to
+    getProxiedJars() {
+        const jars = new Set();
+        const hub = this.config.get('servers.hub');
+        if (hub && hub.enabled !== false && hub.jar) jars.add(hub.jar);
+
+        for (const server of this.config.get('servers.static', [])) {
+            if (server.enabled !== false && server.jar) jars.add(server.jar);
+        }
+
+        const templates = this.config.get('servers.dynamic.templates', {});
+        for (const template of Object.values(templates)) {
+            if (template.jar) jars.add(template.jar);
+        }
+
+        return Array.from(jars);
+    }
+
+    // Velocity forwards in one mode for all servers; "auto" uses modern only if every backend jar wants it
+    getProxyMode() {
+        const mode = this.config.get('proxy.forwarding.mode', 'auto');
+        if (!PROXY_MODES.includes(mode) || mode === 'auto') {
+            const jars = this.getProxiedJars();
+            return jars.length > 0 && jars.every(jar => this.getJarMode(jar) === 'modern') ? 'modern' : 'legacy';
+        }
+        return mode;
+    }
+
+    // What a backend must be configured for so that it accepts the proxy's forwarding
+    getBackendMode(jarName) {
+        const proxyMode = this.getProxyMode();
+        const jarMode = this.getJarMode(jarName);
+
+        if (proxyMode === 'none' || jarMode === 'none') return 'none';
+
+        if (proxyMode === 'modern') {
+            if (jarMode !== 'modern' && !this.warned.has(jarName)) {
+                this.warned.add(jarName);
+                this.logger.warn(
+                    `Proxy uses modern forwarding but ${jarName} ${this.supportsModern(jarName) ? 'is set to legacy' : 'predates 1.13'}, ` +
+                    'players cannot join its servers through the proxy'
+                );
+            }
+            return jarMode === 'modern' ? 'modern' : 'legacy';
+        }
+
+        // legacy and bungeeguard both arrive as BungeeCord-style handshakes
+        return 'legacy';
+    }
+
+    async readSecret() {
+        if (!await fs.pathExists(this.secretPath)) return null;
+        return (await fs.readFile(this.secretPath, 'utf8')).trim();
+    }
+
+    // Create the shared secret if needed and put a copy into a proxy directory
+    async ensureSecret(proxyDir) {
+        if (!await fs.pathExists(this.secretPath)) {
+            await fs.outputFile(this.secretPath, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+            this.logger.info('Created forwarding secret file');
+        }
+
+        const target = path.join(proxyDir, this.secretFile);
+        if (path.resolve(target) !== this.secretPath) {
+            await fs.copy(this.secretPath, target);
+        }
+    }
+
+    // Write spigot.yml and paper.yml / config/paper-global.yml of a server for its forwarding mode
+    async configure(serverDir, jarName) {
+        if (!this.config.get('proxy.enabled', false)) return null;
+
+        const mode = this.getBackendMode(jarName);
+        const version = this.getVersion(jarName) || [1, 8, 8];
+        const onlineMode = this.config.get('proxy.onlineMode', false);
+        const modern = mode === 'modern';
+
+        let secret = null;
+        if (modern) {
+            secret = await this.readSecret();
+            if (!secret) {
+                this.logger.warn(`No ${this.secretFile} yet, start the proxy before ${path.basename(serverDir)} for modern forwarding`);
+            }
+        }
+
+        await this.updateYaml(path.join(serverDir, 'spigot.yml'), [
+            [['settings', 'bungeecord'], mode === 'legacy']
+        ]);
+
+        // Paper 1.19+ moved proxy settings to config/paper-global.yml
+        if (version[0] === 1 && version[1] >= 19 || version[0] > 1) {
+            await this.updateYaml(path.join(serverDir, 'config', 'paper-global.yml'), [
+                [['proxies', 'velocity', 'enabled'], modern],
+                [['proxies', 'velocity', 'online-mode'], onlineMode],
+                [['proxies', 'velocity', 'secret'], modern ? secret || '' : ''],
+                [['proxies', 'bungee-cord', 'online-mode'], onlineMode]
+            ]);
+        } else if (version[1] >= 13) {
+            await this.updateYaml(path.join(serverDir, 'paper.yml'), [
+                [['settings', 'velocity-support', 'enabled'], modern],
+                [['settings', 'velocity-support', 'online-mode'], onlineMode],
+                [['settings', 'velocity-support', 'secret'], modern ? secret || '' : ''],
+                [['settings', 'bungee-online-mode'], onlineMode]
+            ]);
+        }
+
+        this.logger.debug(`Configured ${mode} forwarding for ${serverDir} (${jarName})`);
+        return mode;
+    }
+
+    // Set keys in a YAML file, keeping everything else the server or template put there.
+    // The file is only rewritten (and loses its comments) when a value actually changes.
+    async updateYaml(filePath, values) {
+        let document = {};
+        if (await fs.pathExists(filePath)) {
+            try {
+                document = yaml.load(await fs.readFile(filePath, 'utf8')) || {};
+            } catch (error) {
+                // Never overwrite the operator's settings with just the forwarding keys
+                this.logger.error(`Not configuring forwarding in unreadable ${filePath}: ${error.message}`);
+                return false;
+            }
+        }
+
+        let changed = false;
+        for (const [keys, value] of values) {
+            changed = setPath(document, keys, value) || changed;
+        }
+        if (!changed) return false;
+
+        await fs.ensureDir(path.dirname(filePath));
+        await fs.writeFile(filePath, yaml.dump(document, { lineWidth: -1 }));
+        return true;
+    }
+}
+
+module.exports = BackendForwarding;
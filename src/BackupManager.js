@@ -0,0 +1,502 @@
+// src/BackupManager.js - Scheduled World/Config Backups
+
+const fs = require('fs-extra');
+const path = require('path');
+const cron = require('node-cron');
+const tar = require('tar');
+const EventEmitter = require('events');
+const Logger = require('./utils/Logger');
+
+// Top-level files treated as configuration when includeConfigs is set
+const CONFIG_EXTENSIONS = ['.properties', '.yml', '.yaml', '.toml', '.json', '.txt', '.secret'];
+
+class BackupManager extends EventEmitter {
+    constructor(configManager, serverController) {
+        super();
+        this.config = configManager;
+        this.controller = serverController;
+        this.logger = new Logger('BackupManager');
+
+        this.task = null;
+        this.inProgress = new Set();
+    }
+
+    async start() {
+        const backupConfig = this.config.get('backup', {});
+
+        if (!backupConfig.enabled) {
+            this.logger.info('Scheduled backups are disabled');
+            return;
+        }
+
+        const schedule = backupConfig.schedule || '0 3 * * *';
+        if (!cron.validate(schedule)) {
+            this.logger.error(`Invalid backup schedule: ${schedule}`);
+            return;
+        }
+
+        this.task = cron.schedule(schedule, () => {
+            this.runScheduledBackup().catch(err => {
+                this.logger.error(`Scheduled backup failed: ${err.message}`);
+            });
+        });
+
+        this.logger.info(`Backups scheduled: ${schedule}`);
+    }
+
+    async stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+        }
+    }
+
+    getBackupDirectory() {
+        return path.resolve(this.config.get('paths.backups', './backups'));
+    }
+
+    // Static servers (hub + servers.static) and the proxies
+    getTargets() {
+        const targets = [];
+
+        const hubConfig = this.config.get('servers.hub');
+        if (hubConfig && hubConfig.enabled !== false) {
+            targets.push({
+                id: hubConfig.id || 'hub',
+                type: 'static',
+                directory: path.resolve(this.controller.getServerDirectory(hubConfig.id || 'hub', 'static'))
+            });
+        }
+
+        for (const serverConfig of this.config.get('servers.static', [])) {
+            if (serverConfig.enabled === false) continue;
+            targets.push({
+                id: serverConfig.id,
+                type: 'static',
+                directory: path.resolve(this.controller.getServerDirectory(serverConfig.id, 'static'))
+            });
+        }
+
+        const proxyConfig = this.config.get('proxy');
+        if (proxyConfig && proxyConfig.enabled && this.config.get('backup.includeProxy', true)) {
+            for (const instance of this.config.getProxyInstances()) {
+                targets.push({
+                    id: instance.id,
+                    type: 'proxy',
+                    directory: path.resolve(instance.directory)
+                });
+            }
+        }
+
+        return targets;
+    }
+
+    getTarget(targetId) {
+        return this.getTargets().find(t => t.id === targetId) || null;
+    }
+
+    async runScheduledBackup() {
+        this.logger.info('Running scheduled backup...');
+
+        const results = [];
+        for (const target of this.getTargets()) {
+            try {
+                const backup = await this.createBackup(target.id, { reason: 'scheduled' });
+                results.push({ target: target.id, success: true, backup });
+            } catch (error) {
+                this.logger.error(`Backup of ${target.id} failed: ${error.message}`);
+                results.push({ target: target.id, success: false, error: error.message });
+            }
+        }
+
+        await this.enforceRetention();
+
+        this.emit('scheduledBackupComplete', results);
+        return results;
+    }
+
+    async selectEntries(directory) {
+        const backupConfig = this.config.get('backup', {});
+        const entries = [];
+
+        for (const item of await fs.readdir(directory)) {
+            const itemPath = path.join(directory, item);
+            const stat = await fs.stat(itemPath);
+
+            if (stat.isDirectory()) {
+                const isWorld = await fs.pathExists(path.join(itemPath, 'level.dat'));
+
+                if (isWorld && backupConfig.includeWorlds !== false) {
+                    entries.push(item);
+                } else if (item === 'plugins' && backupConfig.includePlugins) {
+                    entries.push(item);
+                } else if (item === 'config' && backupConfig.includeConfigs !== false) {
+                    entries.push(item);
+                }
+            } else if (backupConfig.includeConfigs !== false &&
+                       CONFIG_EXTENSIONS.includes(path.extname(item).toLowerCase())) {
+                entries.push(item);
+            }
+        }
+
+        return entries;
+    }
+
+    async createBackup(targetId, options = {}) {
+        const { reason = 'manual' } = options;
+
+        const target = this.getTarget(targetId);
+        if (!target) {
+            throw new Error(`Backup target ${targetId} not found`);
+        }
+
+        if (!await fs.pathExists(target.directory)) {
+            throw new Error(`Directory for ${targetId} does not exist: ${target.directory}`);
+        }
+
+        if (this.inProgress.has(targetId)) {
+            throw new Error(`Backup of ${targetId} already in progress`);
+        }
+
+        this.inProgress.add(targetId);
+
+        const compress = this.config.get('backup.compress', true);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const id = `${targetId}-${timestamp}`;
+        const targetDir = path.join(this.getBackupDirectory(), targetId);
+        const file = path.join(targetDir, `${id}${compress ? '.tar.gz' : '.tar'}`);
+
+        // Flush and pause world saves on running servers so the snapshot is consistent
+        const server = target.type === 'static' ? this.controller.staticServers.get(targetId) : null;
+        const pauseSaves = server && server.process;
+
+        try {
+            await fs.ensureDir(targetDir);
+
+            const entries = await this.selectEntries(target.directory);
+            if (entries.length === 0) {
+                throw new Error(`Nothing to back up for ${targetId} with current include settings`);
+            }
+
+            if (pauseSaves) {
+                await this.controller.sendCommand(targetId, 'save-off');
+                await this.controller.sendCommand(targetId, 'save-all');
+                await new Promise(resolve => setTimeout(resolve, 3000));
+            }
+
+            this.logger.info(`Creating backup ${id} (${entries.length} entries)`);
+
+            await tar.c({ gzip: compress, file, cwd: target.directory, portable: true }, entries);
+
+            const stat = await fs.stat(file);
+            const backup = {
+                id,
+                target: targetId,
+                type: target.type,
+                file,
+                size: stat.size,
+                compressed: compress,
+                entries,
+                reason,
+                createdAt: Date.now()
+            };
+
+            await fs.writeJSON(`${file}.json`, backup, { spaces: 2 });
+
+            this.logger.info(`Backup ${id} created (${Math.round(stat.size / 1024)} KB)`);
+            this.emit('backupCreated', backup);
+
+            return backup;
+        } catch (error) {
+            await fs.remove(file).catch(() => {});
+            this.emit('backupFailed', { target: targetId, error: error.message });
+            throw error;
+        } finally {
+            if (pauseSaves && server.process) {
+                await this.controller.sendCommand(targetId, 'save-on').catch(err => {
+                    this.logger.error(`Failed to re-enable saving on ${targetId}: ${err.message}`);
+                });
+            }
+            this.inProgress.delete(targetId);
+        }
+    }
+
+    // targetId becomes a path below the backup directory, so only known targets are accepted
+    async listBackups(targetId = null) {
+        if (targetId && !this.getTarget(targetId)) {
+            throw new Error(`Backup target ${targetId} not found`);
+        }
+
+        const baseDir = this.getBackupDirectory();
+        if (!await fs.pathExists(baseDir)) return [];
+
+        const targetDirs = targetId ? [targetId] : await fs.readdir(baseDir);
+        const backups = [];
+
+        for (const dir of targetDirs) {
+            const targetDir = path.join(baseDir, dir);
+            if (!await fs.pathExists(targetDir)) continue;
+            if (!(await fs.stat(targetDir)).isDirectory()) continue;
+
+            for (const file of await fs.readdir(targetDir)) {
+                if (!file.endsWith('.json')) continue;
+
+                try {
+                    const backup = await fs.readJSON(path.join(targetDir, file));
+                    if (await fs.pathExists(backup.file)) {
+                        backups.push(backup);
+                    }
+                } catch (error) {
+                    this.logger.warn(`Unreadable backup metadata ${file}: ${error.message}`);
+                }
+            }
+        }
+
+        return backups.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    async getBackup(backupId) {
+        const backups = await this.listBackups();
+        return backups.find(b => b.id === backupId) || null;
+    }
+
+    async deleteBackup(backupId) {
+        const backup = await this.getBackup(backupId);
+        if (!backup) {
+            throw new Error(`Backup ${backupId} not found`);
+        }
+
+        await fs.remove(backup.file);
+        await fs.remove(`${backup.file}.json`);
+        this.logger.info(`Deleted backup ${backupId}`);
+        this.emit('backupDeleted', backup);
+    }
+
+    // Removes backups older than `backup.retention` days, always keeping the newest per target
+    async enforceRetention() {
+        const retentionDays = this.config.get('backup.retention', 7);
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        const removed = [];
+
+        const byTarget = new Map();
+        for (const backup of await this.listBackups()) {
+            if (!byTarget.has(backup.target)) byTarget.set(backup.target, []);
+            byTarget.get(backup.target).push(backup);
+        }
+
+        for (const backups of byTarget.values()) {
+            // listBackups is newest first, so skip index 0
+            for (const backup of backups.slice(1)) {
+                if (backup.createdAt < cutoff) {
+                    await this.deleteBackup(backup.id);
+                    removed.push(backup.id);
+                }
+            }
+        }
+
+        if (removed.length > 0) {
+            this.logger.info(`Retention removed ${removed.length} backup(s)`);
+        }
+
+        return removed;
+    }
+
+    // Extracts an archive over the target directory; the target must not be running
+    async extractBackup(backupId, destination = null) {
+        const backup = await this.getBackup(backupId);
+        if (!backup) {
+            throw new Error(`Backup ${backupId} not found`);
+        }
+
+        const target = this.getTarget(backup.target);
+        const directory = destination || target?.directory;
+        if (!directory) {
+            throw new Error(`Backup target ${backup.target} is no longer configured`);
+        }
+
+        await fs.ensureDir(directory);
+        await tar.x({ file: backup.file, cwd: directory });
+
+        return backup;
+    }
+
+    async restoreBackup(backupId) {
+        const backup = await this.getBackup(backupId);
+        if (!backup) {
+            throw new Error(`Backup ${backupId} not found`);
+        }
+
+        const running = backup.type === 'proxy'
+            ? this.controller.proxies.has(backup.target)
+            : this.controller.staticServers.has(backup.target);
+        if (running) {
+            throw new Error(`${backup.target} is running; stop it before restoring`);
+        }
+
+        const target = this.getTarget(backup.target);
+        if (!target) {
+            throw new Error(`Backup target ${backup.target} is no longer configured`);
+        }
+
+        if (this.inProgress.has(backup.target)) {
+            throw new Error(`A backup or restore of ${backup.target} is already in progress`);
+        }
+        this.inProgress.add(backup.target);
+
+        try {
+            this.logger.info(`Restoring backup ${backupId} into ${backup.target}`);
+            const asideDir = await this.rebuildFromBackup(backup, target.directory);
+            if (asideDir) {
+                await fs.remove(asideDir);
+            }
+        } finally {
+            this.inProgress.delete(backup.target);
+        }
+
+        this.emit('backupRestored', backup);
+        return backup;
+    }
+
+    /**
+     * Move the directory aside and rebuild it from the moved-aside copy plus the archive, so files
+     * the archive covers are replaced rather than merged. Returns the moved-aside path (null when
+     * there was no directory) for the caller to remove or roll back to; if the rebuild itself
+     * fails the original directory is put back before the error is rethrown.
+     */
+    async rebuildFromBackup(backup, directory, progress = () => {}) {
+        const asideDir = `${directory}.pre-restore-${Date.now()}`;
+        let movedAside = false;
+
+        try {
+            if (await fs.pathExists(directory)) {
+                progress('moving', `Moving current directory aside to ${path.basename(asideDir)}`);
+                await fs.move(directory, asideDir);
+                movedAside = true;
+
+                // Keep everything the archive doesn't cover (jars, plugins, logs, ...)
+                await fs.copy(asideDir, directory, {
+                    filter: (src) => {
+                        const relative = path.relative(asideDir, src);
+                        const topLevel = relative.split(path.sep)[0];
+                        return relative === '' || !backup.entries.includes(topLevel);
+                    }
+                });
+            }
+
+            progress('extracting', `Extracting ${path.basename(backup.file)}`);
+            await this.extractBackup(backup.id, directory);
+        } catch (error) {
+            if (movedAside) {
+                await fs.remove(directory);
+                await fs.move(asideDir, directory);
+            }
+            throw error;
+        }
+
+        return movedAside ? asideDir : null;
+    }
+
+    /**
+     * Safely restore a static server: stop it, move its directory aside, rebuild it from the
+     * moved-aside copy plus the archive contents, then start it again. If extraction or startup
+     * fails, the moved-aside directory is put back and the server is started as before.
+     * Progress is reported through 'restoreProgress' events.
+     */
+    async restoreStaticServer(name, backupId = null, options = {}) {
+        const target = this.getTarget(name);
+        if (!target || target.type !== 'static') {
+            throw new Error(`Static server ${name} is not a backup target`);
+        }
+
+        const backup = backupId
+            ? await this.getBackup(backupId)
+            : (await this.listBackups(name))[0];
+        if (!backup) {
+            throw new Error(backupId ? `Backup ${backupId} not found` : `No backups found for ${name}`);
+        }
+        if (backup.target !== name) {
+            throw new Error(`Backup ${backup.id} belongs to ${backup.target}, not ${name}`);
+        }
+
+        if (this.inProgress.has(name)) {
+            throw new Error(`A backup or restore of ${name} is already in progress`);
+        }
+        this.inProgress.add(name);
+
+        const progress = (stage, message) => {
+            this.logger.info(`[restore ${name}] ${message}`);
+            this.emit('restoreProgress', { server: name, backupId: backup.id, stage, message, timestamp: Date.now() });
+        };
+
+        const wasRunning = this.controller.staticServers.has(name);
+        const shouldStart = options.start !== undefined ? options.start : wasRunning;
+        const directory = target.directory;
+        let asideDir = null;
+
+        try {
+            if (wasRunning) {
+                progress('stopping', `Stopping ${name}`);
+                await this.controller.stopStaticServer(name);
+            }
+
+            asideDir = await this.rebuildFromBackup(backup, directory, progress);
+
+            if (shouldStart) {
+                progress('starting', `Starting ${name}`);
+                await this.controller.startStaticServer(name);
+            }
+
+            if (asideDir) {
+                await fs.remove(asideDir);
+            }
+
+            progress('completed', `Restored ${name} from ${backup.id}`);
+            this.emit('backupRestored', backup);
+
+            return { backup, started: shouldStart };
+        } catch (error) {
+            progress('rollingBack', `Restore failed (${error.message}), rolling back`);
+            await this.rollbackRestore(name, directory, asideDir, wasRunning);
+            progress('failed', `Restore of ${name} failed: ${error.message}`);
+            throw error;
+        } finally {
+            this.inProgress.delete(name);
+        }
+    }
+
+    async rollbackRestore(name, directory, asideDir, restart) {
+        try {
+            // A failed start leaves the server registered; clear it out before swapping directories
+            if (this.controller.staticServers.has(name)) {
+                await this.controller.stopStaticServer(name).catch(err => {
+                    this.logger.warn(`Failed to stop ${name} during rollback: ${err.message}`);
+                    this.controller.staticServers.delete(name);
+                });
+            }
+
+            if (asideDir) {
+                await fs.remove(directory);
+                await fs.move(asideDir, directory);
+            }
+
+            if (restart) {
+                await this.controller.startStaticServer(name);
+            }
+        } catch (error) {
+            this.logger.error(`Rollback of ${name} failed: ${error.message}`);
+        }
+    }
+
+    getStatus() {
+        return {
+            enabled: !!this.config.get('backup.enabled'),
+            scheduled: !!this.task,
+            schedule: this.config.get('backup.schedule'),
+            retention: this.config.get('backup.retention', 7),
+            inProgress: Array.from(this.inProgress),
+            targets: this.getTargets().map(t => t.id)
+        };
+    }
+}
+
+module.exports = BackupManager;
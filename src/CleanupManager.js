@@ -0,0 +1,385 @@
+// src/CleanupManager.js - Log Rotation, Crash Report Pruning and Temp File Sweeping
+
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const cron = require('node-cron');
+const EventEmitter = require('events');
+const Logger = require('./utils/Logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Files that are held open by a running process and must never be compressed or deleted
+const ACTIVE_LOG_FILES = ['latest.log', 'server-manager.log', 'error.log'];
+
+const POLICIES = ['serverLogs', 'crashReports', 'tempFiles'];
+
+class CleanupManager extends EventEmitter {
+    constructor(configManager, serverController) {
+        super();
+        this.config = configManager;
+        this.controller = serverController;
+        this.logger = new Logger('CleanupManager');
+
+        this.tasks = new Map();
+        this.running = new Set();
+        this.lastReports = {};
+    }
+
+    async start() {
+        if (!this.config.get('cleanup.enabled', false)) {
+            this.logger.info('Cleanup is disabled');
+            return;
+        }
+
+        for (const policy of POLICIES) {
+            const policyConfig = this.config.get(`cleanup.${policy}`, {});
+            if (!policyConfig.enabled) continue;
+
+            // crashReports has no schedule of its own and runs alongside the log cleanup
+            const schedule = policyConfig.schedule || this.config.get('cleanup.serverLogs.schedule', '0 0 * * *');
+            if (!cron.validate(schedule)) {
+                this.logger.error(`Invalid cleanup schedule for ${policy}: ${schedule}`);
+                continue;
+            }
+
+            this.tasks.set(policy, cron.schedule(schedule, () => {
+                this.run(policy).catch(err => {
+                    this.logger.error(`Scheduled ${policy} cleanup failed: ${err.message}`);
+                });
+            }));
+
+            this.logger.info(`Cleanup policy ${policy} scheduled: ${schedule}`);
+        }
+    }
+
+    async stop() {
+        for (const task of this.tasks.values()) {
+            task.stop();
+        }
+        this.tasks.clear();
+    }
+
+    async runAll() {
+        const reports = [];
+        for (const policy of POLICIES) {
+            if (this.config.get(`cleanup.${policy}.enabled`, false)) {
+                reports.push(await this.run(policy));
+            }
+        }
+        return reports;
+    }
+
+    async run(policy) {
+        if (!POLICIES.includes(policy)) {
+            throw new Error(`Unknown cleanup policy: ${policy}`);
+        }
+
+        if (this.running.has(policy)) {
+            throw new Error(`Cleanup policy ${policy} is already running`);
+        }
+
+        this.running.add(policy);
+
+        const report = {
+            policy,
+            startedAt: Date.now(),
+            durationMs: 0,
+            filesRemoved: 0,
+            filesCompressed: 0,
+            directoriesRemoved: 0,
+            bytesReclaimed: 0,
+            errors: []
+        };
+
+        try {
+            switch (policy) {
+                case 'serverLogs':
+                    await this.cleanServerLogs(report);
+                    break;
+                case 'crashReports':
+                    await this.cleanCrashReports(report);
+                    break;
+                case 'tempFiles':
+                    await this.cleanTempFiles(report);
+                    break;
+            }
+        } finally {
+            this.running.delete(policy);
+        }
+
+        report.durationMs = Date.now() - report.startedAt;
+        this.lastReports[policy] = report;
+
+        this.logger.info(
+            `Cleanup ${policy}: removed ${report.filesRemoved} files, ${report.directoriesRemoved} directories, ` +
+            `compressed ${report.filesCompressed}, reclaimed ${this.formatBytes(report.bytesReclaimed)}`
+        );
+        this.emit('cleanupComplete', report);
+
+        return report;
+    }
+
+    // Every server directory the manager knows about: static, dynamic and the proxy
+    async getServerDirectories() {
+        const serversDir = path.resolve(this.config.get('paths.servers', './servers'));
+        const directories = [];
+
+        for (const subDir of ['static', 'dynamic']) {
+            const base = path.join(serversDir, subDir);
+            if (!await fs.pathExists(base)) continue;
+
+            for (const item of await fs.readdir(base)) {
+                const itemPath = path.join(base, item);
+                if ((await fs.stat(itemPath)).isDirectory()) {
+                    directories.push({ id: item, type: subDir, path: itemPath });
+                }
+            }
+        }
+
+        for (const instance of this.config.getProxyInstances()) {
+            const proxyDir = path.resolve(instance.directory);
+            if (await fs.pathExists(proxyDir)) {
+                directories.push({ id: instance.id, type: 'proxy', path: proxyDir });
+            }
+        }
+
+        return directories;
+    }
+
+    async cleanServerLogs(report) {
+        const policy = this.config.get('cleanup.serverLogs', {});
+        const cutoff = Date.now() - (policy.maxAge || 7) * DAY;
+
+        const logDirs = [path.resolve(this.config.get('paths.logs', './logs'))];
+        for (const dir of await this.getServerDirectories()) {
+            logDirs.push(path.join(dir.path, 'logs'));
+        }
+
+        for (const logDir of logDirs) {
+            if (!await fs.pathExists(logDir)) continue;
+
+            for (const item of await fs.readdir(logDir)) {
+                const itemPath = path.join(logDir, item);
+
+                try {
+                    const stat = await fs.stat(itemPath);
+                    if (!stat.isFile()) continue;
+
+                    if (ACTIVE_LOG_FILES.includes(item)) {
+                        await this.rotateIfOversized(itemPath, stat, policy, report);
+                        continue;
+                    }
+
+                    if (!item.endsWith('.log') && !item.endsWith('.log.gz')) continue;
+
+                    if (stat.mtimeMs < cutoff) {
+                        await this.removeFile(itemPath, stat, report);
+                    } else if (policy.compress && item.endsWith('.log')) {
+                        await this.compressFile(itemPath, stat, report);
+                    }
+                } catch (error) {
+                    report.errors.push(`${itemPath}: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    // Copy-truncate rotation for logs held open by winston or a server process
+    async rotateIfOversized(filePath, stat, policy, report) {
+        const maxSize = this.parseSize(this.config.get('logging.maxSize', '10m'));
+        if (!maxSize || stat.size <= maxSize) return;
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const ext = path.extname(filePath);
+        const rotatedPath = path.join(path.dirname(filePath), `${path.basename(filePath, ext)}-${timestamp}${ext}`);
+
+        await fs.copy(filePath, rotatedPath);
+        await fs.truncate(filePath, 0);
+        this.logger.info(`Rotated ${filePath} (${this.formatBytes(stat.size)})`);
+
+        if (policy.compress) {
+            await this.compressFile(rotatedPath, await fs.stat(rotatedPath), report);
+        }
+    }
+
+    async cleanCrashReports(report) {
+        const policy = this.config.get('cleanup.crashReports', {});
+        const cutoff = Date.now() - (policy.maxAge || 30) * DAY;
+        const maxCount = policy.maxCount || 100;
+
+        for (const dir of await this.getServerDirectories()) {
+            const candidates = [];
+
+            const crashDir = path.join(dir.path, 'crash-reports');
+            if (await fs.pathExists(crashDir)) {
+                for (const item of await fs.readdir(crashDir)) {
+                    candidates.push(path.join(crashDir, item));
+                }
+            }
+
+            // JVM fatal error logs land in the working directory
+            for (const item of await fs.readdir(dir.path)) {
+                if (/^hs_err_pid\d+\.log$/.test(item)) {
+                    candidates.push(path.join(dir.path, item));
+                }
+            }
+
+            const files = [];
+            for (const file of candidates) {
+                try {
+                    const stat = await fs.stat(file);
+                    if (stat.isFile()) files.push({ file, stat });
+                } catch (error) {
+                    report.errors.push(`${file}: ${error.message}`);
+                }
+            }
+
+            // Newest first; everything past maxCount or older than maxAge goes
+            files.sort((a, b) => b.stat.mtimeMs - a.stat.mtimeMs);
+
+            for (let i = 0; i < files.length; i++) {
+                const { file, stat } = files[i];
+                if (i >= maxCount || stat.mtimeMs < cutoff) {
+                    try {
+                        await this.removeFile(file, stat, report);
+                    } catch (error) {
+                        report.errors.push(`${file}: ${error.message}`);
+                    }
+                }
+            }
+        }
+    }
+
+    async cleanTempFiles(report) {
+        const policy = this.config.get('cleanup.tempFiles', {});
+        const cutoff = Date.now() - (policy.maxAge || 1) * DAY;
+
+        for (const dir of await this.getServerDirectories()) {
+            try {
+                const stat = await fs.stat(dir.path);
+
+                // Dynamic directories left behind by crashed or orphaned servers
+                if (dir.type === 'dynamic' && !this.controller.servers.has(dir.id) && stat.mtimeMs < cutoff) {
+                    await this.removeDirectory(dir.path, report);
+                    continue;
+                }
+
+                await this.sweepTempFiles(dir.path, cutoff, report);
+            } catch (error) {
+                report.errors.push(`${dir.path}: ${error.message}`);
+            }
+        }
+
+        // Directories moved aside by backup restores
+        const staticBase = path.join(path.resolve(this.config.get('paths.servers', './servers')), 'static');
+        if (await fs.pathExists(staticBase)) {
+            for (const item of await fs.readdir(staticBase)) {
+                if (!item.includes('.pre-restore-')) continue;
+
+                const itemPath = path.join(staticBase, item);
+                const stat = await fs.stat(itemPath);
+                if (stat.mtimeMs < cutoff) {
+                    await this.removeDirectory(itemPath, report);
+                }
+            }
+        }
+    }
+
+    async sweepTempFiles(directory, cutoff, report, depth = 0) {
+        // Worlds are deep; temp files live near the top of a server directory
+        if (depth > 2) return;
+
+        for (const item of await fs.readdir(directory)) {
+            const itemPath = path.join(directory, item);
+            const stat = await fs.stat(itemPath);
+
+            if (stat.isDirectory()) {
+                await this.sweepTempFiles(itemPath, cutoff, report, depth + 1);
+            } else if (/\.(tmp|temp)$/i.test(item) || item.endsWith('~')) {
+                if (stat.mtimeMs < cutoff) {
+                    await this.removeFile(itemPath, stat, report);
+                }
+            }
+        }
+    }
+
+    async compressFile(filePath, stat, report) {
+        const gzPath = `${filePath}.gz`;
+
+        await pipeline(
+            fs.createReadStream(filePath),
+            zlib.createGzip(),
+            fs.createWriteStream(gzPath)
+        );
+
+        // Keep the original timestamp so maxAge still applies to the compressed copy
+        await fs.utimes(gzPath, stat.atime, stat.mtime);
+
+        const compressedSize = (await fs.stat(gzPath)).size;
+        await fs.remove(filePath);
+
+        report.filesCompressed++;
+        report.bytesReclaimed += Math.max(0, stat.size - compressedSize);
+    }
+
+    async removeFile(filePath, stat, report) {
+        await fs.remove(filePath);
+        report.filesRemoved++;
+        report.bytesReclaimed += stat.size;
+    }
+
+    async removeDirectory(dirPath, report) {
+        const size = await this.getDirectorySize(dirPath);
+        await fs.remove(dirPath);
+        report.directoriesRemoved++;
+        report.bytesReclaimed += size;
+        this.logger.info(`Removed stale directory ${dirPath}`);
+    }
+
+    async getDirectorySize(dirPath) {
+        let size = 0;
+
+        for (const item of await fs.readdir(dirPath)) {
+            const itemPath = path.join(dirPath, item);
+            const stat = await fs.lstat(itemPath);
+
+            if (stat.isDirectory()) {
+                size += await this.getDirectorySize(itemPath);
+            } else {
+                size += stat.size;
+            }
+        }
+
+        return size;
+    }
+
+    parseSize(value) {
+        if (typeof value === 'number') return value;
+
+        const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i);
+        if (!match) return null;
+
+        const multipliers = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+        return Math.round(parseFloat(match[1]) * multipliers[match[2].toLowerCase()]);
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 ** 2) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 ** 3) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+        return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+    }
+
+    getStatus() {
+        return {
+            enabled: this.config.get('cleanup.enabled', false),
+            scheduled: Array.from(this.tasks.keys()),
+            running: Array.from(this.running),
+            lastReports: this.lastReports
+        };
+    }
+}
+
+module.exports = CleanupManager;
@@ -205,6 +205,36 @@ level-type=${settings['level-type'] || 'DEFAULT'}
         return null;
     }
 
+    // Proxy instances: proxy.instances, or a single "proxy" built from the proxy section
+    getProxyInstances() {
+        const proxy = this.config?.proxy;
+        if (!proxy) return [];
+
+        const host = proxy.host || '0.0.0.0';
+        const port = proxy.port || 25565;
+        const directory = proxy.directory || './servers/velocity';
+
+        if (!Array.isArray(proxy.instances) || proxy.instances.length === 0) {
+            return [{ id: 'proxy', host, port, directory, queryPort: proxy.query?.port || port }];
+        }
+
+        return proxy.instances
+            .map((instance, index) => {
+                const id = instance.id || `proxy-${index + 1}`;
+                const instancePort = instance.port || port + index;
+
+                return {
+                    id,
+                    enabled: instance.enabled !== false,
+                    host: instance.host || host,
+                    port: instancePort,
+                    directory: instance.directory || `${directory}-${id}`,
+                    queryPort: instance.queryPort || instancePort
+                };
+            })
+            .filter(instance => instance.enabled);
+    }
+
     getGameTemplate(gameType) {
         // Check new structure: servers.dynamic.templates
         if (this.config?.servers?.dynamic?.templates?.[gameType]) {
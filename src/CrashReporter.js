@@ -0,0 +1,234 @@
+// src/CrashReporter.js - Crash Capture and Classification for Managed Servers
+
+const fs = require('fs-extra');
+const path = require('path');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const Logger = require('./utils/Logger');
+
+// Large crash reports and JVM error logs are truncated to keep records small
+const MAX_FILE_CONTENT = 64 * 1024;
+
+// Patterns that name the plugin responsible for an exception
+const PLUGIN_PATTERNS = [
+    /Error occurred while enabling (\S+)/,
+    /Could not pass event \S+ to (\S+)/,
+    /Plugin (\S+) v\S+ generated an exception/,
+    /Unhandled exception executing command '[^']*' in plugin (\S+)/,
+    /Could not load '(?:plugins[\\/])?([^']+?)\.jar'/,
+    /Suspected Plugins?:\s*([^\s{,]+)/
+];
+
+class CrashReporter extends EventEmitter {
+    constructor(configManager, serverController) {
+        super();
+        this.config = configManager;
+        this.controller = serverController;
+        this.logger = new Logger('CrashReporter');
+
+        this.controller.on('serverCrash', (crash) => {
+            if (!this.enabled || !crash.server) return;
+
+            // Snapshot now; the pool may recycle a dynamic server right after this event
+            const snapshot = this.snapshot(crash.server, crash.code);
+            this.capture(snapshot).catch(error => {
+                this.logger.error(`Failed to capture crash of ${crash.serverId}: ${error.message}`);
+            });
+        });
+    }
+
+    get enabled() {
+        return this.config.get('crashes.enabled', true) !== false;
+    }
+
+    get directory() {
+        const configured = this.config.get('crashes.directory');
+        if (configured) return path.resolve(configured);
+
+        return path.resolve(this.config.get('paths.data', './data'), 'crashes');
+    }
+
+    snapshot(server, code) {
+        const consoleLines = this.config.get('crashes.consoleLines', 100);
+
+        return {
+            serverId: server.id,
+            type: server.type,
+            gameType: server.gameType || null,
+            port: server.port,
+            directory: server.directory,
+            exitCode: code,
+            startedAt: server.startedAt,
+            console: server.console.slice(-consoleLines).map(entry => entry.line)
+        };
+    }
+
+    async capture(snapshot) {
+        const crashReport = await this.findNewestFile(
+            path.join(snapshot.directory, 'crash-reports'),
+            name => name.endsWith('.txt'),
+            snapshot.startedAt
+        );
+
+        const jvmErrorLog = await this.findNewestFile(
+            snapshot.directory,
+            name => /^hs_err_pid\d+\.log$/.test(name),
+            snapshot.startedAt
+        );
+
+        const record = {
+            id: uuidv4(),
+            timestamp: Date.now(),
+            serverId: snapshot.serverId,
+            type: snapshot.type,
+            gameType: snapshot.gameType,
+            exitCode: snapshot.exitCode,
+            uptime: snapshot.startedAt ? Date.now() - snapshot.startedAt : null,
+            cause: null,
+            crashReport,
+            jvmErrorLog,
+            console: snapshot.console
+        };
+
+        record.cause = this.classify(record, snapshot.port);
+
+        const serverDir = path.join(this.directory, snapshot.serverId);
+        await fs.ensureDir(serverDir);
+        await fs.writeJson(path.join(serverDir, `${record.timestamp}-${record.id}.json`), record, { spaces: 2 });
+        await this.enforceLimit(serverDir);
+
+        this.logger.warn(`Recorded crash of ${record.serverId}: ${record.cause.summary}`);
+        this.emit('crashRecorded', this.summarize(record));
+
+        return record;
+    }
+
+    // Only files written since the server was started belong to this crash
+    async findNewestFile(directory, filter, since) {
+        if (!await fs.pathExists(directory)) return null;
+
+        let newest = null;
+        for (const name of await fs.readdir(directory)) {
+            if (!filter(name)) continue;
+
+            const filePath = path.join(directory, name);
+            const stat = await fs.stat(filePath);
+            if (!stat.isFile() || (since && stat.mtimeMs < since)) continue;
+
+            if (!newest || stat.mtimeMs > newest.stat.mtimeMs) {
+                newest = { filePath, stat };
+            }
+        }
+
+        if (!newest) return null;
+
+        const buffer = Buffer.alloc(Math.min(newest.stat.size, MAX_FILE_CONTENT));
+        const fd = await fs.open(newest.filePath, 'r');
+        try {
+            await fs.read(fd, buffer, 0, buffer.length, 0);
+        } finally {
+            await fs.close(fd);
+        }
+
+        return {
+            file: path.basename(newest.filePath),
+            size: newest.stat.size,
+            truncated: newest.stat.size > MAX_FILE_CONTENT,
+            content: buffer.toString('utf8')
+        };
+    }
+
+    classify(record, port) {
+        const text = [
+            record.console.join('\n'),
+            record.crashReport?.content || '',
+            record.jvmErrorLog?.content || ''
+        ].join('\n');
+
+        const oom = text.match(/java\.lang\.OutOfMemoryError(?::\s*([^\r\n]+))?/);
+        if (oom || /insufficient memory for the Java Runtime Environment/.test(text)) {
+            return {
+                type: 'outOfMemory',
+                summary: oom ? `OutOfMemoryError${oom[1] ? `: ${oom[1].trim()}` : ''}` : 'JVM could not allocate memory',
+                plugin: null
+            };
+        }
+
+        if (/FAILED TO BIND TO PORT|java\.net\.BindException|Address already in use/i.test(text)) {
+            return {
+                type: 'portBind',
+                summary: `Failed to bind to port ${port}`,
+                plugin: null
+            };
+        }
+
+        for (const pattern of PLUGIN_PATTERNS) {
+            const match = text.match(pattern);
+            if (match) {
+                return {
+                    type: 'pluginException',
+                    summary: `Exception in plugin ${match[1]}`,
+                    plugin: match[1]
+                };
+            }
+        }
+
+        return {
+            type: 'unknown',
+            summary: `Exited with code ${record.exitCode}`,
+            plugin: null
+        };
+    }
+
+    async enforceLimit(serverDir) {
+        const maxRecords = this.config.get('crashes.maxRecords', 50);
+        const files = (await fs.readdir(serverDir)).filter(f => f.endsWith('.json')).sort().reverse();
+
+        for (const file of files.slice(maxRecords)) {
+            await fs.remove(path.join(serverDir, file));
+        }
+    }
+
+    summarize(record) {
+        return {
+            id: record.id,
+            timestamp: record.timestamp,
+            serverId: record.serverId,
+            type: record.type,
+            exitCode: record.exitCode,
+            uptime: record.uptime,
+            cause: record.cause,
+            crashReport: record.crashReport?.file || null,
+            jvmErrorLog: record.jvmErrorLog?.file || null
+        };
+    }
+
+    // Crash history for one server, newest first
+    async listCrashes(serverId) {
+        const serverDir = path.join(this.directory, path.basename(serverId));
+        if (!await fs.pathExists(serverDir)) return [];
+
+        const files = (await fs.readdir(serverDir)).filter(f => f.endsWith('.json')).sort().reverse();
+        const crashes = [];
+
+        for (const file of files) {
+            try {
+                crashes.push(this.summarize(await fs.readJson(path.join(serverDir, file))));
+            } catch (error) {
+                this.logger.warn(`Skipping unreadable crash record ${file}: ${error.message}`);
+            }
+        }
+
+        return crashes;
+    }
+
+    async getCrash(serverId, crashId) {
+        const serverDir = path.join(this.directory, path.basename(serverId));
+        if (!await fs.pathExists(serverDir)) return null;
+
+        const file = (await fs.readdir(serverDir)).find(f => f.endsWith(`-${crashId}.json`));
+        return file ? fs.readJson(path.join(serverDir, file)) : null;
+    }
+}
+
+module.exports = CrashReporter;
@@ -0,0 +1,450 @@
+// src/Matchmaker.js - Game Queues to Matches on Warm Servers, with Position Updates and Timeouts
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const Logger = require('./utils/Logger');
+
+// Matches kept in memory for the API
+const MAX_MATCHES = 50;
+
+// Longest wait between server starts for a game type after starts keep failing
+const MAX_START_BACKOFF = 60000;
+
+// Players of a queue entry: a party's members, or the single player
+function entryPlayers(entry) {
+    return entry.members || [entry.player];
+}
+
+class Matchmaker extends EventEmitter {
+    constructor(configManager, redisManager, poolManager, serverController, partyManager) {
+        super();
+        this.config = configManager;
+        this.redis = redisManager;
+        this.pool = poolManager;
+        this.controller = serverController;
+        this.parties = partyManager;
+        this.logger = new Logger('Matchmaker');
+
+        this.interval = null;
+        this.matching = new Set();      // Game types with a match being set up
+        this.ticking = false;           // A tick is still running; the next one is skipped
+        this.positions = new Map();     // "gameType:player" -> last position sent
+        this.startFailures = new Map(); // gameType -> { count, retryAt } after a failed server start
+        this.matches = [];
+    }
+
+    get settings() {
+        const matchmaking = this.config.get('matchmaking', {});
+
+        return {
+            enabled: matchmaking.enabled !== false,
+            interval: matchmaking.interval || 2000,
+            queueTimeout: matchmaking.queueTimeout || 300000,
+            fillTimeout: matchmaking.fillTimeout ?? 15000,
+            createServers: matchmaking.createServers !== false
+        };
+    }
+
+    get gameTypes() {
+        return Object.keys(this.config.get('servers.dynamic.templates', {}));
+    }
+
+    // Players per match: gameConfig.minPlayers/maxPlayers/teams of the template
+    getMatchSize(gameType) {
+        const template = this.config.getGameTemplate(gameType) || {};
+        const gameConfig = template.gameConfig || {};
+        const max = gameConfig.maxPlayers || template.maxPlayers || 16;
+
+        return {
+            min: Math.min(gameConfig.minPlayers || 1, max),
+            max,
+            teams: gameConfig.teams > 1 ? gameConfig.teams : null
+        };
+    }
+
+    async start() {
+        const settings = this.settings;
+        if (!settings.enabled) {
+            this.logger.info('Matchmaking is disabled');
+            return;
+        }
+
+        if (!this.redis || !this.redis.connected) {
+            this.logger.warn('Redis not available, matchmaking disabled');
+            return;
+        }
+
+        // Join and leave requests from the proxy plugin
+        await this.redis.subscribe('queue:request', async (data) => {
+            try {
+                if (data.action === 'join') {
+                    await this.join(data.player, data.gameType);
+                } else if (data.action === 'leave') {
+                    await this.leave(data.player, data.gameType);
+                }
+            } catch (error) {
+                await this.notify(data.player, data.gameType, 'rejected', { message: error.message });
+            }
+        });
+
+        // A queued party that changes has to queue again
+        if (this.parties) {
+            this.parties.on('partyChanged', ({ party }) => {
+                this.dequeueParty(party).catch(error => {
+                    this.logger.error(`Failed to dequeue party ${party.id}: ${error.message}`);
+                });
+            });
+        }
+
+        // A slow tick (Redis, server starts) must not overlap the next one, or entries are notified and matched twice
+        this.interval = setInterval(() => {
+            if (this.ticking) return;
+
+            this.ticking = true;
+            this.tick().catch(error => {
+                this.logger.error(`Matchmaking failed: ${error.message}`);
+            }).finally(() => {
+                this.ticking = false;
+            });
+        }, settings.interval);
+
+        this.logger.info(`Matchmaker started (every ${settings.interval}ms)`);
+    }
+
+    stop() {
+        clearInterval(this.interval);
+        this.interval = null;
+    }
+
+    // Queue a player; a party is queued as one entry by its leader
+    async join(player, gameType) {
+        if (!player) {
+            throw new Error('player is required');
+        }
+        if (!this.gameTypes.includes(gameType)) {
+            throw new Error(`Unknown game type: ${gameType}`);
+        }
+
+        const party = this.parties ? await this.parties.getPartyOf(player) : null;
+        if (party && party.leader !== player) {
+            throw new Error(`Only the party leader ${party.leader} can queue the party`);
+        }
+
+        const members = party ? party.members : [player];
+        const size = this.getMatchSize(gameType);
+        if (members.length > size.max) {
+            throw new Error(`Party of ${members.length} does not fit a ${gameType} game (${size.max} players)`);
+        }
+
+        // A player waits in one queue at a time
+        for (const type of this.gameTypes) {
+            const queue = await this.redis.getGameQueue(type);
+            const entry = queue.find(e => entryPlayers(e).some(p => members.includes(p)));
+            if (!entry) continue;
+
+            if (type === gameType && entry.player === player) {
+                throw new Error(`${player} is already queued for ${gameType}`);
+            }
+            await this.redis.removeFromGameQueue(entry.player, type, 'switch');
+            entryPlayers(entry).forEach(p => this.positions.delete(`${type}:${p}`));
+        }
+
+        await this.redis.addToGameQueue(player, gameType, party ? { party: party.id, members } : {});
+        const queue = await this.redis.getGameQueue(gameType);
+
+        this.logger.info(`${party ? `Party of ${player} (${members.length})` : player} joined the ${gameType} queue (${queue.length} waiting)`);
+        for (const member of members) {
+            await this.notify(member, gameType, 'queued', { position: queue.length, size: queue.length, party: party ? party.id : null });
+            this.positions.set(`${gameType}:${member}`, queue.length);
+        }
+
+        return { player, gameType, position: queue.length, members };
+    }
+
+    // Take a player, and the party they queued with, out of a queue
+    async leave(player, gameType) {
+        const queue = await this.redis.getGameQueue(gameType);
+        const entry = queue.find(e => entryPlayers(e).includes(player));
+        if (!entry || !await this.redis.removeFromGameQueue(entry.player, gameType)) return false;
+
+        this.logger.info(`${player} left the ${gameType} queue${entry.members ? ' with their party' : ''}`);
+        for (const member of entryPlayers(entry)) {
+            this.positions.delete(`${gameType}:${member}`);
+            await this.notify(member, gameType, 'left');
+        }
+
+        return true;
+    }
+
+    async dequeueParty(party) {
+        for (const gameType of this.gameTypes) {
+            const queue = await this.redis.getGameQueue(gameType);
+            const entry = queue.find(e => e.party === party.id);
+            if (!entry || !await this.redis.removeFromGameQueue(entry.player, gameType)) continue;
+
+            this.logger.info(`Party of ${entry.player} changed, removed from the ${gameType} queue`);
+            for (const member of entryPlayers(entry)) {
+                this.positions.delete(`${gameType}:${member}`);
+                await this.notify(member, gameType, 'left', { message: 'Party changed, queue again' });
+            }
+        }
+    }
+
+    async tick() {
+        if (!this.redis.connected) return;
+
+        for (const gameType of this.gameTypes) {
+            if (this.matching.has(gameType)) continue;
+
+            await this.expire(gameType);
+            await this.matchQueue(gameType);
+            await this.sendPositions(gameType);
+        }
+    }
+
+    // Drop players that waited longer than queueTimeout
+    async expire(gameType) {
+        const { queueTimeout } = this.settings;
+        const now = Date.now();
+
+        for (const entry of await this.redis.getGameQueue(gameType)) {
+            if (now - entry.timestamp < queueTimeout) continue;
+
+            if (await this.redis.removeFromGameQueue(entry.player, gameType, 'timeout')) {
+                this.logger.info(`${entry.player} timed out of the ${gameType} queue`);
+                for (const member of entryPlayers(entry)) {
+                    this.positions.delete(`${gameType}:${member}`);
+                    await this.notify(member, gameType, 'timeout', { waited: now - entry.timestamp });
+                }
+                this.emit('queueTimeout', { player: entry.player, players: entryPlayers(entry), gameType });
+            }
+        }
+    }
+
+    // Entries in queue order that fit into capacity; parties that do not fit are skipped, not split
+    selectEntries(queue, capacity) {
+        const selected = [];
+        let players = 0;
+
+        for (const entry of queue) {
+            const count = entryPlayers(entry).length;
+            if (players + count > capacity) continue;
+
+            selected.push(entry);
+            players += count;
+            if (players === capacity) break;
+        }
+
+        return { entries: selected, players };
+    }
+
+    // Start a match once the queue fills a server, or has the minimum and the oldest player waited fillTimeout
+    async matchQueue(gameType) {
+        const queue = await this.redis.getGameQueue(gameType);
+        const size = this.getMatchSize(gameType);
+        if (queue.length === 0) return null;
+
+        const { players } = this.selectEntries(queue, size.max);
+        if (players < size.min) return null;
+
+        const waited = Date.now() - queue[0].timestamp;
+        if (players < size.max && waited < this.settings.fillTimeout) return null;
+
+        this.matching.add(gameType);
+        try {
+            return await this.createMatch(gameType, size);
+        } finally {
+            this.matching.delete(gameType);
+        }
+    }
+
+    // Split players into teams: parties whole into the emptiest team with room, larger parties first
+    assignTeams(entries, size) {
+        if (!size.teams) return null;
+
+        const teamSize = Math.ceil(size.max / size.teams);
+        const teams = Array.from({ length: size.teams }, () => []);
+        const sameTeam = this.parties ? this.parties.settings.sameTeam : false;
+        const units = entries.map(entryPlayers).sort((a, b) => b.length - a.length);
+
+        for (const unit of units) {
+            const byRoom = teams.slice().sort((a, b) => a.length - b.length);
+
+            if (sameTeam && unit.length > 1) {
+                const team = byRoom.find(t => t.length + unit.length <= teamSize);
+                if (team) {
+                    team.push(...unit);
+                    continue;
+                }
+            }
+
+            // Solo players, or a party too large for one team: fill the emptiest teams
+            for (const player of unit) {
+                teams.slice().sort((a, b) => a.length - b.length)[0].push(player);
+            }
+        }
+
+        return teams;
+    }
+
+    async createMatch(gameType, size) {
+        const matchId = uuidv4();
+        const request = { id: matchId, gameType, requester: 'matchmaker' };
+
+        let server = await this.pool.getWarmServer(gameType);
+        if (server) {
+            await this.pool.assignServer(server, request);
+        } else if (this.settings.createServers) {
+            server = await this.startServer(gameType, request);
+        }
+
+        if (!server) {
+            this.logger.debug(`No ${gameType} server available yet, players keep waiting`);
+            return null;
+        }
+
+        // Only as many players as the claimed server has free slots
+        const free = (server.maxPlayers || size.max) - (server.players || []).length;
+        const selection = this.selectEntries(await this.redis.getGameQueue(gameType), Math.min(size.max, free));
+
+        // Parties are single entries, so each one is taken whole or not at all
+        const entries = await this.redis.takeFromGameQueue(gameType, selection.entries);
+        if (selection.players < size.min || entries.length < selection.entries.length) {
+            await this.redis.returnToGameQueue(gameType, entries);
+            await this.pool.handleServerRelease(server.id);
+            this.logger.info(`Match ${matchId} cancelled, players left the ${gameType} queue`);
+            return null;
+        }
+
+        const players = entries.flatMap(entryPlayers);
+        const teams = this.assignTeams(entries, size);
+        server.metadata = { ...server.metadata, matchId, players, teams };
+
+        const match = {
+            id: matchId,
+            gameType,
+            serverId: server.id,
+            port: server.port,
+            players,
+            parties: entries.filter(entry => entry.party).map(entry => ({ id: entry.party, members: entry.members })),
+            teams,
+            createdAt: Date.now()
+        };
+
+        // The proxy plugin moves the players to the server
+        await this.redis.publish('player:transfer', {
+            action: 'transfer',
+            matchId,
+            players,
+            server: server.id,
+            host: '127.0.0.1',
+            port: server.port,
+            gameType,
+            teams,
+            timestamp: match.createdAt
+        });
+
+        for (const player of players) {
+            this.positions.delete(`${gameType}:${player}`);
+            await this.notify(player, gameType, 'matched', { server: server.id, matchId });
+        }
+
+        this.matches.push(match);
+        if (this.matches.length > MAX_MATCHES) {
+            this.matches.shift();
+        }
+
+        this.logger.info(`Match ${matchId}: ${players.length} player(s) to ${server.id} (${gameType})`);
+        this.emit('matchCreated', match);
+
+        return match;
+    }
+
+    // Start a server through the pool, backing off exponentially while starts for the game type fail
+    async startServer(gameType, request) {
+        const failure = this.startFailures.get(gameType);
+        if (failure && Date.now() < failure.retryAt) return null;
+
+        this.logger.info(`No warm ${gameType} server, starting one for match ${request.id}`);
+        const server = await this.pool.handleServerRequest(request);
+
+        if (server) {
+            this.startFailures.delete(gameType);
+            return server;
+        }
+
+        const count = (failure ? failure.count : 0) + 1;
+        const delay = Math.min(this.settings.interval * 2 ** count, MAX_START_BACKOFF);
+        this.startFailures.set(gameType, { count, retryAt: Date.now() + delay });
+        this.logger.warn(`Could not start a ${gameType} server (${count} failure(s)), retrying in ${Math.round(delay / 1000)}s`);
+
+        return null;
+    }
+
+    // Tell waiting players their position when it changed
+    async sendPositions(gameType) {
+        const queue = await this.redis.getGameQueue(gameType);
+        const queued = new Set();
+
+        for (let i = 0; i < queue.length; i++) {
+            for (const player of entryPlayers(queue[i])) {
+                const key = `${gameType}:${player}`;
+                queued.add(key);
+
+                if (this.positions.get(key) === i + 1) continue;
+                this.positions.set(key, i + 1);
+                await this.notify(player, gameType, 'position', { position: i + 1, size: queue.length });
+            }
+        }
+
+        for (const key of this.positions.keys()) {
+            if (key.startsWith(`${gameType}:`) && !queued.has(key)) {
+                this.positions.delete(key);
+            }
+        }
+    }
+
+    async notify(player, gameType, status, details = {}) {
+        await this.redis.publish('queue:status', {
+            player,
+            gameType,
+            status,
+            ...details,
+            timestamp: Date.now()
+        });
+    }
+
+    async getQueues() {
+        const now = Date.now();
+        const queues = {};
+
+        for (const gameType of this.gameTypes) {
+            const queue = await this.redis.getGameQueue(gameType);
+            queues[gameType] = {
+                matchSize: this.getMatchSize(gameType),
+                matching: this.matching.has(gameType),
+                retryStartAt: this.startFailures.get(gameType)?.retryAt || null,
+                players: queue.map((entry, i) => ({
+                    player: entry.player,
+                    party: entry.party || null,
+                    members: entryPlayers(entry),
+                    position: i + 1,
+                    waited: now - entry.timestamp
+                }))
+            };
+        }
+
+        return queues;
+    }
+
+    async getStatus() {
+        return {
+            settings: this.settings,
+            running: !!this.interval,
+            queues: this.redis.connected ? await this.getQueues() : {},
+            matches: this.matches.slice().reverse()
+        };
+    }
+}
+
+module.exports = Matchmaker;
@@ -0,0 +1,178 @@
+// src/MetricsExporter.js - Prometheus Text Exposition for Servers, Pool and Players
+
+const PREFIX = 'mcsm_';
+
+function escapeLabel(value) {
+    return String(value ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels || {});
+    if (entries.length === 0) return '';
+
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Collects samples per metric family and renders them in the text format
+class MetricFamilies {
+    constructor() {
+        this.families = new Map();
+    }
+
+    add(name, type, help, value, labels = {}) {
+        const fullName = PREFIX + name;
+
+        if (!this.families.has(fullName)) {
+            this.families.set(fullName, { type, help, samples: [] });
+        }
+
+        this.families.get(fullName).samples.push({ name: fullName, labels, value });
+    }
+
+    addHistogram(name, help, histogram, scale = 1, labels = {}) {
+        const fullName = PREFIX + name;
+        const family = { type: 'histogram', help, samples: [] };
+
+        histogram.buckets.forEach((bound, i) => {
+            family.samples.push({
+                name: `${fullName}_bucket`,
+                labels: { ...labels, le: bound * scale },
+                value: histogram.counts[i]
+            });
+        });
+        family.samples.push({ name: `${fullName}_bucket`, labels: { ...labels, le: '+Inf' }, value: histogram.count });
+        family.samples.push({ name: `${fullName}_sum`, labels, value: histogram.sum * scale });
+        family.samples.push({ name: `${fullName}_count`, labels, value: histogram.count });
+
+        this.families.set(fullName, family);
+    }
+
+    render() {
+        const lines = [];
+
+        for (const [name, family] of this.families) {
+            lines.push(`# HELP ${name} ${family.help}`);
+            lines.push(`# TYPE ${name} ${family.type}`);
+
+            for (const sample of family.samples) {
+                const value = Number.isFinite(sample.value) ? sample.value : 0;
+                lines.push(`${sample.name}${formatLabels(sample.labels)} ${value}`);
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+class MetricsExporter {
+    constructor(serverController, poolManager, redisManager) {
+        this.controller = serverController;
+        this.pool = poolManager;
+        this.redis = redisManager;
+    }
+
+    get contentType() {
+        return 'text/plain; version=0.0.4; charset=utf-8';
+    }
+
+    collect() {
+        const metrics = new MetricFamilies();
+
+        this.collectServers(metrics);
+        this.collectPool(metrics);
+        this.collectProxy(metrics);
+
+        metrics.add('redis_connected', 'gauge', 'Whether the manager is connected to Redis',
+            this.redis && this.redis.connected ? 1 : 0);
+
+        return metrics.render();
+    }
+
+    collectServers(metrics) {
+        const { static: staticServers, dynamic } = this.controller.getAllServers();
+        let playersOnline = 0;
+
+        for (const server of [...staticServers, ...dynamic]) {
+            const labels = {
+                server_id: server.id,
+                type: server.type,
+                game_type: server.gameType || ''
+            };
+            const up = ['running', 'ready', 'degraded'].includes(server.status);
+            const players = server.players ? server.players.length : 0;
+            playersOnline += players;
+
+            metrics.add('server_up', 'gauge', 'Whether the server is running (1) or not (0)', up ? 1 : 0, labels);
+            metrics.add('server_status', 'gauge', 'Current server status, one series per server with value 1',
+                1, { ...labels, status: server.status || 'unknown' });
+            metrics.add('server_players', 'gauge', 'Players currently on the server', players, labels);
+            metrics.add('server_max_players', 'gauge', 'Configured player capacity', server.maxPlayers || 0, labels);
+            metrics.add('server_uptime_seconds', 'gauge', 'Seconds since the server process was started',
+                up && server.startedAt ? (Date.now() - server.startedAt) / 1000 : 0, labels);
+            metrics.add('server_restarts_total', 'counter', 'Automatic restarts after crashes',
+                this.controller.restartPolicy.getRestartCount(server.id), labels);
+            metrics.add('server_health_check_failures', 'gauge', 'Consecutive failed health checks',
+                server.healthChecks ? server.healthChecks.failed : 0, labels);
+            metrics.add('server_degraded', 'gauge', 'Whether resource thresholds marked the server degraded',
+                server.status === 'degraded' ? 1 : 0, labels);
+
+            this.collectResources(metrics, server.resources, labels);
+        }
+
+        metrics.add('players_online', 'gauge', 'Players on all managed servers', playersOnline);
+    }
+
+    // Only servers that have been sampled get resource series
+    collectResources(metrics, resources, labels) {
+        if (!resources) return;
+
+        const gauges = [
+            ['server_cpu_percent', 'CPU usage of the server process as a percentage of all cores', resources.cpu],
+            ['server_memory_rss_bytes', 'Resident memory of the server process', resources.memory],
+            ['server_threads', 'Threads of the server process', resources.threads],
+            ['server_open_fds', 'Open file descriptors of the server process', resources.fds],
+            ['server_tps', 'Ticks per second over the last minute', resources.tps],
+            ['server_mspt', 'Average milliseconds per tick', resources.mspt]
+        ];
+
+        for (const [name, help, value] of gauges) {
+            if (value !== null && value !== undefined) {
+                metrics.add(name, 'gauge', help, value, labels);
+            }
+        }
+    }
+
+    collectPool(metrics) {
+        if (!this.pool) return;
+
+        const stats = this.pool.metrics;
+
+        metrics.add('pool_enabled', 'gauge', 'Whether pool management is enabled', this.pool.enabled ? 1 : 0);
+        metrics.add('pool_warm_servers', 'gauge', 'Servers in the warm pool', this.pool.warmPool.size);
+        metrics.add('pool_warm_servers_ready', 'gauge', 'Warm pool servers that are ready', this.pool.getWarmServers().length);
+        metrics.add('pool_reserved_servers', 'gauge', 'Pool servers reserved for a request', this.pool.reservedServers.size);
+        metrics.add('pool_requests_total', 'counter', 'Server requests handled by the pool', stats.totalRequests);
+        metrics.add('pool_fulfilled_total', 'counter', 'Server requests that were fulfilled', stats.fulfilledRequests);
+        metrics.add('pool_hits_total', 'counter', 'Requests served from the warm pool', stats.poolHits);
+        metrics.add('pool_misses_total', 'counter', 'Requests that needed a new server', stats.poolMisses);
+        metrics.addHistogram('pool_wait_seconds', 'Time to fulfil a server request', this.pool.waitTimeHistogram, 0.001);
+    }
+
+    collectProxy(metrics) {
+        for (const instance of this.controller.config.getProxyInstances()) {
+            const proxy = this.controller.proxies.get(instance.id);
+            const up = !!proxy && (proxy.status === 'ready' || proxy.status === 'running');
+            const labels = { proxy: instance.id };
+
+            metrics.add('proxy_up', 'gauge', 'Whether the proxy is running and ready', up ? 1 : 0, labels);
+            metrics.add('proxy_uptime_seconds', 'gauge', 'Seconds since the proxy was started',
+                up && proxy.startedAt ? (Date.now() - proxy.startedAt) / 1000 : 0, labels);
+            metrics.add('proxy_registered_servers', 'gauge', 'Backends registered with the proxy',
+                proxy ? proxy.registeredServers.size : 0, labels);
+            metrics.add('proxy_restarts_total', 'counter', 'Automatic proxy restarts after crashes',
+                this.controller.restartPolicy.getRestartCount(instance.id), labels);
+        }
+    }
+}
+
+module.exports = MetricsExporter;
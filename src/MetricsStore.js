@@ -0,0 +1,423 @@
+// src/MetricsStore.js - Long-term Metrics History with Downsampling
+
+const fs = require('fs-extra');
+const path = require('path');
+const EventEmitter = require('events');
+const { parseDuration } = require('./utils/TimeRange');
+const Logger = require('./utils/Logger');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Aggregate tiers, finest first
+const TIERS = [
+    { name: '1m', resolution: MINUTE },
+    { name: '1h', resolution: HOUR },
+    { name: '1d', resolution: DAY }
+];
+
+const DEFAULT_RETENTION = { raw: '6h', '1m': '7d', '1h': '90d', '1d': '730d' };
+
+// Metric names become Redis keys and file names
+function validateName(name) {
+    if (!/^[\w.:-]+$/.test(name)) {
+        throw new Error(`Invalid metric name: ${name}`);
+    }
+}
+
+// Server ids and game types come from config, so they may contain characters a metric name cannot
+function metricId(id) {
+    return String(id).replace(/[^\w.:-]/g, '_');
+}
+
+// Combine aggregates that share a timestamp (e.g. a bucket flushed before and after a restart)
+function mergeBuckets(buckets, step) {
+    const merged = new Map();
+
+    for (const bucket of buckets) {
+        const t = Math.floor(bucket.t / step) * step;
+        const existing = merged.get(t);
+
+        if (!existing) {
+            merged.set(t, { t, min: bucket.min, max: bucket.max, sum: bucket.sum, count: bucket.count });
+        } else {
+            existing.min = Math.min(existing.min, bucket.min);
+            existing.max = Math.max(existing.max, bucket.max);
+            existing.sum += bucket.sum;
+            existing.count += bucket.count;
+        }
+    }
+
+    return Array.from(merged.values())
+        .sort((a, b) => a.t - b.t)
+        .map(b => ({ t: b.t, min: b.min, max: b.max, avg: b.count > 0 ? b.sum / b.count : 0, count: b.count }));
+}
+
+class RedisBackend {
+    constructor(configManager, redisManager) {
+        this.config = configManager;
+        this.redis = redisManager;
+    }
+
+    key(series, name) {
+        return `${this.config.get('redis.keyPrefix', 'mcserver:')}metrics:${series}:${name}`;
+    }
+
+    namesKey() {
+        return `${this.config.get('redis.keyPrefix', 'mcserver:')}metrics:names`;
+    }
+
+    async append(series, name, entries) {
+        await this.redis.client.multi()
+            .zAdd(this.key(series, name), entries.map(entry => ({
+                score: entry.t,
+                value: JSON.stringify(entry)
+            })))
+            .sAdd(this.namesKey(), name)
+            .exec();
+    }
+
+    async range(series, name, from, to) {
+        const items = await this.redis.client.zRangeByScore(this.key(series, name), from, to);
+        return items.map(item => JSON.parse(item));
+    }
+
+    async prune(series, name, before) {
+        await this.redis.client.zRemRangeByScore(this.key(series, name), '-inf', `(${before}`);
+    }
+
+    async names() {
+        return this.redis.client.sMembers(this.namesKey());
+    }
+}
+
+class FileBackend {
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    file(series, name) {
+        return path.join(this.directory, series, `${name}.jsonl`);
+    }
+
+    async append(series, name, entries) {
+        const file = this.file(series, name);
+        await fs.ensureDir(path.dirname(file));
+        await fs.appendFile(file, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    }
+
+    async read(series, name) {
+        const file = this.file(series, name);
+        if (!await fs.pathExists(file)) return [];
+
+        const entries = [];
+        for (const line of (await fs.readFile(file, 'utf8')).split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // Skip a partially written line
+            }
+        }
+        return entries;
+    }
+
+    async range(series, name, from, to) {
+        return (await this.read(series, name)).filter(entry => entry.t >= from && entry.t <= to);
+    }
+
+    async prune(series, name, before) {
+        const entries = await this.read(series, name);
+        const kept = entries.filter(entry => entry.t >= before);
+        if (kept.length === entries.length) return;
+
+        const file = this.file(series, name);
+        await fs.writeFile(file, kept.map(entry => JSON.stringify(entry)).join('\n') + (kept.length ? '\n' : ''));
+    }
+
+    async names() {
+        const dir = path.join(this.directory, 'raw');
+        if (!await fs.pathExists(dir)) return [];
+
+        return (await fs.readdir(dir))
+            .filter(file => file.endsWith('.jsonl'))
+            .map(file => file.slice(0, -'.jsonl'.length));
+    }
+}
+
+class MetricsStore extends EventEmitter {
+    constructor(configManager, redisManager, serverController, poolManager) {
+        super();
+        this.config = configManager;
+        this.redis = redisManager;
+        this.controller = serverController;
+        this.pool = poolManager;
+        this.logger = new Logger('MetricsStore');
+
+        this.backend = null;
+
+        // name -> tier -> open bucket { t, min, max, sum, count }
+        this.openBuckets = new Map();
+        this.knownNames = new Set();
+
+        // Serialize writes so appends and prunes never interleave on a file
+        this.writeQueue = Promise.resolve();
+
+        this.sampleInterval = null;
+        this.maintenanceInterval = null;
+        this.lastRetentionRun = null;
+    }
+
+    get enabled() {
+        return this.config.get('monitoring.history.enabled', true) !== false;
+    }
+
+    get retention() {
+        const configured = { ...DEFAULT_RETENTION, ...this.config.get('monitoring.history.retention', {}) };
+        const retention = {};
+
+        for (const [series, value] of Object.entries(configured)) {
+            retention[series] = parseDuration(value) ?? parseDuration(DEFAULT_RETENTION[series]);
+        }
+
+        return retention;
+    }
+
+    async start() {
+        if (!this.enabled) {
+            this.logger.info('Metrics history is disabled');
+            return;
+        }
+
+        const backend = this.config.get('monitoring.history.backend', 'redis');
+        if (backend === 'redis' && this.redis && this.redis.connected) {
+            this.backend = new RedisBackend(this.config, this.redis);
+        } else {
+            if (backend === 'redis') {
+                this.logger.warn('Redis not connected, storing metrics history in local files');
+            }
+            const directory = this.config.get('monitoring.history.directory') ||
+                path.join(this.config.get('paths.data', './data'), 'metrics');
+            this.backend = new FileBackend(path.resolve(directory));
+        }
+
+        for (const name of await this.backend.names()) {
+            this.knownNames.add(name);
+        }
+
+        const interval = this.config.get('monitoring.metricsInterval', 60000);
+        this.sampleInterval = setInterval(() => this.sample(), interval);
+        this.maintenanceInterval = setInterval(() => {
+            this.flushClosedBuckets();
+            this.enforceRetention().catch(err => {
+                this.logger.error(`Metrics retention failed: ${err.message}`);
+            });
+        }, MINUTE);
+
+        this.logger.info(`Metrics history started (${this.backend instanceof RedisBackend ? 'redis' : 'file'} backend, every ${interval}ms)`);
+    }
+
+    async stop() {
+        clearInterval(this.sampleInterval);
+        clearInterval(this.maintenanceInterval);
+        this.sampleInterval = null;
+        this.maintenanceInterval = null;
+
+        if (!this.backend) return;
+
+        // Persist partial buckets; queries merge them with the rest of the bucket later
+        for (const [name, tiers] of this.openBuckets) {
+            for (const [tier, bucket] of tiers) {
+                this.enqueue(() => this.backend.append(tier, name, [bucket]));
+            }
+        }
+        this.openBuckets.clear();
+
+        await this.writeQueue;
+    }
+
+    enqueue(task) {
+        this.writeQueue = this.writeQueue.then(task).catch(error => {
+            this.logger.error(`Failed to write metrics: ${error.message}`);
+        });
+        return this.writeQueue;
+    }
+
+    // Periodic snapshot of players, servers and pool state
+    sample() {
+        try {
+            const { static: staticServers, dynamic } = this.controller.getAllServers();
+            const playersByGameType = {};
+            let totalPlayers = 0;
+            let running = 0;
+
+            for (const server of [...staticServers, ...dynamic]) {
+                const players = server.players ? server.players.length : 0;
+                totalPlayers += players;
+
+                if (['running', 'ready', 'degraded'].includes(server.status)) running++;
+
+                if (server.type === 'static') {
+                    this.record(`players.server.${metricId(server.id)}`, players);
+                } else if (server.gameType) {
+                    playersByGameType[server.gameType] = (playersByGameType[server.gameType] || 0) + players;
+                }
+            }
+
+            // Include game types with no servers right now so their series drop to zero
+            for (const gameType of Object.keys(this.config.get('servers.dynamic.templates', {}))) {
+                this.record(`players.gameType.${metricId(gameType)}`, playersByGameType[gameType] || 0);
+            }
+
+            this.record('players.total', totalPlayers);
+            this.record('servers.running', running);
+            this.record('servers.dynamic', dynamic.length);
+
+            if (this.pool) {
+                this.record('pool.warm', this.pool.warmPool.size);
+                this.record('pool.reserved', this.pool.reservedServers.size);
+                this.record('pool.averageWaitTime', this.pool.metrics.averageWaitTime);
+            }
+        } catch (error) {
+            this.logger.error(`Failed to sample metrics: ${error.message}`);
+        }
+    }
+
+    record(name, value, timestamp = Date.now()) {
+        if (!this.backend || !Number.isFinite(value)) return;
+
+        validateName(name);
+        this.knownNames.add(name);
+
+        this.enqueue(() => this.backend.append('raw', name, [{ t: timestamp, v: value }]));
+
+        if (!this.openBuckets.has(name)) {
+            this.openBuckets.set(name, new Map());
+        }
+        const tiers = this.openBuckets.get(name);
+
+        for (const tier of TIERS) {
+            const t = Math.floor(timestamp / tier.resolution) * tier.resolution;
+            let bucket = tiers.get(tier.name);
+
+            // A point in a new period closes the previous bucket
+            if (bucket && bucket.t !== t) {
+                const closed = bucket;
+                this.enqueue(() => this.backend.append(tier.name, name, [closed]));
+                bucket = null;
+            }
+
+            if (!bucket) {
+                bucket = { t, min: value, max: value, sum: 0, count: 0 };
+                tiers.set(tier.name, bucket);
+            }
+
+            bucket.min = Math.min(bucket.min, value);
+            bucket.max = Math.max(bucket.max, value);
+            bucket.sum += value;
+            bucket.count++;
+        }
+    }
+
+    // Persist buckets whose period ended without a newer point arriving
+    flushClosedBuckets() {
+        const now = Date.now();
+
+        for (const [name, tiers] of this.openBuckets) {
+            for (const tier of TIERS) {
+                const bucket = tiers.get(tier.name);
+                if (bucket && bucket.t + tier.resolution <= now) {
+                    tiers.delete(tier.name);
+                    this.enqueue(() => this.backend.append(tier.name, name, [bucket]));
+                }
+            }
+        }
+    }
+
+    // Called every minute; pruning only needs to happen about once an hour
+    async enforceRetention() {
+        const now = Date.now();
+        if (this.lastRetentionRun && now - this.lastRetentionRun < HOUR) return;
+        this.lastRetentionRun = now;
+
+        const retention = this.retention;
+
+        for (const name of this.knownNames) {
+            for (const series of ['raw', ...TIERS.map(t => t.name)]) {
+                await this.enqueue(() => this.backend.prune(series, name, now - retention[series]));
+            }
+        }
+    }
+
+    getNames() {
+        return Array.from(this.knownNames).sort();
+    }
+
+    // Pick the coarsest tier that still resolves the requested step and reaches back to `from`
+    selectSeries(from, to, step) {
+        const retention = this.retention;
+        const now = Date.now();
+        const span = to - from;
+        const targetStep = step || Math.max(span / 300, 1);
+
+        if (targetStep < MINUTE && now - from <= retention.raw) {
+            return { series: 'raw', resolution: 0 };
+        }
+
+        let selected = TIERS[0];
+        for (const tier of TIERS) {
+            if (tier.resolution <= targetStep && now - from <= retention[tier.name]) {
+                selected = tier;
+            }
+        }
+
+        // Nothing that fine is retained that far back; fall back to the first tier that is
+        if (now - from > retention[selected.name]) {
+            selected = TIERS.find(tier => now - from <= retention[tier.name]) || TIERS[TIERS.length - 1];
+        }
+
+        return { series: selected.name, resolution: selected.resolution };
+    }
+
+    async query(name, { from, to, step } = {}) {
+        if (!this.backend) {
+            throw new Error('Metrics history is not running');
+        }
+
+        validateName(name);
+
+        to = to || Date.now();
+        from = from || to - HOUR;
+        if (from >= to) {
+            throw new Error('"from" must be before "to"');
+        }
+
+        const { series, resolution } = this.selectSeries(from, to, step);
+        const effectiveStep = Math.max(step || 0, resolution) || null;
+
+        await this.writeQueue;
+
+        let buckets;
+        if (series === 'raw') {
+            const points = await this.backend.range('raw', name, from, to);
+            buckets = points.map(p => ({ t: p.t, min: p.v, max: p.v, sum: p.v, count: 1 }));
+        } else {
+            buckets = await this.backend.range(series, name, from - resolution, to);
+
+            // Include the bucket still being filled
+            const open = this.openBuckets.get(name)?.get(series);
+            if (open && open.t <= to) buckets.push(open);
+
+            buckets = buckets.filter(b => b.t + resolution > from);
+        }
+
+        const points = effectiveStep
+            ? mergeBuckets(buckets, effectiveStep)
+            : mergeBuckets(buckets, 1);
+
+        return { name, from, to, step: effectiveStep, series, points };
+    }
+}
+
+module.exports = MetricsStore;
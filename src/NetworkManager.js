@@ -3,37 +3,164 @@
 const net = require('net');
 const Logger = require('./utils/Logger');
 
+// Single port authority for every server the manager creates. Reservations are
+// mirrored to Redis so a restarted manager does not hand out ports still held
+// by Java processes it no longer tracks.
 class NetworkManager {
-    constructor(configManager) {
+    constructor(configManager, redisManager = null) {
         this.config = configManager;
+        this.redis = redisManager;
         this.logger = new Logger('NetworkManager');
-        this.allocatedPorts = new Set();
-        this.portRange = {
-            start: this.config.get('dynamicServers.startPort', 25601),
-            end: this.config.get('dynamicServers.startPort', 25601) + 
-                 this.config.get('dynamicServers.maxServers', 20)
-        };
+
+        // port -> { owner, pid, allocatedAt }
+        this.reservations = new Map();
+
+        // Allocations are serialized so two concurrent callers never get the same port
+        this.allocationQueue = Promise.resolve();
     }
 
-    async allocatePort() {
-        for (let port = this.portRange.start; port <= this.portRange.end; port++) {
-            if (!this.allocatedPorts.has(port)) {
-                const available = await this.isPortAvailable(port);
-                
-                if (available) {
-                    this.allocatedPorts.add(port);
-                    this.logger.debug(`Allocated port ${port}`);
-                    return port;
+    // Read lazily: the config is loaded after construction
+    get portRange() {
+        const start = this.config.get('ports.rangeStart') ??
+            this.config.get('servers.dynamic.startPort', 25600);
+        const end = this.config.get('ports.rangeEnd') ??
+            start + this.config.get('servers.dynamic.maxServers', 100);
+
+        return { start, end };
+    }
+
+    get redisKey() {
+        return `${this.config.get('redis.keyPrefix', 'mcserver:')}ports`;
+    }
+
+    get redisAvailable() {
+        return !!(this.redis && this.redis.client && this.redis.connected);
+    }
+
+    // Ports owned by configured servers are never handed out to dynamic servers
+    getConfiguredPorts() {
+        const ports = new Set();
+
+        const hub = this.config.get('servers.hub');
+        if (hub && hub.port) ports.add(hub.port);
+
+        for (const server of this.config.get('servers.static', [])) {
+            if (server.port) ports.add(server.port);
+        }
+
+        const proxies = this.config.getProxyInstances();
+        for (const instance of proxies) {
+            ports.add(instance.port);
+        }
+
+        const velocityPort = this.config.get('ports.velocityPort');
+        if (proxies.length === 0 && velocityPort) ports.add(velocityPort);
+
+        const apiPort = this.config.get('ports.apiPort');
+        if (apiPort) ports.add(apiPort);
+
+        return ports;
+    }
+
+    // Restore reservations from Redis, keeping those whose process is still alive
+    async initialize() {
+        if (!this.redisAvailable) return;
+
+        try {
+            const stored = await this.redis.client.hGetAll(this.redisKey);
+
+            for (const [portKey, value] of Object.entries(stored)) {
+                const port = parseInt(portKey);
+                let reservation;
+
+                try {
+                    reservation = JSON.parse(value);
+                } catch (error) {
+                    await this.redis.client.hDel(this.redisKey, portKey);
+                    continue;
+                }
+
+                if (this.isProcessAlive(reservation.pid) || !await this.isPortAvailable(port)) {
+                    this.reservations.set(port, { ...reservation, orphaned: true });
+                    this.logger.warn(`Port ${port} still held by ${reservation.owner} (pid ${reservation.pid || 'unknown'}), keeping it reserved`);
+                } else {
+                    await this.redis.client.hDel(this.redisKey, portKey);
+                    this.logger.debug(`Dropped stale reservation for port ${port}`);
                 }
             }
+        } catch (error) {
+            this.logger.error(`Failed to load port reservations: ${error.message}`);
         }
-        
-        this.logger.error('No available ports in range');
-        return null;
+    }
+
+    isProcessAlive(pid) {
+        if (!pid) return false;
+
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            // EPERM means the process exists but belongs to another user
+            return error.code === 'EPERM';
+        }
+    }
+
+    allocatePort(owner = null) {
+        const allocation = this.allocationQueue.then(() => this.findAndReservePort(owner));
+        this.allocationQueue = allocation.catch(() => {});
+        return allocation;
+    }
+
+    async findAndReservePort(owner) {
+        const { start, end } = this.portRange;
+        const configured = this.getConfiguredPorts();
+
+        for (let port = start; port <= end; port++) {
+            if (this.reservations.has(port) || configured.has(port)) continue;
+
+            if (await this.isPortAvailable(port)) {
+                await this.reserve(port, { owner, pid: null, allocatedAt: Date.now() });
+                this.logger.debug(`Allocated port ${port} to ${owner || 'unknown'}`);
+                return port;
+            }
+        }
+
+        throw new Error(`No available ports in range ${start}-${end}`);
+    }
+
+    async reserve(port, reservation) {
+        this.reservations.set(port, reservation);
+
+        if (this.redisAvailable) {
+            try {
+                await this.redis.client.hSet(this.redisKey, String(port), JSON.stringify(reservation));
+            } catch (error) {
+                this.logger.error(`Failed to persist reservation for port ${port}: ${error.message}`);
+            }
+        }
+    }
+
+    // Record the process holding a port once it has been spawned
+    async setPid(port, pid) {
+        const reservation = this.reservations.get(port);
+        if (!reservation) return;
+
+        await this.reserve(port, { ...reservation, pid });
     }
 
     async releasePort(port) {
-        this.allocatedPorts.delete(port);
+        if (!port) return;
+
+        this.reservations.delete(port);
+
+        if (this.redisAvailable) {
+            try {
+                await this.redis.client.hDel(this.redisKey, String(port));
+            } catch (error) {
+                this.logger.error(`Failed to release port ${port} in Redis: ${error.message}`);
+            }
+        }
+
         this.logger.debug(`Released port ${port}`);
     }
 
@@ -103,11 +230,16 @@ class NetworkManager {
     }
 
     getStatus() {
+        const { start, end } = this.portRange;
+
         return {
-            allocatedPorts: Array.from(this.allocatedPorts),
-            portRange: this.portRange,
-            totalPorts: this.portRange.end - this.portRange.start + 1,
-            usedPorts: this.allocatedPorts.size
+            portRange: { start, end },
+            totalPorts: end - start + 1,
+            usedPorts: this.reservations.size,
+            reservations: Array.from(this.reservations.entries()).map(([port, reservation]) => ({
+                port,
+                ...reservation
+            }))
         };
     }
 }
@@ -0,0 +1,183 @@
+// src/PartyManager.js - Player Parties (Leader plus Members) Stored in Redis
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const Logger = require('./utils/Logger');
+
+class PartyManager extends EventEmitter {
+    constructor(configManager, redisManager) {
+        super();
+        this.config = configManager;
+        this.redis = redisManager;
+        this.logger = new Logger('PartyManager');
+    }
+
+    get settings() {
+        const parties = this.config.get('matchmaking.parties', {});
+
+        return {
+            enabled: parties.enabled !== false,
+            maxSize: parties.maxSize || 8,
+            sameTeam: parties.sameTeam !== false
+        };
+    }
+
+    async start() {
+        if (!this.settings.enabled) {
+            this.logger.info('Parties are disabled');
+            return;
+        }
+
+        if (!this.redis || !this.redis.connected) {
+            this.logger.warn('Redis not available, parties disabled');
+            return;
+        }
+
+        // Party commands from the proxy plugin
+        await this.redis.subscribe('party:request', async (data) => {
+            try {
+                switch (data.action) {
+                    case 'create':
+                        await this.create(data.player);
+                        break;
+                    case 'join':
+                        await this.join(data.leader, data.player);
+                        break;
+                    case 'leave':
+                        await this.leave(data.player);
+                        break;
+                    case 'kick':
+                        await this.kick(data.player, data.target);
+                        break;
+                    case 'disband':
+                        await this.disband(data.player);
+                        break;
+                }
+            } catch (error) {
+                await this.redis.publish('party:update', {
+                    action: 'error',
+                    player: data.player,
+                    message: error.message,
+                    timestamp: Date.now()
+                });
+            }
+        });
+
+        this.logger.info('Party manager started');
+    }
+
+    async getPartyOf(player) {
+        if (!this.settings.enabled || !player) return null;
+        return this.redis.getPlayerParty(player);
+    }
+
+    async getParty(partyId) {
+        return this.redis.getParty(partyId);
+    }
+
+    async list() {
+        return this.redis.getAllParties();
+    }
+
+    async create(leader) {
+        if (!leader) {
+            throw new Error('leader is required');
+        }
+        if (await this.getPartyOf(leader)) {
+            throw new Error(`${leader} is already in a party`);
+        }
+
+        const party = {
+            id: uuidv4(),
+            leader,
+            members: [leader],
+            createdAt: Date.now()
+        };
+        await this.redis.saveParty(party);
+
+        this.logger.info(`${leader} created party ${party.id}`);
+        await this.changed('create', party, leader);
+        return party;
+    }
+
+    async join(leader, player) {
+        if (!player) {
+            throw new Error('player is required');
+        }
+
+        const party = await this.getPartyOf(leader);
+        if (!party) {
+            throw new Error(`${leader} is not in a party`);
+        }
+        if (await this.getPartyOf(player)) {
+            throw new Error(`${player} is already in a party`);
+        }
+        if (party.members.length >= this.settings.maxSize) {
+            throw new Error(`Party is full (${this.settings.maxSize} players)`);
+        }
+
+        party.members.push(player);
+        await this.redis.saveParty(party);
+
+        this.logger.info(`${player} joined the party of ${party.leader}`);
+        await this.changed('join', party, player);
+        return party;
+    }
+
+    // The leader leaving disbands the party
+    async leave(player) {
+        const party = await this.getPartyOf(player);
+        if (!party) {
+            throw new Error(`${player} is not in a party`);
+        }
+        if (party.leader === player) {
+            return this.disband(player);
+        }
+
+        party.members = party.members.filter(member => member !== player);
+        await this.redis.removePartyMember(player);
+        await this.redis.saveParty(party);
+
+        this.logger.info(`${player} left the party of ${party.leader}`);
+        await this.changed('leave', party, player);
+        return party;
+    }
+
+    async kick(leader, player) {
+        const party = await this.getPartyOf(leader);
+        if (!party || party.leader !== leader) {
+            throw new Error(`${leader} does not lead a party`);
+        }
+        if (player === leader || !party.members.includes(player)) {
+            throw new Error(`${player} is not a member of the party`);
+        }
+
+        return this.leave(player);
+    }
+
+    async disband(leader) {
+        const party = await this.getPartyOf(leader);
+        if (!party || party.leader !== leader) {
+            throw new Error(`${leader} does not lead a party`);
+        }
+
+        await this.redis.deleteParty(party);
+
+        this.logger.info(`Party of ${leader} disbanded`);
+        await this.changed('disband', party, leader);
+        return party;
+    }
+
+    async changed(action, party, player) {
+        this.emit('partyChanged', { action, party, player });
+
+        await this.redis.publish('party:update', {
+            action,
+            party,
+            player,
+            timestamp: Date.now()
+        });
+    }
+}
+
+module.exports = PartyManager;
@@ -0,0 +1,205 @@
+// src/PlayerHistory.js - Player Sessions with Server Hops, Retained for historyDays
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const Logger = require('./utils/Logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A quit followed by a join within this window is a server hop, not a new session
+const HOP_GRACE = 10000;
+
+class PlayerHistory extends EventEmitter {
+    constructor(configManager, redisManager, serverController) {
+        super();
+        this.config = configManager;
+        this.redis = redisManager;
+        this.controller = serverController;
+        this.logger = new Logger('PlayerHistory');
+
+        this.sessions = new Map();      // player -> open session
+        this.handlers = [];
+    }
+
+    get settings() {
+        const tracking = this.config.get('features.playerTracking', {});
+
+        return {
+            enabled: tracking.enabled !== false && tracking.storeHistory !== false,
+            historyDays: tracking.historyDays || 30
+        };
+    }
+
+    start() {
+        if (!this.settings.enabled) {
+            this.logger.info('Player history is disabled');
+            return;
+        }
+
+        const on = (event, handler) => {
+            this.controller.on(event, handler);
+            this.handlers.push([event, handler]);
+        };
+
+        on('playerJoin', ({ serverId, player }) => this.join(player, serverId));
+        on('playerQuit', ({ serverId, player }) => this.quit(player, serverId));
+
+        // Players on a server that stopped, crashed or exited on its own left it without a quit line
+        const serverGone = (serverId) => {
+            for (const [player, session] of this.sessions) {
+                if (session.current && session.current.server === serverId) {
+                    this.quit(player, serverId);
+                }
+            }
+        };
+        on('serverStopped', serverGone);
+        on('serverExited', ({ serverId }) => serverGone(serverId));
+
+        this.logger.info(`Player history started (kept ${this.settings.historyDays} days)`);
+    }
+
+    // Close every open session, e.g. on shutdown
+    async stop() {
+        for (const [event, handler] of this.handlers) {
+            this.controller.removeListener(event, handler);
+        }
+        this.handlers = [];
+
+        const now = Date.now();
+        for (const [player, session] of this.sessions) {
+            this.closeSegment(session, now);
+            try {
+                await this.end(player, session);
+            } catch (error) {
+                this.logger.error(`Failed to store session of ${player}: ${error.message}`);
+            }
+        }
+    }
+
+    join(player, serverId) {
+        const now = Date.now();
+        let session = this.sessions.get(player);
+
+        if (session) {
+            // Joined a new server before (or shortly after) leaving the old one: a hop
+            clearTimeout(session.endTimer);
+            session.endTimer = null;
+            if (session.current && session.current.server === serverId) return;
+            this.closeSegment(session, now);
+        } else {
+            session = {
+                id: uuidv4(),
+                player,
+                start: now,
+                segments: [],
+                current: null,
+                endTimer: null
+            };
+            this.sessions.set(player, session);
+            this.emit('sessionStarted', { player, server: serverId, timestamp: now });
+        }
+
+        const server = this.controller.getServer(serverId);
+        session.current = {
+            server: serverId,
+            gameType: server?.gameType || null,
+            joinedAt: now
+        };
+    }
+
+    quit(player, serverId) {
+        const session = this.sessions.get(player);
+        if (!session || !session.current || session.current.server !== serverId) return;
+
+        this.closeSegment(session, Date.now());
+
+        session.endTimer = setTimeout(() => {
+            this.end(player, session).catch(error => {
+                this.logger.error(`Failed to store session of ${player}: ${error.message}`);
+            });
+        }, HOP_GRACE);
+    }
+
+    closeSegment(session, now) {
+        if (!session.current) return;
+
+        session.segments.push({
+            ...session.current,
+            leftAt: now,
+            duration: now - session.current.joinedAt
+        });
+        session.current = null;
+    }
+
+    async end(player, session) {
+        clearTimeout(session.endTimer);
+        if (this.sessions.get(player) !== session) return;
+        this.sessions.delete(player);
+
+        const last = session.segments[session.segments.length - 1];
+        const end = last ? last.leftAt : Date.now();
+        const record = {
+            id: session.id,
+            player,
+            start: session.start,
+            end,
+            duration: end - session.start,
+            segments: session.segments
+        };
+
+        await this.redis.addPlayerSession(player, record, this.settings.historyDays * DAY);
+        this.emit('sessionEnded', record);
+    }
+
+    // The open session of an online player, with the current server's time so far
+    getCurrentSession(player) {
+        const session = this.sessions.get(player);
+        if (!session) return null;
+
+        const now = Date.now();
+        const segments = session.current
+            ? [...session.segments, { ...session.current, leftAt: null, duration: now - session.current.joinedAt }]
+            : session.segments;
+
+        return {
+            id: session.id,
+            player,
+            start: session.start,
+            end: null,
+            duration: now - session.start,
+            server: session.current ? session.current.server : null,
+            segments
+        };
+    }
+
+    // Stored sessions (newest first) plus the open one, with playtime per server and gameType
+    async getHistory(player, days = null) {
+        const historyDays = Math.min(days || this.settings.historyDays, this.settings.historyDays);
+        const since = Date.now() - historyDays * DAY;
+
+        const stored = await this.redis.getPlayerSessions(player, since);
+        const current = this.getCurrentSession(player);
+        const sessions = current ? [current, ...stored.reverse()] : stored.reverse();
+
+        const totals = { playtime: 0, sessions: sessions.length, servers: {}, gameTypes: {} };
+        for (const session of sessions) {
+            for (const segment of session.segments) {
+                totals.playtime += segment.duration;
+                totals.servers[segment.server] = (totals.servers[segment.server] || 0) + segment.duration;
+                if (segment.gameType) {
+                    totals.gameTypes[segment.gameType] = (totals.gameTypes[segment.gameType] || 0) + segment.duration;
+                }
+            }
+        }
+
+        return {
+            player,
+            online: !!current,
+            days: historyDays,
+            totals,
+            sessions
+        };
+    }
+}
+
+module.exports = PlayerHistory;
@@ -0,0 +1,185 @@
+// src/PlayerMover.js - Player Transfers and Kicks through the Proxy Plugin, with Acknowledgements
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const Logger = require('./utils/Logger');
+
+class PlayerMover extends EventEmitter {
+    constructor(configManager, redisManager, serverController) {
+        super();
+        this.config = configManager;
+        this.redis = redisManager;
+        this.controller = serverController;
+        this.logger = new Logger('PlayerMover');
+
+        this.pending = new Map();       // requestId -> request waiting for acknowledgements
+    }
+
+    get settings() {
+        const transfer = this.config.get('features.playerTransfer', {});
+
+        return {
+            timeout: transfer.timeout || 5000
+        };
+    }
+
+    async start() {
+        if (!this.redis || !this.redis.connected) {
+            this.logger.warn('Redis not available, player transfers disabled');
+            return;
+        }
+
+        // Each proxy acknowledges the players it holds: { requestId, proxyId, results: [{ player, success, error }] }
+        await this.redis.subscribe('player:transfer:ack', (data) => this.handleAck(data));
+    }
+
+    stop() {
+        for (const request of this.pending.values()) {
+            this.finish(request);
+        }
+    }
+
+    async transfer(players, serverId) {
+        const server = this.controller.getServer(serverId);
+        if (!server) {
+            throw new Error(`Server ${serverId} not found`);
+        }
+        if (!['running', 'ready', 'degraded'].includes(server.status)) {
+            throw new Error(`Server ${serverId} is ${server.status || 'stopped'}`);
+        }
+
+        return this.send('transfer', players, {
+            server: serverId,
+            host: '127.0.0.1',
+            port: server.port
+        });
+    }
+
+    async kick(players, reason = null) {
+        return this.send('kick', players, { reason: reason || 'Kicked by an operator' });
+    }
+
+    // Everyone on one server to another, e.g. before maintenance
+    async transferAll(fromServer, toServer) {
+        if (fromServer === toServer) {
+            throw new Error('Source and target server are the same');
+        }
+
+        const players = this.redis.connected
+            ? (await this.redis.getServerPlayers(fromServer)).map(player => player.name)
+            : (this.controller.getServer(fromServer)?.players || []);
+
+        if (players.length === 0) {
+            return { action: 'transfer', server: toServer, from: fromServer, results: [], succeeded: 0, failed: 0 };
+        }
+
+        return { ...await this.transfer(players, toServer), from: fromServer };
+    }
+
+    async send(action, players, details) {
+        players = [...new Set(players.filter(Boolean))];
+        if (players.length === 0) {
+            throw new Error('No players given');
+        }
+        if (!this.redis || !this.redis.connected) {
+            throw new Error('Redis not connected, the proxy cannot be reached');
+        }
+
+        // Managed proxies each answer; an external proxy counts as one
+        const proxies = this.controller.proxies ? this.controller.getReadyProxies().length : 0;
+        if (this.controller.proxies && this.controller.proxies.size > 0 && proxies === 0) {
+            throw new Error('No proxy is ready');
+        }
+
+        const requestId = uuidv4();
+        const request = {
+            id: requestId,
+            action,
+            details,
+            players,
+            expected: Math.max(proxies, 1),
+            proxies: new Set(),
+            results: new Map(),
+            timer: null,
+            resolve: null
+        };
+
+        const done = new Promise(resolve => {
+            request.resolve = resolve;
+        });
+        request.timer = setTimeout(() => this.finish(request), this.settings.timeout);
+        this.pending.set(requestId, request);
+
+        const published = await this.redis.publish('player:transfer', {
+            action,
+            requestId,
+            players,
+            ...details,
+            timestamp: Date.now()
+        });
+        if (!published) {
+            this.finish(request);
+        }
+
+        const result = await done;
+        this.logger.info(`${action} of ${players.length} player(s)${details.server ? ` to ${details.server}` : ''}: ` +
+            `${result.succeeded} succeeded, ${result.failed} failed`);
+        this.emit('playersMoved', result);
+
+        return result;
+    }
+
+    handleAck(data) {
+        const request = this.pending.get(data.requestId);
+        if (!request) return;
+
+        const results = data.results || [{ player: data.player, success: data.success, error: data.error }];
+        for (const result of results) {
+            if (!request.players.includes(result.player)) continue;
+
+            // A proxy that does not hold the player fails it; another proxy may still succeed
+            const previous = request.results.get(result.player);
+            if (previous && previous.success) continue;
+
+            request.results.set(result.player, {
+                player: result.player,
+                success: !!result.success,
+                error: result.success ? undefined : (result.error || 'Rejected by the proxy'),
+                proxyId: data.proxyId || null
+            });
+        }
+        request.proxies.add(data.proxyId || 'proxy');
+
+        const allSucceeded = request.players.every(player => request.results.get(player)?.success);
+        const allAnswered = request.proxies.size >= request.expected &&
+            request.players.every(player => request.results.has(player));
+
+        if (allSucceeded || allAnswered) {
+            this.finish(request);
+        }
+    }
+
+    // Players without an acknowledgement by the timeout failed
+    finish(request) {
+        clearTimeout(request.timer);
+        if (!this.pending.delete(request.id)) return;
+
+        const results = request.players.map(player => request.results.get(player) || {
+            player,
+            success: false,
+            error: 'No acknowledgement from the proxy'
+        });
+        const succeeded = results.filter(result => result.success).length;
+
+        request.resolve({
+            requestId: request.id,
+            action: request.action,
+            server: request.details.server || null,
+            results,
+            succeeded,
+            failed: results.length - succeeded
+        });
+    }
+}
+
+module.exports = PlayerMover;
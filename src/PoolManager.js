@@ -20,13 +20,20 @@ class PoolManager extends EventEmitter {
             averageWaitTime: 0
         };
         
+        // Wait time distribution in ms, cumulative per upper bound (Prometheus style)
+        this.waitTimeHistogram = {
+            buckets: [100, 500, 1000, 2500, 5000, 10000, 30000, 60000],
+            counts: new Array(8).fill(0),
+            sum: 0,
+            count: 0
+        };
+        
         this.checkInterval = null;
         this.isRunning = false;
         
         // FIXED: Initialize missing properties
         this.enabled = false;  // Will be set by start()
         this.scaling = false;  // Track if currently scaling
-        this.usedPorts = new Set();  // Track used ports
     }
 
     async start() {
@@ -87,7 +94,8 @@ class PoolManager extends EventEmitter {
         const warmServers = [];
         for (const serverId of this.warmPool) {
             const server = this.controller.getServer(serverId);
-            if (server && server.status === 'ready') {
+            // Degraded servers are still up and stay in the pool
+            if (server && ['ready', 'degraded'].includes(server.status)) {
                 warmServers.push(server);
             }
         }
@@ -381,42 +389,6 @@ class PoolManager extends EventEmitter {
         }
     }
 
-    getNextAvailablePort() {
-        const startPort = this.config.get('ports.rangeStart', 25600);
-        const endPort = this.config.get('ports.rangeEnd', 25700);
-        
-        // Rebuild used ports set from all active servers
-        this.usedPorts.clear();
-        
-        // Check dynamic servers
-        this.controller.servers.forEach(server => {
-            if (server.port) this.usedPorts.add(server.port);
-        });
-        
-        // Check static servers
-        if (this.controller.staticServers) {
-            this.controller.staticServers.forEach(server => {
-                if (server.port) this.usedPorts.add(server.port);
-            });
-        }
-        
-        // Add hub port if configured
-        const hubConfig = this.config.get('servers.hub');
-        if (hubConfig && hubConfig.port) {
-            this.usedPorts.add(hubConfig.port);
-        }
-        
-        // Find first available port
-        for (let port = startPort; port <= endPort; port++) {
-            if (!this.usedPorts.has(port)) {
-                this.usedPorts.add(port); // Reserve it immediately
-                return port;
-            }
-        }
-        
-        throw new Error(`No available ports in range ${startPort}-${endPort}`);
-    }
-
     async addServerToPool() {
         try {
             const poolConfig = this.config.get('pool', {});
@@ -603,7 +575,7 @@ class PoolManager extends EventEmitter {
         // Check if server should be returned to pool or stopped
         const shouldReturnToPool = 
             this.warmPool.size < this.config.get('pool.maxWarm', 5) &&
-            server.status === 'ready' &&
+            ['ready', 'degraded'].includes(server.status) &&
             server.players.length === 0;
         
         if (shouldReturnToPool) {
@@ -687,6 +659,13 @@ class PoolManager extends EventEmitter {
         const alpha = 0.2; // Exponential moving average factor
         this.metrics.averageWaitTime = 
             alpha * waitTime + (1 - alpha) * this.metrics.averageWaitTime;
+        
+        const histogram = this.waitTimeHistogram;
+        histogram.buckets.forEach((bound, i) => {
+            if (waitTime <= bound) histogram.counts[i]++;
+        });
+        histogram.sum += waitTime;
+        histogram.count++;
     }
 
     async recordMetrics() {
@@ -0,0 +1,237 @@
+// src/ProcessReconciler.js - Server State Tracking and Orphan Process Reconciliation
+
+const fs = require('fs-extra');
+const path = require('path');
+const Logger = require('./utils/Logger');
+
+const PID_FILE = 'server.pid';
+
+const POLICIES = ['adopt', 'terminate', 'ignore'];
+
+class ProcessReconciler {
+    constructor(serverController, configManager, redisManager) {
+        this.controller = serverController;
+        this.config = configManager;
+        this.redis = redisManager;
+        this.logger = new Logger('ProcessReconciler');
+    }
+
+    get settings() {
+        const orphans = this.config.get('features.orphanProcesses', {});
+
+        return {
+            policy: POLICIES.includes(orphans.policy) ? orphans.policy : 'adopt',
+            dynamicPolicy: POLICIES.includes(orphans.dynamicPolicy) ? orphans.dynamicPolicy : 'terminate',
+            stopTimeout: orphans.stopTimeout || 15000
+        };
+    }
+
+    get redisAvailable() {
+        return !!(this.redis && this.redis.client && this.redis.connected);
+    }
+
+    // Record a running server (or the proxy) in Redis and its PID file
+    async track(server) {
+        if (!server || !server.pid || !server.directory) return;
+
+        try {
+            await fs.writeFile(path.join(server.directory, PID_FILE), String(server.pid));
+
+            if (this.redisAvailable) {
+                await this.redis.storeServerState(server.id, {
+                    id: server.id,
+                    type: server.type,
+                    gameType: server.gameType || '',
+                    port: String(server.port || ''),
+                    pid: String(server.pid),
+                    status: server.status || '',
+                    directory: path.resolve(server.directory),
+                    players: JSON.stringify(server.players || []),
+                    startedAt: String(server.startedAt || '')
+                });
+            }
+        } catch (error) {
+            this.logger.warn(`Failed to track state of ${server.id}: ${error.message}`);
+        }
+    }
+
+    async untrack(server) {
+        if (!server) return;
+
+        try {
+            if (server.directory) {
+                await fs.remove(path.join(server.directory, PID_FILE));
+            }
+
+            if (this.redisAvailable) {
+                await this.redis.removeServerState(server.id);
+            }
+        } catch (error) {
+            this.logger.warn(`Failed to clear state of ${server.id}: ${error.message}`);
+        }
+    }
+
+    // Find processes that survived a previous manager run and apply the configured policy
+    async reconcile() {
+        const candidates = await this.collectCandidates();
+        const results = [];
+
+        if (candidates.length === 0) return results;
+
+        const settings = this.settings;
+        this.logger.info(`Reconciling ${candidates.length} server(s) from a previous run`);
+
+        for (const candidate of candidates) {
+            if (!await this.verifyProcess(candidate.pid, candidate.directory)) {
+                this.logger.debug(`No surviving process for ${candidate.id}, clearing stale state`);
+                await this.untrack(candidate);
+                results.push({ id: candidate.id, action: 'cleared' });
+                continue;
+            }
+
+            const policy = candidate.type === 'dynamic' ? settings.dynamicPolicy : settings.policy;
+
+            try {
+                switch (policy) {
+                    case 'adopt':
+                        await this.controller.adoptProcess(candidate);
+                        break;
+                    case 'terminate':
+                        this.logger.info(`Terminating orphaned ${candidate.id} (pid ${candidate.pid})`);
+                        await this.controller.terminateProcess(candidate.pid, settings.stopTimeout);
+                        await this.controller.network.releasePort(candidate.port);
+                        await this.untrack(candidate);
+                        break;
+                    case 'ignore':
+                        this.logger.warn(`Leaving orphaned ${candidate.id} (pid ${candidate.pid}) running unmanaged`);
+                        break;
+                }
+
+                results.push({ id: candidate.id, pid: candidate.pid, action: policy });
+            } catch (error) {
+                this.logger.error(`Failed to ${policy} orphaned ${candidate.id}: ${error.message}`);
+                results.push({ id: candidate.id, pid: candidate.pid, action: 'error', error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    // Merge Redis server state with PID files found in server directories
+    async collectCandidates() {
+        const byDirectory = new Map();
+
+        if (this.redisAvailable) {
+            try {
+                for (const state of await this.redis.getAllServerStates()) {
+                    if (!state.directory || !state.pid) continue;
+
+                    let players = [];
+                    try {
+                        players = JSON.parse(state.players || '[]');
+                    } catch (error) {
+                        // Keep the empty list
+                    }
+
+                    byDirectory.set(path.resolve(state.directory), {
+                        id: state.id,
+                        type: state.type,
+                        gameType: state.gameType || null,
+                        port: parseInt(state.port) || null,
+                        pid: parseInt(state.pid),
+                        status: state.status || 'running',
+                        directory: path.resolve(state.directory),
+                        players,
+                        startedAt: parseInt(state.startedAt) || null
+                    });
+                }
+            } catch (error) {
+                this.logger.error(`Failed to read server state from Redis: ${error.message}`);
+            }
+        }
+
+        for (const dir of await this.getServerDirectories()) {
+            const pidFile = path.join(dir.directory, PID_FILE);
+            if (!await fs.pathExists(pidFile)) continue;
+
+            const pid = parseInt(await fs.readFile(pidFile, 'utf8'));
+            if (!pid) continue;
+
+            const existing = byDirectory.get(dir.directory);
+            if (existing) {
+                existing.pid = existing.pid || pid;
+                continue;
+            }
+
+            byDirectory.set(dir.directory, {
+                ...dir,
+                gameType: null,
+                port: await this.readPort(dir),
+                pid,
+                status: 'running',
+                players: [],
+                startedAt: null
+            });
+        }
+
+        return Array.from(byDirectory.values());
+    }
+
+    async getServerDirectories() {
+        const serversDir = path.resolve(this.config.get('paths.servers', './servers'));
+        const directories = [];
+
+        for (const type of ['static', 'dynamic']) {
+            const base = path.join(serversDir, type);
+            if (!await fs.pathExists(base)) continue;
+
+            for (const id of await fs.readdir(base)) {
+                directories.push({ id, type, directory: path.join(base, id) });
+            }
+        }
+
+        for (const instance of this.config.getProxyInstances()) {
+            directories.push({ id: instance.id, type: 'proxy', directory: path.resolve(instance.directory) });
+        }
+
+        return directories;
+    }
+
+    // Port from the server's own config when Redis has no record of it
+    async readPort(dir) {
+        try {
+            if (dir.type === 'proxy') {
+                const toml = await fs.readFile(path.join(dir.directory, 'velocity.toml'), 'utf8');
+                const match = toml.match(/^\s*bind\s*=\s*"[^"]*:(\d+)"/m);
+                return match ? parseInt(match[1]) : null;
+            }
+
+            const properties = await fs.readFile(path.join(dir.directory, 'server.properties'), 'utf8');
+            const match = properties.match(/^server-port=(\d+)/m);
+            return match ? parseInt(match[1]) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Guard against PID reuse: on Linux the process must be Java running in the server directory
+    async verifyProcess(pid, directory) {
+        if (!this.controller.network.isProcessAlive(pid)) return false;
+
+        const procDir = `/proc/${pid}`;
+        if (!await fs.pathExists(procDir)) return true;
+
+        try {
+            const cmdline = await fs.readFile(path.join(procDir, 'cmdline'), 'utf8');
+            if (!cmdline.includes('java')) return false;
+
+            const cwd = await fs.readlink(path.join(procDir, 'cwd'));
+            return path.resolve(cwd) === path.resolve(directory);
+        } catch (error) {
+            // Not allowed to inspect it; trust the PID
+            return true;
+        }
+    }
+}
+
+module.exports = ProcessReconciler;
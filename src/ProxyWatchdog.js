@@ -0,0 +1,291 @@
+// src/ProxyWatchdog.js - Proxy Heartbeat/Port Watchdog with Automatic Restart and Backend Re-registration
+
+const net = require('net');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const Logger = require('./utils/Logger');
+
+// Incidents kept in memory for the API
+const MAX_INCIDENTS = 50;
+
+// Minecraft VarInt encoding, used for the status ping
+function varInt(value) {
+    const bytes = [];
+    do {
+        let byte = value & 0x7f;
+        value >>>= 7;
+        if (value !== 0) byte |= 0x80;
+        bytes.push(byte);
+    } while (value !== 0);
+    return Buffer.from(bytes);
+}
+
+function packet(id, payload) {
+    const body = Buffer.concat([varInt(id), payload]);
+    return Buffer.concat([varInt(body.length), body]);
+}
+
+class ProxyWatchdog extends EventEmitter {
+    constructor(configManager, serverController, redisManager) {
+        super();
+        this.config = configManager;
+        this.controller = serverController;
+        this.redis = redisManager;
+        this.logger = new Logger('ProxyWatchdog');
+
+        this.interval = null;
+        this.states = new Map();
+        this.incidents = [];
+    }
+
+    // Failure and recovery bookkeeping of one proxy instance
+    getState(proxyId) {
+        if (!this.states.has(proxyId)) {
+            this.states.set(proxyId, {
+                failures: 0,
+                lastFailure: null,
+                recovering: false,
+                recoveries: [],
+                gaveUpOn: null
+            });
+        }
+        return this.states.get(proxyId);
+    }
+
+    get settings() {
+        const watchdog = this.config.get('proxy.watchdog', {});
+
+        return {
+            enabled: watchdog.enabled !== false,
+            interval: watchdog.interval || 15000,
+            heartbeatTimeout: watchdog.heartbeatTimeout || 60000,
+            requireHeartbeat: watchdog.requireHeartbeat === true,
+            pingTimeout: watchdog.pingTimeout || 5000,
+            failureThreshold: watchdog.failureThreshold || 2,
+            startupGrace: watchdog.startupGrace || 120000,
+            maxRecoveries: watchdog.maxRecoveries || 3,
+            window: watchdog.window || 1800000
+        };
+    }
+
+    start() {
+        const settings = this.settings;
+        if (!this.config.get('proxy.enabled', false) || !settings.enabled) {
+            this.logger.info('Proxy watchdog is disabled');
+            return;
+        }
+
+        this.interval = setInterval(() => {
+            this.check().catch(error => {
+                this.logger.error(`Proxy watchdog check failed: ${error.message}`);
+            });
+        }, settings.interval);
+
+        this.logger.info(`Proxy watchdog started (every ${settings.interval}ms)`);
+    }
+
+    stop() {
+        clearInterval(this.interval);
+        this.interval = null;
+    }
+
+    // Check every running proxy; each one fails and recovers on its own
+    async check() {
+        const results = {};
+
+        for (const proxy of Array.from(this.controller.proxies.values())) {
+            results[proxy.id] = await this.checkProxy(proxy);
+        }
+
+        return results;
+    }
+
+    async checkProxy(proxy) {
+        const settings = this.settings;
+        const state = this.getState(proxy.id);
+
+        // Being stopped: the exit handler and restart policy own that case
+        if (proxy.status === 'stopping' || state.recovering) return null;
+
+        // Recovery attempts were exhausted for this proxy instance
+        if (state.gaveUpOn === proxy.startedAt) return null;
+
+        const age = Date.now() - (proxy.startedAt || 0);
+        if (proxy.status !== 'ready' && age < settings.startupGrace) return null;
+
+        const reasons = await this.probe(proxy, settings, age);
+
+        if (reasons.length === 0) {
+            if (state.failures > 0) {
+                this.logger.info(`Proxy ${proxy.id} is responding again`);
+            }
+            state.failures = 0;
+            state.lastFailure = null;
+            return { healthy: true, reasons };
+        }
+
+        state.failures++;
+        state.lastFailure = { timestamp: Date.now(), reasons };
+        this.logger.warn(`Proxy ${proxy.id} check failed (${state.failures}/${settings.failureThreshold}): ${reasons.join(', ')}`);
+
+        if (state.failures >= settings.failureThreshold) {
+            await this.recover(proxy.id, reasons);
+        }
+
+        return { healthy: false, reasons };
+    }
+
+    // Reasons the proxy counts as failed right now; empty when healthy
+    async probe(proxy, settings, age) {
+        const reasons = [];
+
+        if (this.redis && this.redis.connected && this.controller.isProxyHeartbeatTracked(proxy)) {
+            const last = this.controller.getProxyHeartbeat(proxy);
+            const heardFromThisInstance = last && last >= proxy.startedAt;
+
+            if (heardFromThisInstance && Date.now() - last > settings.heartbeatTimeout) {
+                reasons.push(`no heartbeat for ${Math.round((Date.now() - last) / 1000)}s`);
+            } else if (!heardFromThisInstance && settings.requireHeartbeat && age > settings.startupGrace) {
+                reasons.push('no heartbeat since start');
+            }
+        }
+
+        if (proxy.port && !await this.ping(proxy.port, settings.pingTimeout)) {
+            reasons.push(`port ${proxy.port} not answering status pings`);
+        }
+
+        return reasons;
+    }
+
+    // A bound port alone is not enough: a hung proxy still accepts connections, so ask for the server list status
+    ping(port, timeout) {
+        return new Promise((resolve) => {
+            const socket = net.connect({ host: '127.0.0.1', port });
+            let done = false;
+
+            const finish = (result) => {
+                if (done) return;
+                done = true;
+                socket.destroy();
+                resolve(result);
+            };
+
+            socket.setTimeout(timeout, () => finish(false));
+            socket.once('error', () => finish(false));
+            socket.once('data', () => finish(true));
+            socket.once('connect', () => {
+                const host = Buffer.from('127.0.0.1');
+                const portBuffer = Buffer.alloc(2);
+                portBuffer.writeUInt16BE(port);
+
+                // Handshake (protocol -1, next state 1 = status) followed by a status request
+                socket.write(packet(0x00, Buffer.concat([varInt(-1), varInt(host.length), host, portBuffer, varInt(1)])));
+                socket.write(packet(0x00, Buffer.alloc(0)));
+            });
+        });
+    }
+
+    // Restart a proxy and re-register every ready backend with it once it is back
+    async recover(proxyId, reasons, { manual = false } = {}) {
+        const state = this.getState(proxyId);
+        if (state.recovering) {
+            throw new Error(`Recovery of ${proxyId} already in progress`);
+        }
+
+        const settings = this.settings;
+        const now = Date.now();
+        state.recoveries = state.recoveries.filter(t => now - t < settings.window);
+
+        const incident = {
+            id: uuidv4(),
+            proxyId,
+            detectedAt: now,
+            reasons,
+            manual,
+            result: null,
+            reregistered: [],
+            error: null,
+            durationMs: null
+        };
+
+        if (!manual && state.recoveries.length >= settings.maxRecoveries) {
+            const proxy = this.controller.proxies.get(proxyId);
+            state.gaveUpOn = proxy ? proxy.startedAt : null;
+            incident.result = 'gaveUp';
+            this.logger.error(
+                `Proxy ${proxyId} failed again after ${state.recoveries.length} recoveries within ` +
+                `${Math.round(settings.window / 60000)}m, leaving it for manual recovery`
+            );
+            return this.report(incident);
+        }
+
+        state.recovering = true;
+        state.recoveries.push(now);
+        this.logger.warn(`Recovering proxy ${proxyId}: ${reasons.join(', ')}`);
+        this.emit('recoveryStarted', { id: incident.id, proxyId, reasons, manual, timestamp: now });
+
+        try {
+            await this.controller.stopProxy(proxyId);
+            await this.controller.startProxy(proxyId);
+
+            // The restarted proxy registered the ready backends with itself on startup
+            const proxy = this.controller.proxies.get(proxyId);
+            if (!proxy || proxy.status !== 'ready') {
+                throw new Error(`Proxy ${proxyId} did not become ready after restart`);
+            }
+
+            incident.reregistered = await this.controller.registerBackendsWithProxy(proxy);
+            incident.result = 'recovered';
+        } catch (error) {
+            incident.result = 'failed';
+            incident.error = error.message;
+            this.logger.error(`Recovery of proxy ${proxyId} failed: ${error.message}`);
+        } finally {
+            state.recovering = false;
+            state.failures = 0;
+            state.lastFailure = null;
+            incident.durationMs = Date.now() - now;
+        }
+
+        return this.report(incident);
+    }
+
+    report(incident) {
+        this.incidents.push(incident);
+        if (this.incidents.length > MAX_INCIDENTS) {
+            this.incidents.shift();
+        }
+
+        const log = incident.result === 'recovered' ? 'info' : 'error';
+        this.logger[log](`Proxy ${incident.proxyId} incident ${incident.id}: ${incident.result} (${incident.reasons.join(', ')})`);
+        this.emit('incident', incident);
+
+        return incident;
+    }
+
+    getStatus() {
+        const proxies = this.config.getProxyInstances().map(instance => {
+            const proxy = this.controller.proxies.get(instance.id);
+            const state = this.getState(instance.id);
+
+            return {
+                id: instance.id,
+                status: proxy ? proxy.status : null,
+                lastHeartbeat: proxy ? this.controller.getProxyHeartbeat(proxy) : null,
+                failures: state.failures,
+                lastFailure: state.lastFailure,
+                recovering: state.recovering,
+                gaveUp: !!proxy && state.gaveUpOn === proxy.startedAt
+            };
+        });
+
+        return {
+            settings: this.settings,
+            running: !!this.interval,
+            proxies,
+            incidents: this.incidents.slice().reverse()
+        };
+    }
+}
+
+module.exports = ProxyWatchdog;
@@ -14,6 +14,8 @@ class RedisManager extends EventEmitter {
         this.subscriber = null;
         this.subscriptions = new Map();
         this.connected = false;
+        this.lastProxyHeartbeat = null;
+        this.proxyHeartbeats = new Map();
     }
 
     async connect() {
@@ -118,6 +120,12 @@ class RedisManager extends EventEmitter {
                 const data = JSON.parse(message);
                 this.emit('proxy:heartbeat', data);
                 this.lastProxyHeartbeat = Date.now();
+                
+                // Proxies tag heartbeats with the id they were started with (servermanager.proxyId)
+                const proxyId = data.proxyId || data.proxy;
+                if (proxyId) {
+                    this.proxyHeartbeats.set(proxyId, this.lastProxyHeartbeat);
+                }
             } catch (error) {
                 this.logger.error('Error parsing proxy heartbeat:', error);
             }
@@ -147,7 +155,7 @@ class RedisManager extends EventEmitter {
         
         // Add all running servers
         this.controller.servers.forEach(server => {
-            if (server.status === 'ready' && server.port) {
+            if ((server.status === 'ready' || server.status === 'degraded') && server.port) {
                 servers.push({
                     id: server.id,
                     host: '127.0.0.1',
@@ -162,7 +170,7 @@ class RedisManager extends EventEmitter {
         // Add static servers
         if (this.controller.staticServers) {
             this.controller.staticServers.forEach(server => {
-                if (server.status === 'ready' && server.port) {
+                if ((server.status === 'ready' || server.status === 'degraded') && server.port) {
                     servers.push({
                         id: server.id,
                         host: '127.0.0.1',
@@ -329,8 +337,23 @@ class RedisManager extends EventEmitter {
     }
 
     // Player tracking methods
+    // The index is a global hash (player -> location) plus a set of player names per server
+
+    playerIndexKeys(serverId = null) {
+        const prefix = this.config.get('redis.keyPrefix', 'mcserver:');
+        return {
+            players: `${prefix}players`,
+            server: serverId ? `${prefix}players:server:${serverId}` : null
+        };
+    }
+
+    async getPlayerEntry(player) {
+        const data = await this.client.hGet(this.playerIndexKeys().players, player);
+        return data ? JSON.parse(data) : null;
+    }
 
-    async trackPlayerJoin(player, serverId) {
+    // A join on another server while still indexed elsewhere is a switch
+    async trackPlayerJoin(player, serverId, details = {}) {
         const data = {
             player,
             server: serverId,
@@ -339,13 +362,21 @@ class RedisManager extends EventEmitter {
 
         await this.publish('player:join', data);
         
-        // Store in Redis for persistence
         if (this.client) {
-            const key = `${this.config.get('redis.keyPrefix', 'mcserver:')}player:${player}`;
-            await this.client.hSet(key, {
-                server: serverId,
-                joinTime: Date.now().toString()
-            });
+            const previous = await this.getPlayerEntry(player);
+            if (previous && previous.server !== serverId) {
+                return this.indexPlayerSwitch(player, previous, serverId, details);
+            }
+
+            const keys = this.playerIndexKeys(serverId);
+            await this.client.multi()
+                .hSet(keys.players, player, JSON.stringify({
+                    server: serverId,
+                    gameType: details.gameType || null,
+                    joinTime: previous ? previous.joinTime : data.timestamp
+                }))
+                .sAdd(keys.server, player)
+                .exec();
         }
     }
 
@@ -358,14 +389,20 @@ class RedisManager extends EventEmitter {
 
         await this.publish('player:quit', data);
         
-        // Remove from Redis
         if (this.client) {
-            const key = `${this.config.get('redis.keyPrefix', 'mcserver:')}player:${player}`;
-            await this.client.del(key);
+            const keys = this.playerIndexKeys(serverId);
+            const current = await this.getPlayerEntry(player);
+            const multi = this.client.multi().sRem(keys.server, player);
+
+            // Quit lines may arrive after the join on the next server
+            if (current && current.server === serverId) {
+                multi.hDel(keys.players, player);
+            }
+            await multi.exec();
         }
     }
 
-    async trackPlayerSwitch(player, fromServer, toServer) {
+    async trackPlayerSwitch(player, fromServer, toServer, details = {}) {
         const data = {
             player,
             from: fromServer,
@@ -375,84 +412,169 @@ class RedisManager extends EventEmitter {
 
         await this.publish('player:switch', data);
         
-        // Update in Redis
         if (this.client) {
-            const key = `${this.config.get('redis.keyPrefix', 'mcserver:')}player:${player}`;
-            await this.client.hSet(key, {
+            const previous = await this.getPlayerEntry(player) || { server: fromServer, joinTime: data.timestamp };
+            await this.indexPlayerSwitch(player, previous, toServer, details);
+        }
+    }
+
+    async indexPlayerSwitch(player, previous, toServer, details) {
+        const now = Date.now();
+        const multi = this.client.multi()
+            .hSet(this.playerIndexKeys().players, player, JSON.stringify({
                 server: toServer,
-                lastSwitch: Date.now().toString()
-            });
+                gameType: details.gameType || null,
+                joinTime: previous.joinTime || now,
+                lastSwitch: now
+            }))
+            .sAdd(this.playerIndexKeys(toServer).server, player);
+
+        if (previous.server) {
+            multi.sRem(this.playerIndexKeys(previous.server).server, player);
+        }
+        await multi.exec();
+    }
+
+    // Drop a stopped server's players from the index
+    async clearServerPlayers(serverId) {
+        if (!this.client) return;
+        
+        const keys = this.playerIndexKeys(serverId);
+        const players = await this.client.sMembers(keys.server);
+        const multi = this.client.multi().del(keys.server);
+        
+        // Players that already joined another server keep their entry
+        const entries = players.length > 0 ? await this.client.hmGet(keys.players, players) : [];
+        const stale = players.filter((player, i) => entries[i] && JSON.parse(entries[i]).server === serverId);
+        if (stale.length > 0) {
+            multi.hDel(keys.players, stale);
         }
+        await multi.exec();
     }
 
     async getPlayerLocation(player) {
         if (!this.client) return null;
         
-        const key = `${this.config.get('redis.keyPrefix', 'mcserver:')}player:${player}`;
-        const data = await this.client.hGetAll(key);
-        
-        return data.server || null;
+        const entry = await this.getPlayerEntry(player);
+        return entry ? entry.server : null;
     }
 
     async getAllPlayers() {
         if (!this.client) return [];
         
-        const prefix = `${this.config.get('redis.keyPrefix', 'mcserver:')}player:*`;
-        const keys = await this.client.keys(prefix);
-        
-        const players = [];
-        for (const key of keys) {
-            const player = key.split(':').pop();
-            const data = await this.client.hGetAll(key);
-            players.push({
-                name: player,
-                server: data.server,
-                joinTime: parseInt(data.joinTime)
-            });
-        }
+        const data = await this.client.hGetAll(this.playerIndexKeys().players);
+        
+        return Object.entries(data).map(([name, entry]) => ({ name, ...JSON.parse(entry) }));
+    }
+
+    async getServerPlayers(serverId) {
+        if (!this.client) return [];
         
-        return players;
+        const keys = this.playerIndexKeys(serverId);
+        const names = await this.client.sMembers(keys.server);
+        if (names.length === 0) return [];
+        
+        const entries = await this.client.hmGet(keys.players, names);
+        return names
+            .map((name, i) => entries[i] ? { name, ...JSON.parse(entries[i]) } : null)
+            .filter(Boolean);
+    }
+
+    // Finished player sessions, scored by end time and trimmed to the retention window
+    async addPlayerSession(player, session, retention) {
+        if (!this.client) return;
+        
+        const key = `${this.config.get('redis.keyPrefix', 'mcserver:')}history:player:${player}`;
+        await this.client.zAdd(key, { score: session.end, value: JSON.stringify(session) });
+        await this.client.zRemRangeByScore(key, '-inf', `(${Date.now() - retention}`);
+        await this.client.pExpire(key, retention);
+    }
+
+    async getPlayerSessions(player, since = 0) {
+        if (!this.client) return [];
+        
+        const key = `${this.config.get('redis.keyPrefix', 'mcserver:')}history:player:${player}`;
+        const items = await this.client.zRangeByScore(key, since, '+inf');
+        
+        return items.map(item => JSON.parse(item));
     }
 
     // Server state methods
+    // One hash per server, plus a set of the tracked ids so reading them all needs no KEYS scan
+
+    serverStateKeys(serverId = null) {
+        const prefix = this.config.get('redis.keyPrefix', 'mcserver:');
+        return {
+            servers: `${prefix}servers`,
+            server: serverId ? `${prefix}server:${serverId}` : null
+        };
+    }
 
     async storeServerState(serverId, state) {
         if (!this.client) return;
         
-        const key = `${this.config.get('redis.keyPrefix', 'mcserver:')}server:${serverId}`;
-        await this.client.hSet(key, {
-            ...state,
-            lastUpdate: Date.now().toString()
-        });
+        const keys = this.serverStateKeys(serverId);
+        const multi = this.client.multi()
+            .hSet(keys.server, {
+                ...state,
+                lastUpdate: Date.now().toString()
+            })
+            .sAdd(keys.servers, serverId);
         
         // Set expiry for dynamic servers
         if (state.type === 'dynamic') {
-            await this.client.expire(key, 3600); // 1 hour
+            multi.expire(keys.server, 3600); // 1 hour
         }
+        await multi.exec();
     }
 
     async getServerState(serverId) {
         if (!this.client) return null;
         
-        const key = `${this.config.get('redis.keyPrefix', 'mcserver:')}server:${serverId}`;
-        return await this.client.hGetAll(key);
+        return await this.client.hGetAll(this.serverStateKeys(serverId).server);
+    }
+
+    async getAllServerStates() {
+        if (!this.client) return [];
+        
+        const keys = this.serverStateKeys();
+        const serverIds = await this.client.sMembers(keys.servers);
+        if (serverIds.length === 0) return [];
+        
+        const multi = this.client.multi();
+        for (const serverId of serverIds) {
+            multi.hGetAll(this.serverStateKeys(serverId).server);
+        }
+        const results = await multi.exec();
+        
+        // Dynamic server states expire; drop their ids from the set
+        const expired = serverIds.filter((serverId, i) => !results[i] || Object.keys(results[i]).length === 0);
+        if (expired.length > 0) {
+            await this.client.sRem(keys.servers, expired);
+        }
+        
+        return results.filter(data => data && Object.keys(data).length > 0);
     }
 
     async removeServerState(serverId) {
         if (!this.client) return;
         
-        const key = `${this.config.get('redis.keyPrefix', 'mcserver:')}server:${serverId}`;
-        await this.client.del(key);
+        const keys = this.serverStateKeys(serverId);
+        await this.client.multi()
+            .del(keys.server)
+            .sRem(keys.servers, serverId)
+            .exec();
     }
 
     // Game queue methods
 
-    async addToGameQueue(player, gameType) {
+    async addToGameQueue(player, gameType, details = {}) {
         if (!this.client) return false;
         
         const queueKey = `${this.config.get('redis.keyPrefix', 'mcserver:')}queue:${gameType}`;
         const playerData = JSON.stringify({
             player,
+            ...details,
             timestamp: Date.now()
         });
         
@@ -468,7 +590,7 @@ class RedisManager extends EventEmitter {
         return true;
     }
 
-    async removeFromGameQueue(player, gameType) {
+    async removeFromGameQueue(player, gameType, reason = 'leave') {
         if (!this.client) return false;
         
         const queueKey = `${this.config.get('redis.keyPrefix', 'mcserver:')}queue:${gameType}`;
@@ -482,7 +604,7 @@ class RedisManager extends EventEmitter {
                 // Notify about queue update
                 await this.publish('queue:update', {
                     gameType,
-                    action: 'leave',
+                    action: reason,
                     player
                 });
                 
@@ -502,6 +624,87 @@ class RedisManager extends EventEmitter {
         return queue.map(item => JSON.parse(item));
     }
 
+    // Atomically remove entries (as returned by getGameQueue); returns the ones that were still queued
+    async takeFromGameQueue(gameType, entries) {
+        if (!this.client || entries.length === 0) return [];
+        
+        const queueKey = `${this.config.get('redis.keyPrefix', 'mcserver:')}queue:${gameType}`;
+        const multi = this.client.multi();
+        for (const entry of entries) {
+            multi.lRem(queueKey, 1, JSON.stringify(entry));
+        }
+        const removed = await multi.exec();
+        
+        return entries.filter((entry, i) => removed[i] > 0);
+    }
+
+    // Put entries back at the head of a queue, keeping their order
+    async returnToGameQueue(gameType, entries) {
+        if (!this.client || entries.length === 0) return;
+        
+        const queueKey = `${this.config.get('redis.keyPrefix', 'mcserver:')}queue:${gameType}`;
+        await this.client.lPush(queueKey, entries.slice().reverse().map(entry => JSON.stringify(entry)));
+    }
+
+    // Party methods
+
+    async saveParty(party) {
+        if (!this.client) return false;
+        
+        const prefix = this.config.get('redis.keyPrefix', 'mcserver:');
+        await this.client.set(`${prefix}party:${party.id}`, JSON.stringify(party));
+        await this.client.sAdd(`${prefix}parties`, party.id);
+        for (const member of party.members) {
+            await this.client.set(`${prefix}party:player:${member}`, party.id);
+        }
+        
+        return true;
+    }
+
+    async getParty(partyId) {
+        if (!this.client) return null;
+        
+        const data = await this.client.get(`${this.config.get('redis.keyPrefix', 'mcserver:')}party:${partyId}`);
+        return data ? JSON.parse(data) : null;
+    }
+
+    async getPlayerParty(player) {
+        if (!this.client) return null;
+        
+        const partyId = await this.client.get(`${this.config.get('redis.keyPrefix', 'mcserver:')}party:player:${player}`);
+        return partyId ? await this.getParty(partyId) : null;
+    }
+
+    async removePartyMember(player) {
+        if (!this.client) return;
+        
+        await this.client.del(`${this.config.get('redis.keyPrefix', 'mcserver:')}party:player:${player}`);
+    }
+
+    async deleteParty(party) {
+        if (!this.client) return;
+        
+        const prefix = this.config.get('redis.keyPrefix', 'mcserver:');
+        await this.client.del(`${prefix}party:${party.id}`);
+        await this.client.sRem(`${prefix}parties`, party.id);
+        for (const member of party.members) {
+            await this.removePartyMember(member);
+        }
+    }
+
+    async getAllParties() {
+        if (!this.client) return [];
+        
+        const partyIds = await this.client.sMembers(`${this.config.get('redis.keyPrefix', 'mcserver:')}parties`);
+        const parties = [];
+        for (const partyId of partyIds) {
+            const party = await this.getParty(partyId);
+            if (party) parties.push(party);
+        }
+        
+        return parties;
+    }
+
     // Metrics methods
 
     async recordMetric(metric, value) {
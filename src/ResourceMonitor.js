@@ -0,0 +1,352 @@
+// src/ResourceMonitor.js - Per-Server Process Resources, TPS/MSPT Sampling and Degraded Status
+
+const fs = require('fs-extra');
+const os = require('os');
+const EventEmitter = require('events');
+const Logger = require('./utils/Logger');
+
+// Kernel clock ticks per second used by /proc/<pid>/stat (USER_HZ, 100 on Linux)
+const CLOCK_TICKS = 100;
+
+// Stop polling a command after this many samples without a parsable answer (e.g. no mspt on 1.8)
+const MAX_COMMAND_MISSES = 3;
+
+const TPS_PATTERN = /TPS from last 1m, 5m, 15m:\s*\*?([\d.]+),\s*\*?([\d.]+),\s*\*?([\d.]+)/;
+const MSPT_HEADER_PATTERN = /Server tick times/;
+const MSPT_PATTERN = /([\d.]+)\/([\d.]+)\/([\d.]+)/;
+
+// Statuses a healthy server can be in; only these are moved to "degraded"
+const HEALTHY_STATUSES = ['ready', 'running'];
+
+function stripFormatting(line) {
+    return line.replace(/\x1b\[[0-9;]*m/g, '').replace(/§[0-9a-fk-or]/gi, '');
+}
+
+// "2G", "512M", "1048576K" -> bytes
+function parseMemory(value) {
+    const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)\s*([KMGT]?)B?$/i);
+    if (!match) return null;
+
+    const units = { '': 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+    return Math.round(parseFloat(match[1]) * units[match[2].toUpperCase()]);
+}
+
+class ResourceMonitor extends EventEmitter {
+    constructor(configManager, serverController) {
+        super();
+        this.config = configManager;
+        this.controller = serverController;
+        this.logger = new Logger('ResourceMonitor');
+
+        // id -> { cpuTicks, sampledAt, awaiting, misses, expectMspt, unhealthySamples, previousStatus }
+        this.states = new Map();
+        this.interval = null;
+        this.cpuCount = os.cpus().length || 1;
+
+        this.controller.on('console', ({ serverId, line }) => this.handleConsoleLine(serverId, line));
+    }
+
+    get enabled() {
+        return this.config.get('monitoring.enabled', true) !== false;
+    }
+
+    // monitoring.metrics is either a boolean or per-metric switches
+    isCollected(metric) {
+        const metrics = this.config.get('monitoring.metrics', true);
+        if (typeof metrics === 'object' && metrics !== null) {
+            return metrics[metric] !== false;
+        }
+        return metrics !== false;
+    }
+
+    get thresholds() {
+        const alerts = this.config.get('monitoring.alerts', {});
+
+        return {
+            enabled: alerts.enabled !== false,
+            lowTps: alerts.lowTps ?? 15,
+            highMspt: alerts.highMspt ?? 50,
+            highCpu: alerts.highCpu ?? 80,
+            highMemory: alerts.highMemory ?? 90,
+            highFds: alerts.highFds ?? 90,
+            consecutiveSamples: alerts.consecutiveSamples ?? 2
+        };
+    }
+
+    start() {
+        if (!this.enabled) {
+            this.logger.info('Resource monitoring is disabled');
+            return;
+        }
+
+        const interval = this.config.get('monitoring.interval', 30000);
+        this.interval = setInterval(() => {
+            this.sampleAll().catch(error => {
+                this.logger.error(`Resource sampling failed: ${error.message}`);
+            });
+        }, interval);
+
+        this.logger.info(`Resource monitoring started (every ${interval}ms)`);
+    }
+
+    stop() {
+        clearInterval(this.interval);
+        this.interval = null;
+    }
+
+    getState(id) {
+        if (!this.states.has(id)) {
+            this.states.set(id, {
+                cpuTicks: null,
+                sampledAt: null,
+                awaiting: {},
+                misses: { tps: 0, mspt: 0 },
+                expectMspt: false,
+                unhealthySamples: 0,
+                previousStatus: null
+            });
+        }
+        return this.states.get(id);
+    }
+
+    async sampleAll() {
+        const { static: staticServers, dynamic } = this.controller.getAllServers();
+        const servers = [...staticServers, ...dynamic];
+        const seen = new Set();
+
+        for (const server of servers) {
+            if (!server.pid) continue;
+            seen.add(server.id);
+
+            try {
+                await this.sample(server);
+            } catch (error) {
+                this.logger.debug(`Failed to sample ${server.id}: ${error.message}`);
+            }
+        }
+
+        // Forget servers that stopped or were removed
+        for (const id of this.states.keys()) {
+            if (!seen.has(id)) this.states.delete(id);
+        }
+    }
+
+    async sample(server) {
+        const state = this.getState(server.id);
+        const resources = server.resources || (server.resources = {
+            cpu: null,
+            memory: null,
+            memoryPercent: null,
+            threads: null,
+            fds: null,
+            fdsPercent: null,
+            tps: null,
+            mspt: null,
+            sampledAt: null
+        });
+
+        const proc = await this.readProcess(server.pid);
+        const now = Date.now();
+
+        if (proc) {
+            if (this.isCollected('cpu')) {
+                if (state.cpuTicks !== null && state.sampledAt) {
+                    const seconds = (now - state.sampledAt) / 1000;
+                    const used = (proc.cpuTicks - state.cpuTicks) / CLOCK_TICKS;
+                    resources.cpu = seconds > 0 ? Math.round(used / seconds / this.cpuCount * 1000) / 10 : null;
+                }
+                state.cpuTicks = proc.cpuTicks;
+            }
+
+            // RSS runs above -Xmx (metaspace, threads, direct buffers), so compare it to a real limit
+            if (this.isCollected('memory')) {
+                const memoryLimit = parseMemory(server.jarConfig && server.jarConfig.memoryLimit) || os.totalmem();
+                resources.memory = proc.rss;
+                resources.memoryPercent = Math.round(proc.rss / memoryLimit * 1000) / 10;
+            }
+
+            resources.threads = proc.threads;
+            resources.fds = proc.fds;
+            resources.fdsPercent = proc.maxFds ? Math.round(proc.fds / proc.maxFds * 1000) / 10 : null;
+        }
+
+        state.sampledAt = now;
+        resources.sampledAt = now;
+
+        if (this.isCollected('tps')) {
+            this.requestTickStats(server, state);
+        }
+
+        this.evaluate(server, state);
+    }
+
+    // CPU ticks, RSS and threads from /proc; null where /proc is not available
+    async readProcess(pid) {
+        const procDir = `/proc/${pid}`;
+        if (!await fs.pathExists(procDir)) return null;
+
+        const stat = await fs.readFile(`${procDir}/stat`, 'utf8');
+        // Fields after the parenthesised command name start at field 3 (state)
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        const cpuTicks = parseInt(fields[11]) + parseInt(fields[12]);
+
+        const status = await fs.readFile(`${procDir}/status`, 'utf8');
+        const rss = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+        const threads = status.match(/^Threads:\s+(\d+)/m);
+
+        let fds = null;
+        let maxFds = null;
+        try {
+            fds = (await fs.readdir(`${procDir}/fd`)).length;
+
+            const limits = await fs.readFile(`${procDir}/limits`, 'utf8');
+            const openFiles = limits.match(/^Max open files\s+(\d+)/m);
+            maxFds = openFiles ? parseInt(openFiles[1]) : null;
+        } catch (error) {
+            // Other users' fd tables are not readable
+        }
+
+        return {
+            cpuTicks,
+            rss: rss ? parseInt(rss[1]) * 1024 : null,
+            threads: threads ? parseInt(threads[1]) : null,
+            fds,
+            maxFds
+        };
+    }
+
+    // Ask the server for tick statistics; answers arrive on the console
+    requestTickStats(server, state) {
+        if (server.adopted || !server.process) return;
+        if (![...HEALTHY_STATUSES, 'degraded'].includes(server.status)) return;
+
+        for (const command of ['tps', 'mspt']) {
+            if (state.misses[command] >= MAX_COMMAND_MISSES) continue;
+
+            if (state.awaiting[command]) {
+                state.misses[command]++;
+                if (state.misses[command] >= MAX_COMMAND_MISSES) {
+                    this.logger.debug(`${server.id} does not answer "${command}", no longer polling it`);
+                    delete state.awaiting[command];
+                    continue;
+                }
+            }
+
+            state.awaiting[command] = Date.now();
+            this.controller.sendCommand(server.id, command, { silent: true }).catch(error => {
+                this.logger.debug(`Could not send ${command} to ${server.id}: ${error.message}`);
+            });
+        }
+    }
+
+    handleConsoleLine(serverId, line) {
+        const state = this.states.get(serverId);
+        if (!state) return;
+
+        const server = this.controller.getServer(serverId);
+        if (!server || !server.resources) return;
+
+        const clean = stripFormatting(line);
+
+        const tps = clean.match(TPS_PATTERN);
+        if (tps) {
+            server.resources.tps = parseFloat(tps[1]);
+            delete state.awaiting.tps;
+            state.misses.tps = 0;
+            return;
+        }
+
+        // Paper prints the header and the avg/min/max triples on separate lines
+        if (MSPT_HEADER_PATTERN.test(clean)) {
+            state.expectMspt = true;
+            return;
+        }
+
+        if (state.expectMspt) {
+            state.expectMspt = false;
+
+            const mspt = clean.match(MSPT_PATTERN);
+            if (mspt) {
+                server.resources.mspt = parseFloat(mspt[1]);
+                delete state.awaiting.mspt;
+                state.misses.mspt = 0;
+            }
+        }
+    }
+
+    // Compare the latest sample with the thresholds and move the server in or out of "degraded"
+    evaluate(server, state) {
+        const thresholds = this.thresholds;
+        if (!thresholds.enabled) return;
+
+        // A stop, crash or restart replaced the degraded status; start over
+        if (server.status !== 'degraded' && state.previousStatus) {
+            state.previousStatus = null;
+            state.unhealthySamples = 0;
+            server.degradedReasons = [];
+        }
+
+        const reasons = this.checkThresholds(server.resources, thresholds);
+
+        if (reasons.length > 0) {
+            state.unhealthySamples++;
+            server.degradedReasons = reasons;
+
+            if (state.unhealthySamples >= thresholds.consecutiveSamples && HEALTHY_STATUSES.includes(server.status)) {
+                state.previousStatus = server.status;
+                server.status = 'degraded';
+
+                this.logger.warn(`Server ${server.id} is degraded: ${reasons.map(r => r.message).join(', ')}`);
+                this.emit('serverDegraded', {
+                    serverId: server.id,
+                    reasons,
+                    resources: { ...server.resources },
+                    timestamp: Date.now()
+                });
+            }
+            return;
+        }
+
+        state.unhealthySamples = 0;
+        server.degradedReasons = [];
+
+        if (server.status === 'degraded' && state.previousStatus) {
+            server.status = state.previousStatus;
+            state.previousStatus = null;
+
+            this.logger.info(`Server ${server.id} recovered`);
+            this.emit('serverRecovered', {
+                serverId: server.id,
+                resources: { ...server.resources },
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    checkThresholds(resources, thresholds) {
+        const reasons = [];
+        const exceeded = (type, value, threshold, message) => reasons.push({ type, value, threshold, message });
+
+        if (resources.tps !== null && resources.tps < thresholds.lowTps) {
+            exceeded('lowTps', resources.tps, thresholds.lowTps, `TPS ${resources.tps} < ${thresholds.lowTps}`);
+        }
+        if (resources.mspt !== null && resources.mspt > thresholds.highMspt) {
+            exceeded('highMspt', resources.mspt, thresholds.highMspt, `MSPT ${resources.mspt} > ${thresholds.highMspt}`);
+        }
+        if (resources.cpu !== null && resources.cpu > thresholds.highCpu) {
+            exceeded('highCpu', resources.cpu, thresholds.highCpu, `CPU ${resources.cpu}% > ${thresholds.highCpu}%`);
+        }
+        if (resources.memoryPercent !== null && resources.memoryPercent > thresholds.highMemory) {
+            exceeded('highMemory', resources.memoryPercent, thresholds.highMemory,
+                `memory ${resources.memoryPercent}% of limit > ${thresholds.highMemory}%`);
+        }
+        if (resources.fdsPercent !== null && resources.fdsPercent > thresholds.highFds) {
+            exceeded('highFds', resources.fdsPercent, thresholds.highFds,
+                `open files ${resources.fdsPercent}% of limit > ${thresholds.highFds}%`);
+        }
+
+        return reasons;
+    }
+}
+
+module.exports = ResourceMonitor;
@@ -0,0 +1,165 @@
+// src/RestartPolicy.js - Crash Restart Limits with Sliding Window and Exponential Backoff
+
+const EventEmitter = require('events');
+const Logger = require('./utils/Logger');
+
+class RestartPolicy extends EventEmitter {
+    constructor(configManager) {
+        super();
+        this.config = configManager;
+        this.logger = new Logger('RestartPolicy');
+
+        // id -> { restarts: [timestamps], failed, failedAt, lastCrash, timer, nextRestartAt }
+        this.states = new Map();
+
+        // Lifetime restart count per id; survives resets
+        this.totals = new Map();
+    }
+
+    get settings() {
+        const autoRestart = this.config.get('features.autoRestart', {});
+
+        return {
+            enabled: autoRestart.enabled !== false && autoRestart.onCrash !== false,
+            maxRetries: autoRestart.maxRetries ?? 3,
+            retryDelay: autoRestart.retryDelay ?? 5000,
+            maxDelay: autoRestart.maxDelay ?? 300000,
+            window: autoRestart.window ?? 600000
+        };
+    }
+
+    getOrCreateState(id) {
+        if (!this.states.has(id)) {
+            this.states.set(id, {
+                restarts: [],
+                failed: false,
+                failedAt: null,
+                lastCrash: null,
+                timer: null,
+                nextRestartAt: null
+            });
+        }
+        return this.states.get(id);
+    }
+
+    // Called on every crash; schedules restartFn or marks the server failed
+    handleCrash(id, code, restartFn) {
+        const settings = this.settings;
+        const state = this.getOrCreateState(id);
+        const now = Date.now();
+
+        state.lastCrash = { timestamp: now, code };
+
+        if (!settings.enabled) {
+            this.logger.info(`Auto-restart disabled, not restarting ${id}`);
+            return { restart: false, failed: false };
+        }
+
+        if (state.failed) {
+            return { restart: false, failed: true };
+        }
+
+        // Only restarts inside the sliding window count towards the limit
+        state.restarts = state.restarts.filter(t => now - t < settings.window);
+
+        if (state.restarts.length >= settings.maxRetries) {
+            state.failed = true;
+            state.failedAt = now;
+
+            this.logger.error(
+                `${id} crashed ${state.restarts.length + 1} times within ${Math.round(settings.window / 1000)}s, ` +
+                'giving up until it is reset'
+            );
+            this.emit('alert', {
+                id,
+                type: 'restartLimitReached',
+                restarts: state.restarts.length,
+                window: settings.window,
+                code,
+                timestamp: now
+            });
+
+            return { restart: false, failed: true };
+        }
+
+        const attempt = state.restarts.length + 1;
+        const delay = Math.min(settings.retryDelay * Math.pow(2, attempt - 1), settings.maxDelay);
+
+        state.restarts.push(now);
+        state.nextRestartAt = now + delay;
+        this.totals.set(id, (this.totals.get(id) || 0) + 1);
+
+        this.logger.info(`Restarting ${id} in ${delay}ms (attempt ${attempt}/${settings.maxRetries})`);
+        this.emit('restartScheduled', { id, attempt, delay });
+
+        clearTimeout(state.timer);
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            state.nextRestartAt = null;
+
+            Promise.resolve()
+                .then(restartFn)
+                .catch(err => {
+                    this.logger.error(`Failed to restart ${id}: ${err.message}`);
+                });
+        }, delay);
+
+        return { restart: true, failed: false, attempt, delay };
+    }
+
+    // Stop any pending restart, e.g. when the server is stopped deliberately
+    cancel(id) {
+        const state = this.states.get(id);
+        if (state && state.timer) {
+            clearTimeout(state.timer);
+            state.timer = null;
+            state.nextRestartAt = null;
+        }
+    }
+
+    reset(id) {
+        this.cancel(id);
+        const wasFailed = this.isFailed(id);
+        this.states.delete(id);
+
+        this.logger.info(`Restart policy reset for ${id}`);
+        this.emit('reset', { id, wasFailed });
+
+        return wasFailed;
+    }
+
+    getRestartCount(id) {
+        return this.totals.get(id) || 0;
+    }
+
+    isFailed(id) {
+        return this.states.get(id)?.failed === true;
+    }
+
+    getState(id) {
+        const state = this.states.get(id);
+        if (!state) return null;
+
+        const window = this.settings.window;
+        return {
+            id,
+            failed: state.failed,
+            failedAt: state.failedAt,
+            lastCrash: state.lastCrash,
+            recentRestarts: state.restarts.filter(t => Date.now() - t < window).length,
+            nextRestartAt: state.nextRestartAt
+        };
+    }
+
+    getAll() {
+        return Array.from(this.states.keys()).map(id => this.getState(id));
+    }
+
+    stop() {
+        for (const id of this.states.keys()) {
+            this.cancel(id);
+        }
+    }
+}
+
+module.exports = RestartPolicy;
@@ -0,0 +1,293 @@
+// src/Scheduler.js - Cron Tasks per Server or Template: Restarts, Commands, Backups and Broadcasts
+
+const cron = require('node-cron');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { nextRun } = require('./utils/CronTime');
+const Logger = require('./utils/Logger');
+
+const ACTIONS = ['restart', 'command', 'backup', 'broadcast'];
+const ACTIVE_STATUSES = ['running', 'ready', 'degraded'];
+
+class Scheduler extends EventEmitter {
+    constructor(configManager, serverController, serverDrainer, backupManager) {
+        super();
+        this.config = configManager;
+        this.controller = serverController;
+        this.drainer = serverDrainer;
+        this.backups = backupManager;
+        this.logger = new Logger('Scheduler');
+
+        this.jobs = new Map();      // task id -> node-cron task
+        this.state = new Map();     // task id -> { lastRun, lastResult, lastError, running }
+        this.started = false;
+    }
+
+    get enabled() {
+        return this.config.get('schedules.enabled', true) !== false;
+    }
+
+    getTasks() {
+        return this.config.get('schedules.tasks', []) || [];
+    }
+
+    getTask(id) {
+        return this.getTasks().find(task => task.id === id) || null;
+    }
+
+    start() {
+        if (!this.enabled) {
+            this.logger.info('Schedules are disabled');
+            return;
+        }
+
+        this.started = true;
+        for (const task of this.getTasks()) {
+            try {
+                this.validate(task);
+            } catch (error) {
+                this.logger.error(`Schedule ${task.id} skipped: ${error.message}`);
+                continue;
+            }
+            this.schedule(task);
+        }
+        this.logger.info(`${this.jobs.size} schedule(s) active`);
+    }
+
+    stop() {
+        for (const job of this.jobs.values()) {
+            job.stop();
+        }
+        this.jobs.clear();
+        this.started = false;
+    }
+
+    schedule(task) {
+        this.unschedule(task.id);
+        if (!this.started || task.enabled === false) return;
+
+        this.jobs.set(task.id, cron.schedule(task.cron, () => {
+            this.run(task.id).catch(error => {
+                this.logger.error(`Schedule ${task.id} failed: ${error.message}`);
+            });
+        }));
+    }
+
+    unschedule(id) {
+        const job = this.jobs.get(id);
+        if (job) {
+            job.stop();
+            this.jobs.delete(id);
+        }
+    }
+
+    // Throws on the first problem; a task targets one static server or every server of a template
+    validate(task) {
+        if (!task.cron || !cron.validate(task.cron)) {
+            throw new Error(`Invalid cron expression: ${task.cron}`);
+        }
+        if (!ACTIONS.includes(task.action)) {
+            throw new Error(`action must be one of ${ACTIONS.join(', ')}`);
+        }
+        if (!task.server === !task.template) {
+            throw new Error('Set either server or template');
+        }
+        if (task.server && !this.config.getStaticServerConfig(task.server)) {
+            throw new Error(`Static server ${task.server} not found`);
+        }
+        if (task.template && !this.config.getGameTemplate(task.template)) {
+            throw new Error(`Game template ${task.template} not found`);
+        }
+        if (task.action === 'command' && !task.command) {
+            throw new Error('command is required for command schedules');
+        }
+        if (task.action === 'broadcast' && !task.message) {
+            throw new Error('message is required for broadcast schedules');
+        }
+        if (task.action === 'backup' && task.template) {
+            throw new Error('Backups are per static server, not per template');
+        }
+        if (task.warnings && (!Array.isArray(task.warnings) || task.warnings.some(s => !(s > 0)))) {
+            throw new Error('warnings must be a list of seconds');
+        }
+    }
+
+    async create(task) {
+        const created = { id: task.id || uuidv4(), enabled: true, ...task };
+        if (this.getTask(created.id)) {
+            throw new Error(`Schedule ${created.id} already exists`);
+        }
+        this.validate(created);
+
+        await this.saveTasks([...this.getTasks(), created]);
+        this.schedule(created);
+
+        this.logger.info(`Schedule ${created.id} created (${created.action}, ${created.cron})`);
+        return this.getInfo(created);
+    }
+
+    async update(id, changes) {
+        const task = this.getTask(id);
+        if (!task) {
+            throw new Error(`Schedule ${id} not found`);
+        }
+
+        const updated = { ...task, ...changes, id };
+        this.validate(updated);
+
+        await this.saveTasks(this.getTasks().map(t => t.id === id ? updated : t));
+        this.schedule(updated);
+
+        this.logger.info(`Schedule ${id} updated`);
+        return this.getInfo(updated);
+    }
+
+    async remove(id) {
+        if (!this.getTask(id)) {
+            throw new Error(`Schedule ${id} not found`);
+        }
+
+        await this.saveTasks(this.getTasks().filter(t => t.id !== id));
+        this.unschedule(id);
+        this.state.delete(id);
+
+        this.logger.info(`Schedule ${id} deleted`);
+    }
+
+    async saveTasks(tasks) {
+        this.config.set('schedules.tasks', tasks);
+        await this.config.save();
+    }
+
+    // Servers a task applies to: its static server, or every running server of its template
+    getTargets(task) {
+        if (task.server) {
+            return [task.server];
+        }
+
+        return Array.from(this.controller.servers.values())
+            .filter(server => server.gameType === task.template && ACTIVE_STATUSES.includes(server.status))
+            .map(server => server.id);
+    }
+
+    async run(id) {
+        const task = this.getTask(id);
+        if (!task) {
+            throw new Error(`Schedule ${id} not found`);
+        }
+
+        const state = this.getState(id);
+        if (state.running) {
+            throw new Error(`Schedule ${id} is still running`);
+        }
+
+        state.running = true;
+        state.lastRun = Date.now();
+        try {
+            const targets = this.getTargets(task);
+            const results = [];
+
+            // Servers run one after another, so a template restart never empties every server at once
+            for (const serverId of targets) {
+                try {
+                    await this.runAction(task, serverId);
+                    results.push({ server: serverId, success: true });
+                } catch (error) {
+                    results.push({ server: serverId, success: false, error: error.message });
+                }
+            }
+
+            const failed = results.filter(result => !result.success);
+            state.lastResult = failed.length === 0 ? 'success' : 'failure';
+            state.lastError = failed.map(result => `${result.server}: ${result.error}`).join(', ') || null;
+
+            this.logger.info(`Schedule ${id} (${task.action}) ran on ${targets.length} server(s)` +
+                (failed.length > 0 ? `, ${failed.length} failed` : ''));
+            this.emit('scheduleRun', { id, action: task.action, results, timestamp: state.lastRun });
+
+            return results;
+        } finally {
+            state.running = false;
+        }
+    }
+
+    async runAction(task, serverId) {
+        switch (task.action) {
+            case 'command':
+                return this.controller.sendCommand(serverId, task.command);
+            case 'broadcast':
+                return this.controller.sendCommand(serverId, `say ${task.message}`);
+            case 'backup':
+                return this.backups.createBackup(serverId, { reason: 'scheduled' });
+            case 'restart':
+                return this.restart(task, serverId);
+        }
+    }
+
+    // Warn at each of task.warnings (seconds before), then drain; dynamic servers are replaced by the pool
+    async restart(task, serverId) {
+        const server = this.controller.getServer(serverId);
+        if (!server || !ACTIVE_STATUSES.includes(server.status)) {
+            throw new Error(`Server ${serverId} is not running`);
+        }
+
+        const warnings = [...(task.warnings || [])].sort((a, b) => b - a);
+        for (let i = 0; i < warnings.length; i++) {
+            await this.say(serverId, task.message || `This server restarts in ${formatWarning(warnings[i])}`, warnings[i]);
+            await new Promise(resolve => setTimeout(resolve, (warnings[i] - (warnings[i + 1] || 0)) * 1000));
+        }
+
+        if (server.type === 'static') {
+            await this.drainer.stopStaticServer(serverId, { drain: task.drain !== false });
+            await this.controller.startStaticServer(serverId);
+        } else {
+            await this.drainer.stopDynamicServer(serverId, { drain: task.drain !== false });
+        }
+    }
+
+    async say(serverId, message, seconds) {
+        try {
+            await this.controller.sendCommand(serverId, `say ${message.replace('{time}', formatWarning(seconds))}`, { silent: true });
+        } catch (error) {
+            this.logger.debug(`Cannot warn players on ${serverId}: ${error.message}`);
+        }
+    }
+
+    getState(id) {
+        if (!this.state.has(id)) {
+            this.state.set(id, { lastRun: null, lastResult: null, lastError: null, running: false });
+        }
+        return this.state.get(id);
+    }
+
+    getInfo(task) {
+        const state = this.getState(task.id);
+        const active = this.jobs.has(task.id);
+
+        return {
+            ...task,
+            active,
+            nextRun: active ? nextRun(task.cron)?.getTime() || null : null,
+            lastRun: state.lastRun,
+            lastResult: state.lastResult,
+            lastError: state.lastError,
+            running: state.running
+        };
+    }
+
+    getAll() {
+        return this.getTasks()
+            .map(task => this.getInfo(task))
+            .sort((a, b) => (a.nextRun || Infinity) - (b.nextRun || Infinity));
+    }
+}
+
+function formatWarning(seconds) {
+    if (seconds >= 60 && seconds % 60 === 0) {
+        const minutes = seconds / 60;
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+}
+
+module.exports = Scheduler;
@@ -8,6 +8,10 @@ const { v4: uuidv4 } = require('uuid');
 const Logger = require('./utils/Logger');
 const NetworkManager = require('./NetworkManager');
 const PluginBridge = require('./PluginBridge');
+const RestartPolicy = require('./RestartPolicy');
+const ProcessReconciler = require('./ProcessReconciler');
+const VelocityConfig = require('./VelocityConfig');
+const BackendForwarding = require('./BackendForwarding');
 
 class ServerController extends EventEmitter {
     constructor(configManager, redisManager) {
@@ -16,31 +20,54 @@ class ServerController extends EventEmitter {
         this.redis = redisManager;
         this.servers = new Map();
         this.staticServers = new Map();
-        this.proxy = null;
-        this.network = new NetworkManager(configManager);
+        this.proxies = new Map();
+        this.network = new NetworkManager(configManager, redisManager);
         this.pluginBridge = new PluginBridge(this, redisManager);
+        this.restartPolicy = new RestartPolicy(configManager);
+        this.reconciler = new ProcessReconciler(this, configManager, redisManager);
+        this.forwarding = new BackendForwarding(configManager);
+        this.velocityConfig = new VelocityConfig(configManager, this.forwarding);
         this.logger = new Logger('ServerController');
-        
-        // Track registered servers to prevent duplicates
-        this.registeredWithProxy = new Set();
     }
 
     async initialize() {
         this.logger.info('Initializing server controller...');
         
+        // Restore port reservations held by processes from a previous run
+        await this.network.initialize();
+        
+        // Adopt or terminate server processes that outlived the previous manager
+        await this.reconciler.reconcile();
+        
         // Setup plugin bridge
         await this.pluginBridge.initialize();
            
         // Setup cleanup handlers
         this.setupCleanupHandlers();
         
+        // Re-render velocity.toml when the proxy or the servers it routes to change
+        this.config.on('changed', ({ path: changed }) => {
+            if (!/^(proxy|servers\.hub|servers\.static)(\.|$)/.test(changed) || changed.startsWith('proxy.watchdog')) return;
+            
+            clearTimeout(this.proxyConfigTimer);
+            this.proxyConfigTimer = setTimeout(() => {
+                this.applyProxyConfig().catch(err => {
+                    this.logger.error(`Failed to apply proxy config: ${err.message}`);
+                });
+            }, 1000);
+        });
+        
         this.logger.info('Server controller initialized');
     }
 
     async startStaticServer(name) {
-        if (this.staticServers.has(name)) {
+        const existing = this.staticServers.get(name);
+        if (existing && (existing.process || existing.pid)) {
             throw new Error(`Static server ${name} is already running`);
         }
+        
+        // A crashed or failed server keeps its entry until it is started again
+        this.staticServers.delete(name);
 
         const serverConfig = this.config.getStaticServerConfig(name);
         if (!serverConfig) {
@@ -49,12 +76,6 @@ class ServerController extends EventEmitter {
 
         this.logger.info(`Starting static server: ${name}`);
         
-        // Ensure the server directory exists and has proper forwarding config
-        const serverDir = this.getServerDirectory(name, 'static');
-        if (this.forwardingSecret) {
-            await this.configurePaperForwarding(serverDir, this.forwardingSecret);
-        }
-        
         const server = await this.createServer({
             id: name,
             type: 'static',
@@ -71,9 +92,13 @@ class ServerController extends EventEmitter {
     }
 
     async startStaticServer(name) {
-        if (this.staticServers.has(name)) {
+        const existing = this.staticServers.get(name);
+        if (existing && (existing.process || existing.pid)) {
             throw new Error(`Static server ${name} is already running`);
         }
+        
+        // A crashed or failed server keeps its entry until it is started again
+        this.staticServers.delete(name);
 
         const serverConfig = this.config.getStaticServerConfig(name);
         if (!serverConfig) {
@@ -103,7 +128,11 @@ class ServerController extends EventEmitter {
             throw new Error(`Static server ${name} not found`);
         }
 
-        await this.stopServer(server);
+        this.restartPolicy.cancel(name);
+        
+        if (server.process || server.pid) {
+            await this.stopServer(name);
+        }
         
         this.staticServers.delete(name);
         
@@ -119,11 +148,7 @@ class ServerController extends EventEmitter {
         } = options;
 
         const serverId = this.generateServerId(gameType);
-        const port = await this.network.allocatePort();
-        
-        if (!port) {
-            throw new Error('No available ports');
-        }
+        const port = await this.network.allocatePort(serverId);
 
         const gameTemplate = this.config.getGameTemplate(gameType);
         if (!gameTemplate) {
@@ -175,34 +200,6 @@ class ServerController extends EventEmitter {
         this.emit('dynamicServerStopped', serverId);
     }
 
-    async configurePaperForwarding(serverDir, forwardingSecret) {
-        // Create paper-global.yml with the forwarding configuration
-        const paperGlobalConfig = `
-    # Paper Global Configuration
-    # This file is automatically generated by ServerManager
-
-    proxies:
-    velocity:
-        enabled: true
-        online-mode: false
-        secret: '${forwardingSecret}'
-
-    console:
-    enable-brigadier-highlighting: true
-    enable-brigadier-completions: true
-
-    messages:
-    kick:
-        connection-throttle: "&cConnection throttled! Please wait before reconnecting."
-    `;
-
-        const paperConfigPath = path.join(serverDir, 'config', 'paper-global.yml');
-        await fs.ensureDir(path.join(serverDir, 'config'));
-        await fs.writeFile(paperConfigPath, paperGlobalConfig.trim());
-        
-        this.logger.debug(`Configured Paper forwarding for ${serverDir}`);
-    }
-
     async createServer(options) {
         const {
             id,
@@ -241,10 +238,8 @@ class ServerController extends EventEmitter {
         // Write configuration files
         await this.config.writeServerConfig(serverDir, config);
         
-        // Configure Paper forwarding if we have a forwarding secret
-        if (this.forwardingSecret) {
-            await this.configurePaperForwarding(serverDir, this.forwardingSecret);
-        }
+        // Proxy forwarding settings for this jar (spigot.yml, paper.yml or config/paper-global.yml)
+        await this.forwarding.configure(serverDir, jar);
 
         // Copy plugins
         await this.copyPlugins(serverDir, plugins);
@@ -300,6 +295,11 @@ class ServerController extends EventEmitter {
         server.pid = serverProcess.pid;
         server.status = 'starting';
         server.startedAt = Date.now();
+        
+        if (server.type === 'dynamic') {
+            await this.network.setPid(server.port, server.pid);
+        }
+        await this.reconciler.track(server);
 
         this.setupProcessHandlers(server, serverProcess);
 
@@ -324,8 +324,8 @@ class ServerController extends EventEmitter {
             return;
         }
         
-        // Don't register if proxy isn't ready
-        if (!this.proxy || this.proxy.status !== 'ready') {
+        // Don't register if no proxy is ready
+        if (this.getReadyProxies().length === 0) {
             this.logger.warn('Cannot register with Velocity: Proxy not ready');
             return;
         }
@@ -395,6 +395,12 @@ class ServerController extends EventEmitter {
         server.status = 'stopping';
         this.emit('serverStateChange', serverId, 'stopping');
         
+        // Stop health checks so a deliberately stopped server isn't "restarted"
+        if (server.healthCheckInterval) {
+            clearInterval(server.healthCheckInterval);
+            server.healthCheckInterval = null;
+        }
+        
         // Stop the server process
         if (server.process) {
             this.logger.info(`Sending stop command to server ${serverId}`);
@@ -437,6 +443,9 @@ class ServerController extends EventEmitter {
                     server.process.kill('SIGKILL');
                 }
             }
+        } else if (server.adopted && server.pid) {
+            // Adopted processes have no stdin; Paper shuts down cleanly on SIGTERM
+            await this.terminateProcess(server.pid, this.reconciler.settings.stopTimeout);
         } else {
             this.logger.warn(`Server ${serverId} has no process to stop`);
         }
@@ -444,7 +453,10 @@ class ServerController extends EventEmitter {
         // Clean up
         server.status = 'stopped';
         server.process = null;
+        server.pid = null;
         server.registeredWithVelocity = false;
+        this.clearPlayers(server);
+        await this.reconciler.untrack(server);
         
         this.logger.info(`Server ${serverId} stopped successfully`);
         this.emit('serverStopped', serverId);
@@ -518,6 +530,7 @@ class ServerController extends EventEmitter {
             this.logger.info(`Server ${server.id} is ready`);
             server.status = 'ready';
             this.emit('serverReady', server);
+            this.reconciler.track(server);
             
             // Notify Redis that server is ready
             if (this.redis && this.redis.connected) {
@@ -583,36 +596,34 @@ class ServerController extends EventEmitter {
         if (!server.players.includes(playerName)) {
             server.players.push(playerName);
         }
+        this.reconciler.track(server);
 
         this.emit('playerJoin', {
             serverId: server.id,
             player: playerName
         });
 
-        // Notify via Redis
+        // Notify via Redis and update the player index
         if (this.redis) {
-            this.redis.publish('player:join', {
-                server: server.id,
-                player: playerName,
-                timestamp: Date.now()
+            this.redis.trackPlayerJoin(playerName, server.id, { gameType: server.gameType }).catch(error => {
+                this.logger.error(`Failed to track join of ${playerName}: ${error.message}`);
             });
         }
     }
 
     handlePlayerQuit(server, playerName) {
         server.players = server.players.filter(p => p !== playerName);
+        this.reconciler.track(server);
 
         this.emit('playerQuit', {
             serverId: server.id,
             player: playerName
         });
 
-        // Notify via Redis
+        // Notify via Redis and update the player index
         if (this.redis) {
-            this.redis.publish('player:quit', {
-                server: server.id,
-                player: playerName,
-                timestamp: Date.now()
+            this.redis.trackPlayerQuit(playerName, server.id).catch(error => {
+                this.logger.error(`Failed to track quit of ${playerName}: ${error.message}`);
             });
         }
 
@@ -622,6 +633,17 @@ class ServerController extends EventEmitter {
         }
     }
 
+    // Players leave with a stopped server, without quit lines
+    clearPlayers(server) {
+        server.players = [];
+
+        if (this.redis) {
+            this.redis.clearServerPlayers(server.id).catch(error => {
+                this.logger.error(`Failed to clear players of ${server.id}: ${error.message}`);
+            });
+        }
+    }
+
     scheduleEmptyServerShutdown(server) {
         const timeout = this.config.get('dynamicServers.emptyTimeout', 300000); // 5 minutes
         
@@ -678,6 +700,10 @@ class ServerController extends EventEmitter {
             
             if (!healthy) {
                 server.healthChecks.failed++;
+                this.emit('healthCheckFailed', {
+                    serverId: server.id,
+                    failures: server.healthChecks.failed
+                });
                 
                 if (server.healthChecks.failed >= 3) {
                     this.logger.error(`Server ${server.id} failed health checks, restarting...`);
@@ -703,7 +729,7 @@ class ServerController extends EventEmitter {
             return false;
         }
 
-        // TODO: Add more health checks (memory usage, TPS, etc.)
+        // Memory, CPU and TPS thresholds are handled by ResourceMonitor ("degraded" status)
         
         return true;
     }
@@ -734,29 +760,49 @@ class ServerController extends EventEmitter {
     }
 
     handleServerExit(server, code) {
+        // A forced kill during stopServer exits with a null code but is not a crash
+        const deliberate = server.status === 'stopping';
+
         server.status = 'stopped';
         server.process = null;
         server.pid = null;
+        this.clearPlayers(server);
+        this.reconciler.untrack(server);
+        this.emit('serverExited', { serverId: server.id, code, deliberate });
 
-        if (code !== 0) {
+        if (code !== 0 && !deliberate) {
             this.logger.error(`Server ${server.id} crashed with code ${code}`);
             this.emit('serverCrash', {
                 serverId: server.id,
-                code
+                code,
+                server
             });
 
-            // Auto-restart static servers
+            // Auto-restart static servers within the restart policy limits
             if (server.type === 'static') {
-                this.logger.info(`Auto-restarting static server ${server.id}`);
-                setTimeout(() => {
-                    this.startStaticServer(server.id).catch(err => {
-                        this.logger.error(`Failed to restart ${server.id}: ${err.message}`);
-                    });
-                }, 5000);
+                const decision = this.restartPolicy.handleCrash(server.id, code, () => this.startStaticServer(server.id));
+
+                if (decision.failed) {
+                    server.status = 'failed';
+                    this.emit('serverStateChange', server.id, 'failed');
+                }
             }
         }
     }
 
+    // Clear the crash history so a failed server may be started and auto-restarted again
+    resetRestartPolicy(serverId) {
+        const wasFailed = this.restartPolicy.reset(serverId);
+        
+        const server = this.staticServers.get(serverId);
+        if (server && server.status === 'failed') {
+            server.status = 'stopped';
+            this.emit('serverStateChange', serverId, 'stopped');
+        }
+        
+        return wasFailed;
+    }
+
     handleServerError(server, error) {
         this.logger.error(`Server ${server.id} error: ${error.message}`);
         this.emit('serverError', {
@@ -807,8 +853,8 @@ class ServerController extends EventEmitter {
         const cleanup = async () => {
             this.logger.info('Shutting down all servers...');
             
-            // Stop proxy first
-            if (this.proxy) {
+            // Stop proxies first
+            if (this.proxies.size > 0) {
                 await this.stopProxy().catch(err => {
                     this.logger.error(`Failed to stop proxy: ${err.message}`);
                 });
@@ -864,18 +910,30 @@ class ServerController extends EventEmitter {
             uptime: server.startedAt ? Date.now() - server.startedAt : 0,
             pid: server.pid,
             jarVersion: server.jarConfig ? path.basename(server.jarConfig.path) : 'unknown',
+            adopted: !!server.adopted,
+            resources: server.resources || null,
+            degradedReasons: server.degradedReasons || [],
             metadata: server.metadata
         };
     }
     
-    async sendCommand(serverId, command) {
+    async sendCommand(serverId, command, { silent = false } = {}) {
         const server = this.getServer(serverId);
+        if (server && server.adopted) {
+            throw new Error(`Server ${serverId} was adopted from a previous run and has no console; restart it to send commands`);
+        }
         if (!server || !server.process) {
             throw new Error(`Server ${serverId} not running`);
         }
         
         server.process.stdin.write(command + '\n');
-        this.logger.info(`Sent command to ${serverId}: ${command}`);
+        
+        // Periodic commands from the resource monitor would flood the log
+        if (silent) {
+            this.logger.debug(`Sent command to ${serverId}: ${command}`);
+        } else {
+            this.logger.info(`Sent command to ${serverId}: ${command}`);
+        }
     }
     
     getConsole(serverId, lines = 100) {
@@ -885,50 +943,170 @@ class ServerController extends EventEmitter {
         return server.console.slice(-lines);
     }
     
+    // Orphan adoption
+    
+    // Take over a server process that survived a previous manager run
+    async adoptProcess(state) {
+        const adopted = {
+            id: state.id,
+            type: state.type,
+            gameType: state.gameType,
+            port: state.port,
+            directory: state.directory,
+            process: null,
+            pid: state.pid,
+            adopted: true,
+            status: state.status === 'starting' ? 'running' : state.status,
+            players: state.players || [],
+            console: [],
+            maxConsoleLines: 500,
+            startedAt: state.startedAt || Date.now(),
+            metadata: { adoptedAt: Date.now() },
+            healthChecks: {
+                failed: 0,
+                lastCheck: null
+            }
+        };
+        
+        // Proxy state is stored with the proxy type ("velocity"), so also match configured instance ids
+        const isProxy = state.type === 'proxy' || this.config.getProxyInstances().some(i => i.id === state.id);
+        
+        if (isProxy) {
+            adopted.type = this.config.get('proxy.type', 'velocity');
+            adopted.registeredServers = new Set();
+            this.proxies.set(state.id, adopted);
+        } else if (state.type === 'static') {
+            this.staticServers.set(state.id, adopted);
+        } else {
+            this.servers.set(state.id, adopted);
+            if (state.port) {
+                await this.network.reserve(state.port, { owner: state.id, pid: state.pid, allocatedAt: Date.now() });
+            }
+        }
+        
+        await this.reconciler.track(adopted);
+        this.watchAdoptedProcess(adopted);
+        
+        this.logger.info(`Adopted ${state.type} server ${state.id} (pid ${state.pid}, port ${state.port})`);
+        this.emit('serverAdopted', adopted);
+        
+        return adopted;
+    }
+    
+    // Without a child process handle, exit is detected by polling the PID
+    watchAdoptedProcess(server) {
+        const interval = setInterval(() => {
+            if (server.pid && this.network.isProcessAlive(server.pid)) return;
+            
+            clearInterval(interval);
+            
+            if (server.status === 'stopping' || server.status === 'stopped') return;
+            
+            this.logger.warn(`Adopted ${server.id} (pid ${server.pid}) exited`);
+            
+            if (this.proxies.get(server.id) === server) {
+                this.reconciler.untrack(server);
+                this.proxies.delete(server.id);
+                this.emit('proxyStopped', server);
+                if (this.config.get('proxy.autoRestart')) {
+                    this.restartPolicy.handleCrash(server.id, null, () => this.startProxy(server.id));
+                }
+            } else {
+                // Exit code is unknown, so treat it as a crash
+                this.handleServerExit(server, null);
+            }
+        }, 5000);
+    }
+    
+    // SIGTERM, then SIGKILL if the process outlives the timeout
+    async terminateProcess(pid, timeout = 15000) {
+        if (!pid || !this.network.isProcessAlive(pid)) return;
+        
+        try {
+            process.kill(pid, 'SIGTERM');
+        } catch (error) {
+            this.logger.warn(`Failed to signal pid ${pid}: ${error.message}`);
+            return;
+        }
+        
+        const deadline = Date.now() + timeout;
+        while (Date.now() < deadline) {
+            if (!this.network.isProcessAlive(pid)) return;
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+        
+        this.logger.warn(`Process ${pid} did not exit after ${timeout}ms, force killing`);
+        try {
+            process.kill(pid, 'SIGKILL');
+        } catch (error) {
+            // Already gone
+        }
+    }
+    
     // Velocity Proxy Management
     
-    async startProxy() {
+    getReadyProxies() {
+        return Array.from(this.proxies.values()).filter(proxy => proxy.status === 'ready');
+    }
+    
+    // Start every configured proxy instance, or only the given one
+    async startProxy(proxyId = null) {
         const proxyConfig = this.config.get('proxy');
         if (!proxyConfig || !proxyConfig.enabled) {
             this.logger.info('Proxy is disabled in configuration');
-            return;
+            return null;
         }
 
-        if (this.proxy) {
-            this.logger.warn('Proxy is already running');
-            return;
+        const instances = this.config.getProxyInstances();
+        if (proxyId) {
+            const instance = instances.find(i => i.id === proxyId);
+            if (!instance) {
+                throw new Error(`Proxy ${proxyId} not configured`);
+            }
+            return this.startProxyInstance(instance);
+        }
+
+        // One failing instance must not keep the others down
+        const started = [];
+        let lastError = null;
+        for (const instance of instances) {
+            try {
+                started.push(await this.startProxyInstance(instance));
+            } catch (error) {
+                lastError = error;
+                this.logger.error(`Failed to start proxy ${instance.id}: ${error.message}`);
+            }
+        }
+
+        if (started.length === 0 && lastError) {
+            throw lastError;
+        }
+        return started;
+    }
+
+    async startProxyInstance(instance) {
+        const proxyConfig = this.config.get('proxy');
+        const existing = this.proxies.get(instance.id);
+        if (existing) {
+            this.logger.warn(`Proxy ${instance.id} is already running`);
+            return existing;
         }
 
-        this.logger.info(`Starting ${proxyConfig.type} proxy...`);
+        this.logger.info(`Starting ${proxyConfig.type} proxy ${instance.id} on port ${instance.port}...`);
         
         const jarConfig = this.config.getJarConfig(proxyConfig.jar);
         if (!jarConfig) {
             throw new Error(`JAR configuration not found: ${proxyConfig.jar}`);
         }
 
-        const proxyDir = path.resolve(proxyConfig.directory || './servers/velocity');
+        const proxyDir = path.resolve(instance.directory);
         await fs.ensureDir(proxyDir);
         
-        // Create velocity config if it doesn't exist
-        const velocityConfigPath = path.join(proxyDir, 'velocity.toml');
-        if (!await fs.pathExists(velocityConfigPath)) {
-            await this.createVelocityConfig(proxyDir, proxyConfig.port);
-        }
+        // Render velocity.toml from config.json, merged into the existing file
+        await this.velocityConfig.write(proxyDir, instance);
         
-        // CREATE THE FORWARDING SECRET FILE
-        const forwardingSecretPath = path.join(proxyDir, 'forwarding.secret');
-        if (!await fs.pathExists(forwardingSecretPath)) {
-            const crypto = require('crypto');
-            const secret = crypto.randomBytes(32).toString('hex');
-            await fs.writeFile(forwardingSecretPath, secret);
-            this.logger.info('Created forwarding secret file');
-            
-            // Also save this secret for Paper servers to use
-            this.forwardingSecret = secret;
-        } else {
-            // Read existing secret
-            this.forwardingSecret = await fs.readFile(forwardingSecretPath, 'utf8');
-        }
+        // Forwarding secret, shared by all proxies and modern-forwarding backends
+        await this.forwarding.ensureSecret(proxyDir);
         
         // Copy plugins
         const pluginsDir = path.join(proxyDir, 'plugins');
@@ -938,74 +1116,87 @@ class ServerController extends EventEmitter {
         const serverManagerJar = path.join(this.config.get('paths.plugins'), 'ServerManager-1.0-SNAPSHOT.jar');
         if (await fs.pathExists(serverManagerJar)) {
             await fs.copy(serverManagerJar, path.join(pluginsDir, 'ServerManager.jar'));
-            this.logger.info('Copied ServerManager plugin to Velocity');
+            this.logger.info(`Copied ServerManager plugin to ${instance.id}`);
         }
         
         // Start Velocity
         const jarPath = path.resolve(jarConfig.path);
         const javaPath = this.config.getJavaPath(jarConfig.javaVersion);
         
+        // The proxy id lets the plugin tag its heartbeats, so they can be told apart
         const args = [
             `-Xmx${jarConfig.maxMemory || '1G'}`,
             `-Xms${jarConfig.minMemory || '512M'}`,
             ...(jarConfig.flags || []),
+            `-Dservermanager.proxyId=${instance.id}`,
             '-jar',
             jarPath
         ];
         
         const velocityProcess = spawn(javaPath, args, {
             cwd: proxyDir,
+            env: { ...process.env, SERVERMANAGER_PROXY_ID: instance.id },
             shell: false
         });
         
-        this.proxy = {
+        const proxy = {
+            id: instance.id,
             type: proxyConfig.type,
             process: velocityProcess,
             pid: velocityProcess.pid,
             status: 'starting',
-            port: proxyConfig.port,
+            host: instance.host,
+            port: instance.port,
             directory: proxyDir,
             console: [],
             startedAt: Date.now(),
-            registeredServers: new Set()  // Track registered servers to avoid duplicates
+            registeredServers: new Set()  // Backends registered with this proxy
         };
+        this.proxies.set(instance.id, proxy);
+        await this.reconciler.track(proxy);
         
         // Handle console output
         velocityProcess.stdout.on('data', (data) => {
             const lines = data.toString().split('\n').filter(line => line.trim());
             for (const line of lines) {
-                this.handleProxyConsoleOutput(line);
+                this.handleProxyConsoleOutput(proxy, line);
             }
         });
         
         velocityProcess.stderr.on('data', (data) => {
             const lines = data.toString().split('\n').filter(line => line.trim());
             for (const line of lines) {
-                this.logger.error(`[Velocity Error] ${line}`);
-                this.handleProxyConsoleOutput(`[ERROR] ${line}`);
+                this.logger.error(`[Velocity Error] [${proxy.id}] ${line}`);
+                this.handleProxyConsoleOutput(proxy, `[ERROR] ${line}`);
             }
         });
         
         velocityProcess.on('exit', (code) => {
-            this.logger.info(`Velocity proxy exited with code ${code}`);
-            this.proxy = null;
+            this.logger.info(`Velocity proxy ${proxy.id} exited with code ${code}`);
+            
+            // A late exit of a force-killed proxy must not clear the one that replaced it
+            const current = this.proxies.get(proxy.id);
+            if (current && current !== proxy) return;
+            
+            const deliberate = proxy.status === 'stopping';
+            this.reconciler.untrack(proxy);
+            this.proxies.delete(proxy.id);
+            this.emit('proxyStopped', proxy);
             
-            // Auto-restart if configured
+            // Auto-restart if configured, within the restart policy limits
             const proxyConfig = this.config.get('proxy');
-            if (proxyConfig && proxyConfig.autoRestart && code !== 0) {
-                setTimeout(() => {
-                    this.logger.info('Auto-restarting Velocity proxy...');
-                    this.startProxy().catch(err => {
-                        this.logger.error(`Failed to restart proxy: ${err.message}`);
-                    });
-                }, 5000);
+            if (proxyConfig && proxyConfig.autoRestart && code !== 0 && !deliberate) {
+                this.restartPolicy.handleCrash(proxy.id, code, () => {
+                    this.logger.info(`Auto-restarting Velocity proxy ${proxy.id}...`);
+                    return this.startProxy(proxy.id);
+                });
             }
         });
         
         // Wait for proxy to be ready before returning
         await new Promise((resolve) => {
             const checkReady = setInterval(() => {
-                if (this.proxy && this.proxy.status === 'ready') {
+                if (proxy.status === 'ready' || this.proxies.get(proxy.id) !== proxy) {
                     clearInterval(checkReady);
                     resolve();
                 }
@@ -1018,68 +1209,58 @@ class ServerController extends EventEmitter {
             }, 30000);
         });
         
-        this.logger.info('Velocity proxy started successfully');
+        // A new proxy knows no backends yet
+        if (proxy.status === 'ready') {
+            await this.registerBackendsWithProxy(proxy);
+        }
+        
+        this.logger.info(`Velocity proxy ${proxy.id} started successfully`);
+        return proxy;
     }
 
-    async createVelocityConfig(proxyDir, port) {
-    const proxyConfig = this.config.get('proxy');
-    const defaultServer = proxyConfig.defaultServer || 'hub';
-    
-    const velocityConfig = `# Velocity configuration
-    config-version = "2.6"
-    bind = "0.0.0.0:${port}"
-    motd = "&3A Velocity Server"
-    show-max-players = 500
-    online-mode = false
-    prevent-client-proxy-connections = false
-    player-info-forwarding-mode = "legacy"
-    forwarding-secret-file = "forwarding.secret"
-    announce-forge = false
-
-    [servers]
-    # Hub server - will be updated dynamically when it starts
-    ${defaultServer} = "127.0.0.1:25501"
-    try = ["${defaultServer}"]
-
-    [forced-hosts]
-    # Add any forced hosts here
-
-    [advanced]
-    compression-threshold = 256
-    compression-level = -1
-    login-ratelimit = 3000
-    connection-timeout = 5000
-    read-timeout = 30000
-    haproxy-protocol = false
-    tcp-fast-open = false
-    bungee-plugin-message-channel = true
-    show-ping-requests = false
-    failover-on-unexpected-server-disconnect = true
-    announce-proxy-commands = true
-    log-command-executions = false
-    log-player-connections = true
-
-    [query]
-    enabled = false
-    port = 25565
-    map = "Velocity"
-    show-plugins = false`;
-        
-        await fs.writeFile(path.join(proxyDir, 'velocity.toml'), velocityConfig);
+    // Re-render velocity.toml of every proxy instance and have running ones reload it
+    async applyProxyConfig() {
+        const proxyConfig = this.config.get('proxy');
+        if (!proxyConfig || !proxyConfig.enabled) return [];
+        
+        const results = [];
+        for (const instance of this.config.getProxyInstances()) {
+            const result = await this.velocityConfig.write(path.resolve(instance.directory), instance);
+            const proxy = this.proxies.get(instance.id);
+            
+            if (!result.changed || !proxy || proxy.status !== 'ready') {
+                results.push({ id: instance.id, ...result, reloaded: false });
+                continue;
+            }
+            
+            if (proxy.adopted) {
+                this.logger.warn(`velocity.toml of ${instance.id} changed, restart the adopted proxy to apply it`);
+                results.push({ id: instance.id, ...result, reloaded: false });
+                continue;
+            }
+            
+            await this.sendProxyCommand(instance.id, 'velocity reload');
+            this.logger.info(`Reloaded Velocity configuration of ${instance.id}`);
+            results.push({ id: instance.id, ...result, reloaded: true });
+        }
+        
+        return results;
     }
 
-    // Optimized to prevent duplicate registrations
-    async registerServerWithProxy(server) {
-        if (!this.proxy || !server.port) return;
+    // Register a backend with every ready proxy (or the given one) that does not have it yet
+    async registerServerWithProxy(server, proxy = null) {
+        if (!server.port) return;
         
         const regKey = `${server.id}:${server.port}`;
+        const targets = (proxy ? [proxy] : this.getReadyProxies())
+            .filter(target => !target.registeredServers.has(regKey));
         
-        if (this.registeredWithProxy.has(regKey)) {
+        if (targets.length === 0) {
             this.logger.debug(`Server ${server.id} already registered with proxy`);
             return;
         }
         
-        // Register with Redis (only once)
+        // The registration channel is shared, every proxy picks the message up
         await this.redis.publish('server:register', {
             id: server.id,
             host: '127.0.0.1',
@@ -1090,8 +1271,44 @@ class ServerController extends EventEmitter {
             metadata: server.metadata || {}
         });
         
-        this.registeredWithProxy.add(regKey);
-        this.logger.debug(`Registered ${server.id} with proxy on port ${server.port}`);
+        for (const target of targets) {
+            target.registeredServers.add(regKey);
+        }
+        this.logger.debug(`Registered ${server.id} with ${targets.map(t => t.id).join(', ')} on port ${server.port}`);
+    }
+
+    async unregisterServerFromProxy(server) {
+        const regKey = `${server.id}:${server.port}`;
+        const registeredWith = Array.from(this.proxies.values()).filter(proxy => proxy.registeredServers.has(regKey));
+        if (registeredWith.length === 0) return;
+        
+        await this.redis.publish('server:unregister', JSON.stringify({
+            id: server.id,
+            port: server.port
+        }));
+        registeredWith.forEach(proxy => proxy.registeredServers.delete(regKey));
+        this.logger.info(`Unregistered ${server.id} from proxy`);
+    }
+
+    // A proxy starts without backends; register every ready server with it
+    async registerBackendsWithProxy(proxy) {
+        const registered = [];
+        
+        for (const server of [...this.staticServers.values(), ...this.servers.values()]) {
+            if (!['ready', 'degraded'].includes(server.status)) continue;
+            
+            try {
+                await this.registerServerWithProxy(server, proxy);
+                registered.push(server.id);
+            } catch (error) {
+                this.logger.error(`Failed to register ${server.id} with ${proxy.id}: ${error.message}`);
+            }
+        }
+        
+        if (registered.length > 0) {
+            this.logger.info(`Registered ${registered.length} backend(s) with ${proxy.id}`);
+        }
+        return registered;
     }
 
     async stopDynamicServer(serverId) {
@@ -1103,16 +1320,7 @@ class ServerController extends EventEmitter {
 
         this.logger.info(`Stopping dynamic server: ${serverId}`);
         
-        // Unregister from proxy - FIX: stringify the JSON
-        const regKey = `${server.id}:${server.port}`;
-        if (this.registeredWithProxy.has(regKey)) {
-            await this.redis.publish('server:unregister', JSON.stringify({  // FIX: JSON.stringify
-                id: server.id,
-                port: server.port
-            }));
-            this.registeredWithProxy.delete(regKey);
-            this.logger.info(`Unregistered ${serverId} from proxy`);
-        }
+        await this.unregisterServerFromProxy(server);
         
         // Stop the server process - FIX: pass the server ID, not the object
         await this.stopServer(serverId);  // FIX: Changed from stopServer(server)
@@ -1120,6 +1328,9 @@ class ServerController extends EventEmitter {
         // Remove from tracking
         this.servers.delete(serverId);
         
+        // Release port
+        await this.network.releasePort(server.port);
+        
         // Clean up directory with retry for Windows
         if (server.directory) {
             const maxRetries = 3;
@@ -1154,99 +1365,174 @@ class ServerController extends EventEmitter {
         this.emit('serverReady', server);
     }
 
-    handleProxyConsoleOutput(line) {
-        if (!this.proxy) return;
-        
+    handleProxyConsoleOutput(proxy, line) {
         // Store in console buffer
-        this.proxy.console.push({
+        proxy.console.push({
             timestamp: Date.now(),
             line
         });
         
         // Trim console buffer
-        if (this.proxy.console.length > 500) {
-            this.proxy.console.shift();
+        if (proxy.console.length > 500) {
+            proxy.console.shift();
         }
         
         // Emit console event
         this.emit('proxyConsole', {
+            proxyId: proxy.id,
             line
         });
         
         // Check for ready status
         if (line.includes('Done (') && line.includes('s)!')) {
-            this.proxy.status = 'ready';
-            this.logger.info('Velocity proxy is ready');
-            this.emit('proxyReady');
+            proxy.status = 'ready';
+            this.logger.info(`Velocity proxy ${proxy.id} is ready`);
+            this.emit('proxyReady', proxy);
+            this.reconciler.track(proxy);
         }
         
         // Log ALL messages for debugging
-        this.logger.info(`[Velocity] ${line}`);
+        this.logger.info(`[Velocity] [${proxy.id}] ${line}`);
 
         // Log important messages
         if (line.includes('[INFO]')) {
-            this.logger.debug(`[Velocity] ${line}`);
+            this.logger.debug(`[Velocity] [${proxy.id}] ${line}`);
         }
     }
 
-    async stopProxy() {
-        if (!this.proxy || !this.proxy.process) {
+    // Stop every proxy, or only the given one
+    async stopProxy(proxyId = null) {
+        if (proxyId) {
+            const proxy = this.proxies.get(proxyId);
+            if (!proxy) {
+                this.logger.warn(`Proxy ${proxyId} is not running`);
+                return;
+            }
+            return this.stopProxyInstance(proxy);
+        }
+        
+        if (this.proxies.size === 0) {
             this.logger.warn('No proxy is running');
             return;
         }
         
-        this.logger.info('Stopping Velocity proxy...');
-        
-        this.proxy.process.stdin.write('end\n');
-        
-        await new Promise(resolve => {
-            let timeout = setTimeout(() => {
-                if (this.proxy && this.proxy.process && !this.proxy.process.killed) {
-                    this.logger.warn('Force killing Velocity proxy...');
-                    this.proxy.process.kill('SIGKILL');
-                }
-                resolve();
-            }, 10000);
+        for (const proxy of Array.from(this.proxies.values())) {
+            await this.stopProxyInstance(proxy);
+        }
+    }
+    
+    async stopProxyInstance(proxy) {
+        this.restartPolicy.cancel(proxy.id);
+        proxy.status = 'stopping';
+        
+        if (proxy.adopted) {
+            this.logger.info(`Stopping adopted Velocity proxy ${proxy.id}...`);
+            await this.terminateProcess(proxy.pid, this.reconciler.settings.stopTimeout);
+            await this.reconciler.untrack(proxy);
+        } else {
+            this.logger.info(`Stopping Velocity proxy ${proxy.id}...`);
+            proxy.process.stdin.write('end\n');
             
-            if (this.proxy && this.proxy.process) {
-                this.proxy.process.once('exit', () => {
+            await new Promise(resolve => {
+                const timeout = setTimeout(() => {
+                    if (!proxy.process.killed) {
+                        this.logger.warn(`Force killing Velocity proxy ${proxy.id}...`);
+                        proxy.process.kill('SIGKILL');
+                    }
+                    resolve();
+                }, 10000);
+                
+                if (proxy.process.exitCode !== null) {
+                    clearTimeout(timeout);
+                    resolve();
+                    return;
+                }
+                
+                proxy.process.once('exit', () => {
                     clearTimeout(timeout);
                     resolve();
                 });
-            } else {
-                clearTimeout(timeout);
-                resolve();
-            }
-        });
+            });
+        }
+        
+        if (this.proxies.get(proxy.id) === proxy) {
+            this.proxies.delete(proxy.id);
+            this.emit('proxyStopped', proxy);
+        }
+        this.logger.info(`Velocity proxy ${proxy.id} stopped`);
+    }
+    
+    // Last heartbeat of a proxy; untagged heartbeats only count while a single proxy runs
+    getProxyHeartbeat(proxy) {
+        if (!this.redis) return null;
+        
+        const tagged = this.redis.proxyHeartbeats && this.redis.proxyHeartbeats.get(proxy.id);
+        if (tagged) return tagged;
         
-        this.proxy = null;
-        this.logger.info('Velocity proxy stopped');
+        return this.proxies.size === 1 ? this.redis.lastProxyHeartbeat || null : null;
     }
     
-    getProxyInfo() {
-        if (!this.proxy) return null;
+    // Whether a missing heartbeat means anything: plugins that do not tag heartbeats cannot be told apart
+    isProxyHeartbeatTracked(proxy) {
+        if (!this.redis) return false;
+        
+        return this.proxies.size === 1 || !!(this.redis.proxyHeartbeats && this.redis.proxyHeartbeats.has(proxy.id));
+    }
+    
+    // Every configured instance, running or not
+    getProxiesInfo() {
+        return this.config.getProxyInstances().map(instance => this.getProxyInfo(instance.id));
+    }
+    
+    getProxyInfo(proxyId) {
+        const instance = this.config.getProxyInstances().find(i => i.id === proxyId);
+        const proxy = this.proxies.get(proxyId);
+        if (!instance && !proxy) return null;
+        
+        if (!proxy) {
+            return {
+                id: proxyId,
+                status: this.restartPolicy.isFailed(proxyId) ? 'failed' : 'stopped',
+                host: instance.host,
+                port: instance.port,
+                directory: path.resolve(instance.directory)
+            };
+        }
         
         return {
-            type: this.proxy.type,
-            status: this.proxy.status,
-            port: this.proxy.port,
-            pid: this.proxy.pid,
-            uptime: Date.now() - this.proxy.startedAt
+            id: proxy.id,
+            type: proxy.type,
+            status: proxy.status,
+            host: proxy.host || (instance && instance.host),
+            port: proxy.port,
+            directory: proxy.directory,
+            pid: proxy.pid,
+            adopted: !!proxy.adopted,
+            uptime: Date.now() - proxy.startedAt,
+            registeredServers: Array.from(proxy.registeredServers).map(key => key.split(':')[0]),
+            lastHeartbeat: this.getProxyHeartbeat(proxy)
         };
     }
     
-    getProxyConsole(lines = 100) {
-        if (!this.proxy) return [];
-        return this.proxy.console.slice(-lines);
+    getProxyConsole(proxyId, lines = 100) {
+        const proxy = this.proxies.get(proxyId);
+        if (!proxy) return [];
+        return proxy.console.slice(-lines);
     }
     
-    async sendProxyCommand(command) {
-        if (!this.proxy || !this.proxy.process) {
-            throw new Error('Proxy not running');
+    async sendProxyCommand(proxyId, command) {
+        const proxy = this.proxies.get(proxyId);
+        
+        if (proxy && proxy.adopted) {
+            throw new Error(`Proxy ${proxyId} was adopted from a previous run and has no console; restart it to send commands`);
+        }
+        
+        if (!proxy || !proxy.process) {
+            throw new Error(`Proxy ${proxyId} not running`);
         }
         
-        this.proxy.process.stdin.write(command + '\n');
-        this.logger.info(`Sent command to proxy: ${command}`);
+        proxy.process.stdin.write(command + '\n');
+        this.logger.info(`Sent command to ${proxyId}: ${command}`);
     }
 
     // Generate random 5-character ID
@@ -1290,7 +1576,7 @@ class ServerController extends EventEmitter {
         const serverId = this.generateServerId(gameType);
         
         // Get an available port
-        const port = await this.getAvailablePort();
+        const port = await this.network.allocatePort(serverId);
         
         this.logger.info(`Creating dynamic server: ${serverId} on port ${port}`);
         
@@ -1330,8 +1616,8 @@ class ServerController extends EventEmitter {
             // Start the server
             await this.startServer(server);
             
-            // Register with proxy (only once)
-            if (this.proxy && server.status === 'ready') {
+            // Register with proxies (only once)
+            if (server.status === 'ready') {
                 await this.registerServerWithProxy(server);
             }
             
@@ -1343,46 +1629,11 @@ class ServerController extends EventEmitter {
             this.logger.error(`Failed to create dynamic server ${serverId}: ${error.message}`);
             // Clean up on failure
             this.servers.delete(serverId);
-            if (port) this.releasePort(port);
+            await this.network.releasePort(port);
             throw error;
         }
     }
 
-    // Simple port management
-    async getAvailablePort() {
-        const startPort = this.config.get('ports.rangeStart', 25600);
-        const endPort = this.config.get('ports.rangeEnd', 25700);
-        
-        const usedPorts = new Set();
-        
-        // Collect all used ports
-        this.servers.forEach(server => {
-            if (server.port) usedPorts.add(server.port);
-        });
-        
-        this.staticServers.forEach(server => {
-            if (server.port) usedPorts.add(server.port);
-        });
-        
-        // Add hub port if configured
-        const hubPort = this.config.get('servers.hub.port');
-        if (hubPort) usedPorts.add(hubPort);
-        
-        // Find first available port
-        for (let port = startPort; port <= endPort; port++) {
-            if (!usedPorts.has(port)) {
-                return port;
-            }
-        }
-        
-        throw new Error(`No available ports in range ${startPort}-${endPort}`);
-    }
-
-    releasePort(port) {
-        // Port is automatically released when server is removed from maps
-        this.logger.debug(`Released port ${port}`);
-    }
-
     // Get all dynamic servers
     getDynamicServers() {
         const servers = [];
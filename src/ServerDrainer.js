@@ -0,0 +1,158 @@
+// src/ServerDrainer.js - Graceful Stops: Unregister, Warn, Move Players to Fallback Servers, then Stop
+
+const EventEmitter = require('events');
+const Logger = require('./utils/Logger');
+
+const ACTIVE_STATUSES = ['running', 'ready', 'degraded'];
+
+class ServerDrainer extends EventEmitter {
+    constructor(configManager, serverController, playerMover) {
+        super();
+        this.config = configManager;
+        this.controller = serverController;
+        this.mover = playerMover;
+        this.logger = new Logger('ServerDrainer');
+
+        this.draining = new Set();      // Server ids being drained
+    }
+
+    get settings() {
+        const drain = this.config.get('features.drain', {});
+
+        return {
+            enabled: drain.enabled !== false,
+            countdown: drain.countdown ?? 10
+        };
+    }
+
+    // proxy.fallbackServers, then proxy.defaultServer; only running servers other than the drained one
+    getTargets(serverId) {
+        const proxy = this.config.get('proxy', {}) || {};
+        const candidates = [...(proxy.fallbackServers || []), proxy.defaultServer || 'hub'];
+
+        return [...new Set(candidates)].filter(id => {
+            const server = this.controller.getServer(id);
+            return id !== serverId && server && ACTIVE_STATUSES.includes(server.status);
+        });
+    }
+
+    // Stops drain first unless drain is false (emergency stop); a failed drain still stops the server
+    async stopStaticServer(name, { drain = this.settings.enabled } = {}) {
+        const result = drain && this.controller.staticServers.has(name) ? await this.drainBeforeStop(name) : null;
+        await this.controller.stopStaticServer(name);
+        return result;
+    }
+
+    async stopDynamicServer(serverId, { drain = this.settings.enabled } = {}) {
+        const result = drain && this.controller.servers.has(serverId) ? await this.drainBeforeStop(serverId) : null;
+        await this.controller.stopDynamicServer(serverId);
+        return result;
+    }
+
+    async drainBeforeStop(serverId) {
+        try {
+            return await this.drain(serverId);
+        } catch (error) {
+            // Another request is draining it; that one stops it
+            if (this.draining.has(serverId)) throw error;
+            this.logger.error(`Draining ${serverId} failed, stopping it anyway: ${error.message}`);
+            return null;
+        }
+    }
+
+    async drain(serverId) {
+        const server = this.controller.getServer(serverId);
+        if (!server) {
+            throw new Error(`Server ${serverId} not found`);
+        }
+        if (this.draining.has(serverId)) {
+            throw new Error(`Server ${serverId} is already draining`);
+        }
+        if (!ACTIVE_STATUSES.includes(server.status)) {
+            return { serverId, players: 0, results: [], moved: 0, failed: 0 };
+        }
+
+        this.draining.add(serverId);
+        try {
+            // No new players: out of the proxy's server list and the status that registration looks for
+            server.status = 'draining';
+            this.controller.emit('serverStateChange', serverId, 'draining');
+            await this.controller.unregisterServerFromProxy(server);
+
+            this.logger.info(`Draining ${serverId} (${server.players.length} player(s))`);
+            this.emit('drainStarted', { serverId, players: [...server.players] });
+
+            await this.countdown(server);
+            const results = await this.evacuate(server);
+
+            const moved = results.filter(result => result.success).length;
+            const summary = { serverId, players: results.length, results, moved, failed: results.length - moved };
+
+            this.logger.info(`Drained ${serverId}: ${moved} moved, ${summary.failed} disconnected`);
+            this.emit('drainCompleted', summary);
+            return summary;
+        } finally {
+            this.draining.delete(serverId);
+        }
+    }
+
+    // Warn in chat every 10 seconds, then every second for the last 5
+    async countdown(server) {
+        for (let remaining = this.settings.countdown; remaining > 0; remaining--) {
+            if (server.players.length === 0) return;
+
+            if (remaining === this.settings.countdown || remaining <= 5 || remaining % 10 === 0) {
+                await this.say(server, `This server is shutting down, moving you in ${remaining}s`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+    }
+
+    async say(server, message) {
+        try {
+            await this.controller.sendCommand(server.id, `say ${message}`, { silent: true });
+        } catch (error) {
+            // Adopted servers have no console; players are moved without the warning
+            this.logger.debug(`Cannot warn players on ${server.id}: ${error.message}`);
+        }
+    }
+
+    // Try each fallback in turn with the players the previous one did not take
+    async evacuate(server) {
+        let remaining = [...server.players];
+        if (remaining.length === 0) return [];
+
+        const results = new Map();
+        const targets = this.getTargets(server.id);
+
+        if (!this.mover) {
+            this.logger.warn(`Player transfers unavailable, ${remaining.length} player(s) on ${server.id} will be disconnected`);
+        } else if (targets.length === 0) {
+            this.logger.warn(`No running fallback server, ${remaining.length} player(s) on ${server.id} will be disconnected`);
+        }
+
+        for (const target of this.mover ? targets : []) {
+            if (remaining.length === 0) break;
+
+            try {
+                const result = await this.mover.transfer(remaining, target);
+                for (const entry of result.results) {
+                    results.set(entry.player, { ...entry, server: target });
+                }
+            } catch (error) {
+                this.logger.warn(`Could not move players from ${server.id} to ${target}: ${error.message}`);
+            }
+            remaining = remaining.filter(player => !results.get(player)?.success);
+        }
+
+        for (const player of remaining) {
+            if (!results.has(player)) {
+                results.set(player, { player, success: false, error: 'No fallback server took the player' });
+            }
+        }
+
+        return Array.from(results.values());
+    }
+}
+
+module.exports = ServerDrainer;
@@ -3,6 +3,21 @@ const ConfigManager = require('./ConfigManager');
 const ServerController = require('./ServerController');
 const RedisManager = require('./RedisManager');
 const PoolManager = require('./PoolManager');
+const PlayerHistory = require('./PlayerHistory');
+const PlayerMover = require('./PlayerMover');
+const ServerDrainer = require('./ServerDrainer');
+const PartyManager = require('./PartyManager');
+const Matchmaker = require('./Matchmaker');
+const AuditLog = require('./AuditLog');
+const BackupManager = require('./BackupManager');
+const Scheduler = require('./Scheduler');
+const CleanupManager = require('./CleanupManager');
+const CrashReporter = require('./CrashReporter');
+const ResourceMonitor = require('./ResourceMonitor');
+const ProxyWatchdog = require('./ProxyWatchdog');
+const AlertManager = require('./AlertManager');
+const MetricsExporter = require('./MetricsExporter');
+const MetricsStore = require('./MetricsStore');
 const ApiServer = require('../api/ApiServer');
 const Logger = require('./utils/Logger');
 
@@ -13,6 +28,21 @@ class ServerManager {
         this.redisManager = new RedisManager(this.configManager);
         this.serverController = new ServerController(this.configManager, this.redisManager);
         this.poolManager = new PoolManager(this.serverController, this.configManager);
+        this.playerHistory = new PlayerHistory(this.configManager, this.redisManager, this.serverController);
+        this.playerMover = new PlayerMover(this.configManager, this.redisManager, this.serverController);
+        this.serverDrainer = new ServerDrainer(this.configManager, this.serverController, this.playerMover);
+        this.partyManager = new PartyManager(this.configManager, this.redisManager);
+        this.matchmaker = new Matchmaker(this.configManager, this.redisManager, this.poolManager, this.serverController, this.partyManager);
+        this.auditLog = new AuditLog(this.configManager);
+        this.backupManager = new BackupManager(this.configManager, this.serverController);
+        this.scheduler = new Scheduler(this.configManager, this.serverController, this.serverDrainer, this.backupManager);
+        this.cleanupManager = new CleanupManager(this.configManager, this.serverController);
+        this.crashReporter = new CrashReporter(this.configManager, this.serverController);
+        this.resourceMonitor = new ResourceMonitor(this.configManager, this.serverController);
+        this.proxyWatchdog = new ProxyWatchdog(this.configManager, this.serverController, this.redisManager);
+        this.alertManager = new AlertManager(this.configManager, this.serverController, this.poolManager, this.redisManager, this.resourceMonitor, this.proxyWatchdog);
+        this.metricsExporter = new MetricsExporter(this.serverController, this.poolManager, this.redisManager);
+        this.metricsStore = new MetricsStore(this.configManager, this.redisManager, this.serverController, this.poolManager);
         this.apiServer = new ApiServer(this);
     }
 
@@ -29,7 +59,11 @@ class ServerManager {
             // Initialize server controller (without auto-starting anything)
             await this.serverController.initialize();
             
-            // STEP 1: Start Velocity proxy FIRST
+            // Record player sessions from the first join on, and listen for transfer acknowledgements
+            this.playerHistory.start();
+            await this.playerMover.start();
+            
+            // STEP 1: Start Velocity proxies FIRST
             const proxyConfig = this.configManager.get('proxy');
             if (proxyConfig && proxyConfig.enabled) {
                 this.logger.info('Starting Velocity proxy...');
@@ -43,14 +77,18 @@ class ServerManager {
             // STEP 2: Start hub server (if configured)
             const hubConfig = this.configManager.get('servers.hub');
             if (hubConfig && hubConfig.enabled !== false) {
-                try {
-                    this.logger.info('Starting hub server...');
-                    await this.serverController.startStaticServer('hub');
-                    // Wait for hub to be ready
-                    await new Promise(resolve => setTimeout(resolve, 3000));
-                } catch (error) {
-                    this.logger.error(`Failed to start hub server: ${error.message}`);
-                    // Continue anyway - dynamic servers can still work
+                if (this.serverController.getServer('hub')?.adopted) {
+                    this.logger.info('Hub server adopted from previous run');
+                } else {
+                    try {
+                        this.logger.info('Starting hub server...');
+                        await this.serverController.startStaticServer('hub');
+                        // Wait for hub to be ready
+                        await new Promise(resolve => setTimeout(resolve, 3000));
+                    } catch (error) {
+                        this.logger.error(`Failed to start hub server: ${error.message}`);
+                        // Continue anyway - dynamic servers can still work
+                    }
                 }
             }
             
@@ -60,6 +98,9 @@ class ServerManager {
                 // Skip if disabled
                 if (serverConfig.enabled === false) continue;
                 
+                // Skip servers adopted from a previous run
+                if (this.serverController.getServer(serverConfig.id)?.adopted) continue;
+                
                 try {
                     this.logger.info(`Starting static server: ${serverConfig.id}`);
                     await this.serverController.startStaticServer(serverConfig.id);
@@ -68,10 +109,29 @@ class ServerManager {
                 }
             }
             
-            // STEP 4: Start pool manager for dynamic servers
+            // STEP 4: Start pool manager for dynamic servers, and parties and matchmaking on top of it
             await this.poolManager.start();
+            await this.partyManager.start();
+            await this.matchmaker.start();
+            
+            // STEP 5: Start backup scheduler and scheduled server tasks
+            await this.backupManager.start();
+            this.scheduler.start();
+            
+            // STEP 6: Start cleanup scheduler
+            await this.cleanupManager.start();
+            
+            // STEP 7: Start resource monitoring
+            this.resourceMonitor.start();
             
-            // STEP 5: Start API server
+            // STEP 8: Start proxy watchdog and alerting
+            this.proxyWatchdog.start();
+            this.alertManager.start();
+            
+            // STEP 9: Start metrics history
+            await this.metricsStore.start();
+            
+            // STEP 10: Start API server
             await this.apiServer.start();
             
             // Setup shutdown handlers
@@ -82,9 +142,8 @@ class ServerManager {
             this.logger.info(`Dashboard available at: http://localhost:${apiPort}`);
             
             if (proxyConfig && proxyConfig.enabled) {
-                const proxyHost = proxyConfig.host || 'localhost';
-                const proxyPort = proxyConfig.port || 25565;
-                this.logger.info(`Players can connect to: ${proxyHost}:${proxyPort}`);
+                const addresses = this.configManager.getProxyInstances().map(instance => `${instance.host}:${instance.port}`);
+                this.logger.info(`Players can connect to: ${addresses.join(', ')}`);
             }
         } catch (error) {
             this.logger.error(`Failed to start Server Manager: ${error.message}`);
@@ -97,16 +156,34 @@ class ServerManager {
             this.logger.info(`Received ${signal}, shutting down gracefully...`);
             
             try {
-                // Stop API server
+                // Stop API server and answer pending player transfers
                 await this.apiServer.stop();
+                this.playerMover.stop();
                 
-                // Stop pool manager
+                // Stop matchmaking and pool manager
+                this.matchmaker.stop();
                 await this.poolManager.stop();
                 
-                // Stop all backend servers first
+                // Stop backup scheduler and scheduled server tasks
+                await this.backupManager.stop();
+                this.scheduler.stop();
+                
+                // Stop cleanup scheduler
+                await this.cleanupManager.stop();
+                
+                // Stop resource monitoring, proxy watchdog and alerting
+                this.resourceMonitor.stop();
+                this.proxyWatchdog.stop();
+                this.alertManager.stop();
+                
+                // Flush metrics history
+                await this.metricsStore.stop();
+                
+                // Stop all backend servers first, then store the sessions they ended
                 await this.serverController.stopAll();
+                await this.playerHistory.stop();
                 
-                // Stop Velocity proxy last
+                // Stop Velocity proxies last
                 await this.serverController.stopProxy();
                 
                 // Disconnect from Redis
@@ -139,7 +216,22 @@ class ServerManager {
     get redis() { return this.redisManager; }
     get controller() { return this.serverController; }
     get pool() { return this.poolManager; }
+    get matchmaking() { return this.matchmaker; }
+    get parties() { return this.partyManager; }
+    get history() { return this.playerHistory; }
+    get transfers() { return this.playerMover; }
+    get drainer() { return this.serverDrainer; }
     get api() { return this.apiServer; }
+    get audit() { return this.auditLog; }
+    get backups() { return this.backupManager; }
+    get schedules() { return this.scheduler; }
+    get cleanup() { return this.cleanupManager; }
+    get crashes() { return this.crashReporter; }
+    get resources() { return this.resourceMonitor; }
+    get watchdog() { return this.proxyWatchdog; }
+    get alerts() { return this.alertManager; }
+    get metrics() { return this.metricsExporter; }
+    get metricsHistory() { return this.metricsStore; }
 }
 
 // Auto-start if run directly
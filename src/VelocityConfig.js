@@ -0,0 +1,308 @@
+// src/VelocityConfig.js - velocity.toml Rendering from config.json, Merged into the Existing File
+
+const fs = require('fs-extra');
+const path = require('path');
+const Logger = require('./utils/Logger');
+
+const CONFIG_FILE = 'velocity.toml';
+
+const HEADER = `# Velocity configuration
+# Managed by the server manager: keys rendered from the "proxy" section of config.json are
+# updated on every start, other keys and comments are left as they are.
+config-version = "2.6"
+`;
+
+function formatKey(key) {
+    return /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+}
+
+function formatValue(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(formatValue).join(', ')}]`;
+    }
+    if (typeof value === 'string') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+// Bracket depth of a value, ignoring brackets inside strings
+function bracketDepth(text) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') i++;
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '#') {
+            break;
+        } else if (char === '[') {
+            depth++;
+        } else if (char === ']') {
+            depth--;
+        }
+    }
+
+    return depth;
+}
+
+// Enough of TOML for velocity.toml: strings, numbers, booleans and arrays of those
+function parseValue(raw) {
+    let text = raw.trim();
+
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') i++;
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '#') {
+            text = text.slice(0, i).trim();
+            break;
+        }
+    }
+
+    const json = text
+        .replace(/'([^']*)'/g, (match, inner) => JSON.stringify(inner))
+        .replace(/,\s*]/g, ']');
+
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        return text;
+    }
+}
+
+// Line-based document so that updates keep the comments and layout of the existing file
+class TomlDocument {
+    constructor(text = '') {
+        this.lines = text.replace(/\r\n/g, '\n').split('\n');
+        if (this.lines[this.lines.length - 1] === '') this.lines.pop();
+    }
+
+    // [{ table, key, start, end, value }], plus table header positions
+    scan() {
+        const entries = [];
+        const tables = new Map([['', -1]]);
+        let table = '';
+
+        for (let i = 0; i < this.lines.length; i++) {
+            const line = this.lines[i];
+            const header = line.match(/^\s*\[([^\[\]]+)\]\s*(#.*)?$/);
+            if (header) {
+                table = header[1].trim();
+                tables.set(table, i);
+                continue;
+            }
+
+            const entry = line.match(/^\s*("(?:[^"\\]|\\.)*"|[A-Za-z0-9_.-]+)\s*=\s*(.*)$/);
+            if (!entry) continue;
+
+            let end = i;
+            let raw = entry[2];
+            while (bracketDepth(raw) > 0 && end + 1 < this.lines.length) {
+                end++;
+                raw += '\n' + this.lines[end];
+            }
+
+            const key = entry[1].startsWith('"') ? JSON.parse(entry[1]) : entry[1];
+            entries.push({ table, key, start: i, end, value: parseValue(raw.replace(/\n/g, ' ')) });
+            i = end;
+        }
+
+        return { entries, tables };
+    }
+
+    find(table, key) {
+        return this.scan().entries.find(entry => entry.table === table && entry.key === key) || null;
+    }
+
+    set(table, key, value) {
+        const line = `${formatKey(key)} = ${formatValue(value)}`;
+        const { entries, tables } = this.scan();
+        const existing = entries.find(entry => entry.table === table && entry.key === key);
+
+        if (existing) {
+            const original = this.lines[existing.start];
+            const indent = original.match(/^\s*/)[0];
+            // Keep a trailing comment of a single-line entry
+            const comment = existing.start === existing.end ? original.match(/\s#[^"']*$/) : null;
+            this.lines.splice(existing.start, existing.end - existing.start + 1, indent + line + (comment ? comment[0] : ''));
+            return;
+        }
+
+        if (!tables.has(table)) {
+            if (this.lines.length > 0 && this.lines[this.lines.length - 1].trim() !== '') {
+                this.lines.push('');
+            }
+            this.lines.push(`[${table}]`, line);
+            return;
+        }
+
+        // After the last entry of the table, or right after its header
+        const inTable = entries.filter(entry => entry.table === table);
+        let index;
+        if (inTable.length > 0) {
+            index = inTable[inTable.length - 1].end + 1;
+        } else if (table === '') {
+            const firstHeader = Math.min(...Array.from(tables.values()).filter(i => i >= 0), this.lines.length);
+            index = firstHeader;
+        } else {
+            index = tables.get(table) + 1;
+        }
+
+        const reference = inTable.length > 0 ? inTable[inTable.length - 1].start : tables.get(table);
+        const indent = reference >= 0 ? this.lines[reference].match(/^\s*/)[0] : '';
+        this.lines.splice(index, 0, indent + line);
+    }
+
+    remove(table, key) {
+        const entry = this.find(table, key);
+        if (entry) {
+            this.lines.splice(entry.start, entry.end - entry.start + 1);
+        }
+    }
+
+    keys(table) {
+        return this.scan().entries.filter(entry => entry.table === table).map(entry => entry.key);
+    }
+
+    toString() {
+        return this.lines.join('\n') + '\n';
+    }
+}
+
+class VelocityConfig {
+    constructor(configManager, backendForwarding) {
+        this.config = configManager;
+        this.forwarding = backendForwarding;
+        this.logger = new Logger('VelocityConfig');
+    }
+
+    // Velocity has a single forwarding mode for all backends, resolved from the jars they run
+    get forwardingMode() {
+        return this.forwarding.getProxyMode();
+    }
+
+    get secretFile() {
+        return this.forwarding.secretFile;
+    }
+
+    // Backend servers velocity.toml should know about: the hub and the static servers
+    getServers() {
+        const servers = {};
+        const hub = this.config.get('servers.hub');
+        if (hub && hub.enabled !== false && hub.port) {
+            servers[hub.id || 'hub'] = `127.0.0.1:${hub.port}`;
+        }
+
+        for (const server of this.config.get('servers.static', [])) {
+            if (server.enabled !== false && server.port) {
+                servers[server.id] = `127.0.0.1:${server.port}`;
+            }
+        }
+
+        return servers;
+    }
+
+    // [table, key, value] for every key rendered from the proxy section, for one proxy instance
+    getManagedValues(instance = this.config.getProxyInstances()[0]) {
+        const proxy = this.config.get('proxy', {});
+        const compression = proxy.compression || {};
+        const rateLimits = proxy.rateLimits || {};
+        const query = proxy.query || {};
+        const mode = this.forwardingMode;
+
+        const values = [
+            ['', 'bind', `${instance.host}:${instance.port}`],
+            ['', 'motd', proxy.motd || '&3A Velocity Server'],
+            ['', 'show-max-players', proxy.showMaxPlayers ?? 500],
+            ['', 'online-mode', proxy.onlineMode ?? false],
+            ['', 'player-info-forwarding-mode', mode]
+        ];
+
+        if (mode !== 'none') {
+            values.push(['', 'forwarding-secret-file', this.secretFile]);
+        }
+
+        for (const [id, address] of Object.entries(this.getServers())) {
+            values.push(['servers', id, address]);
+        }
+
+        values.push(
+            ['advanced', 'compression-threshold', compression.threshold ?? 256],
+            ['advanced', 'compression-level', compression.level ?? -1],
+            ['advanced', 'login-ratelimit', rateLimits.loginRatelimit ?? 3000],
+            ['advanced', 'connection-timeout', rateLimits.connectionTimeout ?? 5000],
+            ['advanced', 'read-timeout', rateLimits.readTimeout ?? 30000],
+            ['query', 'enabled', query.enabled ?? false],
+            ['query', 'port', instance.queryPort],
+            ['query', 'map', query.map || 'Velocity'],
+            ['query', 'show-plugins', query.showPlugins ?? false]
+        );
+
+        return values;
+    }
+
+    // Default server first, then the fallbacks; only names velocity.toml defines, or Velocity refuses to start
+    getTryOrder(knownServers) {
+        const proxy = this.config.get('proxy', {});
+        const order = proxy.try || [proxy.defaultServer || 'hub', ...(proxy.fallbackServers || [])];
+
+        return [...new Set(order)].filter(id => knownServers.includes(id));
+    }
+
+    render(existing = null, instance = undefined) {
+        const doc = new TomlDocument(existing || HEADER);
+
+        for (const [table, key, value] of this.getManagedValues(instance)) {
+            doc.set(table, key, value);
+        }
+
+        const known = doc.keys('servers').filter(key => key !== 'try');
+        doc.set('servers', 'try', this.getTryOrder(known));
+
+        // Forced hosts are fully managed once configured, so removed hosts disappear from the file
+        const forcedHosts = this.config.get('proxy.forcedHosts');
+        if (forcedHosts) {
+            for (const host of doc.keys('forced-hosts')) {
+                if (!(host in forcedHosts)) doc.remove('forced-hosts', host);
+            }
+            for (const [host, servers] of Object.entries(forcedHosts)) {
+                const targets = (Array.isArray(servers) ? servers : [servers]).filter(id => known.includes(id));
+                if (targets.length > 0) {
+                    doc.set('forced-hosts', host, targets);
+                } else {
+                    doc.remove('forced-hosts', host);
+                }
+            }
+        }
+
+        return doc.toString();
+    }
+
+    // Render into proxyDir/velocity.toml; returns whether the file changed
+    async write(proxyDir, instance = undefined) {
+        const configPath = path.join(proxyDir, CONFIG_FILE);
+        const existing = await fs.pathExists(configPath) ? await fs.readFile(configPath, 'utf8') : null;
+        const rendered = this.render(existing, instance);
+
+        if (rendered === existing) {
+            return { path: configPath, changed: false };
+        }
+
+        await fs.ensureDir(proxyDir);
+        await fs.writeFile(configPath, rendered);
+        this.logger.info(`${existing === null ? 'Created' : 'Updated'} ${configPath}`);
+
+        return { path: configPath, changed: true };
+    }
+}
+
+module.exports = VelocityConfig;
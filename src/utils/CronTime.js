@@ -0,0 +1,99 @@
+// src/utils/CronTime.js - Next Run Time of a node-cron Expression
+
+// Field ranges in node-cron order: second, minute, hour, day of month, month, day of week
+const FIELDS = [
+    { min: 0, max: 59 },
+    { min: 0, max: 59 },
+    { min: 0, max: 23 },
+    { min: 1, max: 31 },
+    { min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// Give up after this many steps; every valid expression matches well within it
+const MAX_STEPS = 100000;
+
+function parseValue(value, field) {
+    const lower = value.toLowerCase();
+    if (field.names) {
+        const index = field.names.findIndex(name => lower.startsWith(name));
+        if (index !== -1) return index + (field.names.length === 12 ? 1 : 0);
+    }
+
+    const number = parseInt(value, 10);
+    if (isNaN(number) || number < field.min || number > field.max) {
+        throw new Error(`Invalid cron value: ${value}`);
+    }
+    return number;
+}
+
+function parseField(expression, field) {
+    const values = new Set();
+
+    for (const part of expression.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText ? parseInt(stepText, 10) : 1;
+        if (!(step > 0)) {
+            throw new Error(`Invalid cron step: ${part}`);
+        }
+
+        let from = field.min;
+        let to = field.max;
+        if (range !== '*') {
+            const [start, end] = range.split('-');
+            from = parseValue(start, field);
+            to = end !== undefined ? parseValue(end, field) : (stepText ? field.max : from);
+        }
+
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+function parse(expression) {
+    const parts = expression.trim().split(/\s+/);
+    if (parts.length === 5) parts.unshift('0');
+    if (parts.length !== 6) {
+        throw new Error(`Invalid cron expression: ${expression}`);
+    }
+
+    const fields = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+    // Sunday is 0 or 7
+    if (fields[5].has(7)) fields[5].add(0);
+
+    return fields;
+}
+
+// First time after `from` the expression matches; like node-cron, day of month and day of week must both match
+function nextRun(expression, from = new Date()) {
+    const [seconds, minutes, hours, days, months, weekDays] = parse(expression);
+    const date = new Date(from.getTime());
+    date.setMilliseconds(0);
+    date.setSeconds(date.getSeconds() + 1);
+
+    for (let step = 0; step < MAX_STEPS; step++) {
+        if (!months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0);
+        } else if (!days.has(date.getDate()) || !weekDays.has(date.getDay())) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0);
+        } else if (!hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0);
+        } else if (!minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0);
+        } else if (!seconds.has(date.getSeconds())) {
+            date.setSeconds(date.getSeconds() + 1);
+        } else {
+            return date;
+        }
+    }
+
+    return null;
+}
+
+module.exports = { nextRun };
@@ -0,0 +1,63 @@
+// src/utils/JsonLinesLog.js - Append-only JSON Lines File with Filtered, Newest-first Queries
+
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+
+class JsonLinesLog {
+    // getPath is called on every access, so a changed config path applies at once
+    constructor(getPath) {
+        this.getPath = getPath;
+
+        // Serialize appends so entries land in the file in the order they were recorded
+        this.writeQueue = Promise.resolve();
+    }
+
+    // Rejects if the write fails; later appends still run
+    append(entry) {
+        const write = this.writeQueue.then(async () => {
+            const filePath = this.getPath();
+            await fs.ensureDir(path.dirname(filePath));
+            await fs.appendFile(filePath, JSON.stringify(entry) + '\n');
+        });
+
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    // Entries for which matches(entry) is true, newest first; unparsable lines are skipped
+    async query(matches, { limit = 100, offset = 0 } = {}) {
+        const filePath = this.getPath();
+        if (!await fs.pathExists(filePath)) {
+            return { total: 0, entries: [] };
+        }
+
+        const found = [];
+        const stream = fs.createReadStream(filePath, 'utf8');
+        const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                continue;
+            }
+
+            if (matches(entry)) {
+                found.push(entry);
+            }
+        }
+
+        found.reverse();
+
+        return {
+            total: found.length,
+            entries: found.slice(offset, offset + limit)
+        };
+    }
+}
+
+module.exports = JsonLinesLog;
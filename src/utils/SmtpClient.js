@@ -0,0 +1,233 @@
+// src/utils/SmtpClient.js - Minimal SMTP Client for Plain-text Notification Mails
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+// Header value on one line; non-ASCII text becomes RFC 2047 encoded words of at most 45 UTF-8 bytes each
+function encodeHeader(value) {
+    const line = String(value || '').replace(/[\r\n]+/g, ' ');
+    if (/^[\x20-\x7e]*$/.test(line)) return line;
+
+    const words = [];
+    let chunk = '';
+    for (const char of line) {
+        if (Buffer.byteLength(chunk + char) > 45) {
+            words.push(chunk);
+            chunk = '';
+        }
+        chunk += char;
+    }
+    words.push(chunk);
+
+    return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\r\n ');
+}
+
+// Reads multi-line SMTP replies ("250-..." continuation, "250 ..." final line)
+class ReplyReader {
+    constructor(socket) {
+        this.buffer = '';
+        this.lines = [];
+        this.pending = null;
+        this.waiting = null;
+        this.error = null;
+
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.handlers = {
+            data: (chunk) => this.read(chunk),
+            error: (error) => this.fail(error),
+            close: () => this.fail(new Error('SMTP connection closed'))
+        };
+
+        for (const [event, handler] of Object.entries(this.handlers)) {
+            socket.on(event, handler);
+        }
+    }
+
+    // Hand the socket over, e.g. to a TLS wrapper after STARTTLS
+    detach() {
+        for (const [event, handler] of Object.entries(this.handlers)) {
+            this.socket.removeListener(event, handler);
+        }
+    }
+
+    read(chunk) {
+        this.buffer += chunk.toString('utf8');
+
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 2);
+            this.lines.push(line);
+
+            if (/^\d{3}( |$)/.test(line)) {
+                this.complete();
+            }
+        }
+    }
+
+    complete() {
+        const lines = this.lines;
+        this.lines = [];
+
+        const reply = {
+            code: parseInt(lines[lines.length - 1].slice(0, 3)),
+            lines: lines.map(line => line.slice(4))
+        };
+
+        if (this.waiting) {
+            const { resolve } = this.waiting;
+            this.waiting = null;
+            resolve(reply);
+        } else {
+            this.pending = reply;
+        }
+    }
+
+    fail(error) {
+        this.error = this.error || error;
+        if (this.waiting) {
+            const { reject } = this.waiting;
+            this.waiting = null;
+            reject(this.error);
+        }
+    }
+
+    next() {
+        if (this.pending) {
+            const reply = this.pending;
+            this.pending = null;
+            return Promise.resolve(reply);
+        }
+        if (this.error) return Promise.reject(this.error);
+
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+        });
+    }
+}
+
+class SmtpClient {
+    /**
+     * options: host, port, secure (implicit TLS), starttls, auth { user, pass },
+     * timeout (ms), rejectUnauthorized, name (EHLO hostname)
+     */
+    constructor(options = {}) {
+        this.options = {
+            port: options.secure ? 465 : 587,
+            starttls: true,
+            timeout: 15000,
+            rejectUnauthorized: true,
+            name: os.hostname(),
+            ...options
+        };
+    }
+
+    async send({ from, to, subject, text }) {
+        const recipients = Array.isArray(to) ? to : [to];
+        const session = await this.connect();
+
+        try {
+            await this.expect(session, null, 220);
+            let features = await this.expect(session, `EHLO ${this.options.name}`, 250);
+
+            if (!this.options.secure && this.options.starttls && features.lines.some(l => /^STARTTLS/i.test(l))) {
+                await this.expect(session, 'STARTTLS', 220);
+                await this.upgrade(session);
+                features = await this.expect(session, `EHLO ${this.options.name}`, 250);
+            }
+
+            if (this.options.auth && this.options.auth.user) {
+                const { user, pass } = this.options.auth;
+                const credentials = Buffer.from(`\0${user}\0${pass || ''}`).toString('base64');
+                await this.expect(session, `AUTH PLAIN ${credentials}`, 235);
+            }
+
+            await this.expect(session, `MAIL FROM:<${from}>`, 250);
+            for (const recipient of recipients) {
+                await this.expect(session, `RCPT TO:<${recipient}>`, [250, 251]);
+            }
+
+            await this.expect(session, 'DATA', 354);
+            await this.expect(session, this.buildMessage({ from, to: recipients, subject, text }), 250);
+            await this.expect(session, 'QUIT', 221).catch(() => {});
+        } finally {
+            session.socket.destroy();
+        }
+    }
+
+    connect() {
+        const { host, port, secure, timeout, rejectUnauthorized } = this.options;
+
+        return new Promise((resolve, reject) => {
+            const socket = secure
+                ? tls.connect({ host, port, servername: host, rejectUnauthorized })
+                : net.connect({ host, port });
+
+            socket.setTimeout(timeout, () => socket.destroy(new Error('SMTP connection timed out')));
+            socket.once(secure ? 'secureConnect' : 'connect', () => {
+                resolve({ socket, reader: new ReplyReader(socket) });
+            });
+            socket.once('error', reject);
+        });
+    }
+
+    upgrade(session) {
+        const { host, timeout, rejectUnauthorized } = this.options;
+
+        return new Promise((resolve, reject) => {
+            session.reader.detach();
+
+            const socket = tls.connect({ socket: session.socket, servername: host, rejectUnauthorized }, () => {
+                session.socket = socket;
+                session.reader = new ReplyReader(socket);
+                resolve();
+            });
+            socket.setTimeout(timeout, () => socket.destroy(new Error('SMTP connection timed out')));
+            socket.once('error', reject);
+        });
+    }
+
+    async expect(session, command, codes) {
+        if (command !== null) {
+            session.socket.write(command + '\r\n');
+        }
+
+        const reply = await session.reader.next();
+        const accepted = Array.isArray(codes) ? codes : [codes];
+
+        if (!accepted.includes(reply.code)) {
+            const sent = command && command.startsWith('AUTH') ? 'AUTH' : (command || 'greeting').split('\r\n')[0];
+            throw new Error(`SMTP ${sent} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+
+        return reply;
+    }
+
+    buildMessage({ from, to, subject, text }) {
+        const headers = [
+            `From: ${from}`,
+            `To: ${to.join(', ')}`,
+            `Subject: ${encodeHeader(subject)}`,
+            `Date: ${new Date().toUTCString()}`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: 8bit'
+        ];
+
+        // Dot-stuffing: lines starting with "." get an extra dot
+        const body = String(text || '')
+            .replace(/\r?\n/g, '\r\n')
+            .split('\r\n')
+            .map(line => line.startsWith('.') ? '.' + line : line)
+            .join('\r\n');
+
+        return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.`;
+    }
+}
+
+module.exports = SmtpClient;
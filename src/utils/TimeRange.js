@@ -0,0 +1,30 @@
+// src/utils/TimeRange.js - Durations and Query Timestamps
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Milliseconds from a number or a string such as "500ms", "30s", "5m", "24h" or "7d"; null if unparsable
+function parseDuration(value) {
+    if (typeof value === 'number') return value;
+
+    const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/);
+    if (!match) return null;
+
+    const units = { ms: 1, s: 1000, m: MINUTE, h: HOUR, d: DAY };
+    return Math.round(parseFloat(match[1]) * units[match[2] || 'ms']);
+}
+
+// Epoch ms from a query value: epoch ms, an ISO date, or a duration before now such as "-24h".
+// Missing values give null, unparsable ones NaN.
+function toTimestamp(value) {
+    if (!value) return null;
+    if (value.startsWith('-')) {
+        const duration = parseDuration(value.substring(1));
+        return duration === null ? NaN : Date.now() - duration;
+    }
+    const numeric = Number(value);
+    return isNaN(numeric) ? Date.parse(value) : numeric;
+}
+
+module.exports = { parseDuration, toTimestamp };
@@ -0,0 +1,59 @@
+// tests/CronTime.test.js - Cron expression parsing and next-run calculation
+
+const { nextRun } = require('../src/utils/CronTime');
+
+// Local time, like node-cron
+const at = (year, month, day, hour = 0, minute = 0, second = 0) => new Date(year, month - 1, day, hour, minute, second);
+
+describe('CronTime.nextRun', () => {
+    test('daily at a fixed time, today or tomorrow', () => {
+        expect(nextRun('0 4 * * *', at(2026, 1, 1, 3, 59))).toEqual(at(2026, 1, 1, 4, 0));
+        expect(nextRun('0 4 * * *', at(2026, 1, 1, 4, 0))).toEqual(at(2026, 1, 2, 4, 0));
+    });
+
+    test('steps and ranges', () => {
+        expect(nextRun('*/30 * * * *', at(2026, 1, 1, 10, 5))).toEqual(at(2026, 1, 1, 10, 30));
+        expect(nextRun('*/30 * * * *', at(2026, 1, 1, 10, 45))).toEqual(at(2026, 1, 1, 11, 0));
+        expect(nextRun('0 9-17/4 * * *', at(2026, 1, 1, 14, 0))).toEqual(at(2026, 1, 1, 17, 0));
+        expect(nextRun('5/20 * * * *', at(2026, 1, 1, 10, 6))).toEqual(at(2026, 1, 1, 10, 25));
+    });
+
+    test('lists of values', () => {
+        expect(nextRun('0 6,18 * * *', at(2026, 1, 1, 7, 0))).toEqual(at(2026, 1, 1, 18, 0));
+    });
+
+    test('six fields include seconds', () => {
+        expect(nextRun('*/10 * * * * *', at(2026, 1, 1, 0, 0, 3))).toEqual(at(2026, 1, 1, 0, 0, 10));
+    });
+
+    test('month and weekday names', () => {
+        // 2026-01-01 is a Thursday
+        expect(nextRun('0 12 * * mon', at(2026, 1, 1))).toEqual(at(2026, 1, 5, 12, 0));
+        expect(nextRun('0 0 1 mar *', at(2026, 1, 1))).toEqual(at(2026, 3, 1, 0, 0));
+    });
+
+    test('Sunday is 0 or 7', () => {
+        expect(nextRun('0 0 * * 0', at(2026, 1, 1))).toEqual(at(2026, 1, 4, 0, 0));
+        expect(nextRun('0 0 * * 7', at(2026, 1, 1))).toEqual(at(2026, 1, 4, 0, 0));
+    });
+
+    test('day of month and day of week must both match', () => {
+        // The next Friday the 13th after 2026-01-01 is in February
+        expect(nextRun('0 0 13 * fri', at(2026, 1, 1))).toEqual(at(2026, 2, 13, 0, 0));
+    });
+
+    test('rolls over months and years', () => {
+        expect(nextRun('0 0 31 * *', at(2026, 2, 1))).toEqual(at(2026, 3, 31, 0, 0));
+        expect(nextRun('0 0 1 1 *', at(2026, 6, 15))).toEqual(at(2027, 1, 1, 0, 0));
+    });
+
+    test('invalid expressions throw', () => {
+        expect(() => nextRun('0 4 * *')).toThrow('Invalid cron expression');
+        expect(() => nextRun('0 25 * * *')).toThrow('Invalid cron value');
+        expect(() => nextRun('*/0 * * * *')).toThrow('Invalid cron step');
+    });
+
+    test('dates that never occur give null', () => {
+        expect(nextRun('0 0 30 2 *', at(2026, 1, 1))).toBeNull();
+    });
+});
@@ -0,0 +1,147 @@
+// tests/Matchmaker.test.js - Queue entry selection, team assignment and server start backoff
+
+jest.mock('../src/utils/Logger');
+
+const Matchmaker = require('../src/Matchmaker');
+
+const config = { get: (path, defaultValue) => defaultValue };
+
+function createMatchmaker(sameTeam = true) {
+    const parties = { settings: { sameTeam } };
+    return new Matchmaker(config, {}, {}, {}, parties);
+}
+
+const solo = (player) => ({ player });
+const party = (id, ...members) => ({ party: id, player: members[0], members });
+
+describe('Matchmaker.selectEntries', () => {
+    const matchmaker = createMatchmaker();
+
+    test('takes entries in queue order up to the capacity', () => {
+        const queue = [solo('a'), solo('b'), solo('c')];
+
+        expect(matchmaker.selectEntries(queue, 2)).toEqual({ entries: [solo('a'), solo('b')], players: 2 });
+    });
+
+    test('counts a party as all of its members', () => {
+        const queue = [party('p1', 'a', 'b', 'c'), solo('d')];
+
+        expect(matchmaker.selectEntries(queue, 4).players).toBe(4);
+    });
+
+    test('skips a party that does not fit and keeps filling with later entries', () => {
+        const queue = [solo('a'), party('p1', 'b', 'c', 'd'), solo('e')];
+
+        const selection = matchmaker.selectEntries(queue, 3);
+        expect(selection.entries).toEqual([solo('a'), solo('e')]);
+        expect(selection.players).toBe(2);
+    });
+
+    test('returns nothing for an empty queue', () => {
+        expect(matchmaker.selectEntries([], 8)).toEqual({ entries: [], players: 0 });
+    });
+});
+
+describe('Matchmaker.assignTeams', () => {
+    test('returns null for games without teams', () => {
+        expect(createMatchmaker().assignTeams([solo('a')], { min: 1, max: 8, teams: null })).toBeNull();
+    });
+
+    test('spreads solo players evenly', () => {
+        const teams = createMatchmaker().assignTeams(['a', 'b', 'c', 'd'].map(solo), { max: 4, teams: 2 });
+
+        expect(teams.map(team => team.length)).toEqual([2, 2]);
+        expect(teams.flat().sort()).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    test('keeps a party on one team when sameTeam is on', () => {
+        const entries = [solo('a'), party('p1', 'b', 'c'), solo('d')];
+        const teams = createMatchmaker(true).assignTeams(entries, { max: 4, teams: 2 });
+
+        expect(teams.some(team => team.includes('b') && team.includes('c'))).toBe(true);
+        expect(teams.map(team => team.length)).toEqual([2, 2]);
+    });
+
+    test('places larger parties first', () => {
+        const entries = [solo('a'), solo('b'), party('p1', 'c', 'd', 'e')];
+        const teams = createMatchmaker(true).assignTeams(entries, { max: 6, teams: 2 });
+
+        expect(teams.find(team => team.includes('c'))).toEqual(['c', 'd', 'e']);
+        expect(teams.find(team => team.includes('a'))).toEqual(['a', 'b']);
+    });
+
+    test('splits a party larger than a team', () => {
+        const entries = [party('p1', 'a', 'b', 'c')];
+        const teams = createMatchmaker(true).assignTeams(entries, { max: 4, teams: 2 });
+
+        expect(teams.map(team => team.length).sort()).toEqual([1, 2]);
+    });
+
+    test('splits parties when sameTeam is off', () => {
+        const entries = [party('p1', 'a', 'b'), party('p2', 'c', 'd')];
+        const teams = createMatchmaker(false).assignTeams(entries, { max: 4, teams: 2 });
+
+        expect(teams.every(team => team.length === 2)).toBe(true);
+        expect(teams.some(team => team.includes('a') && team.includes('b'))).toBe(false);
+    });
+});
+
+describe('Matchmaker.startServer', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    function createWithPool(handleServerRequest) {
+        const matchmaker = createMatchmaker();
+        matchmaker.pool = { handleServerRequest };
+        return matchmaker;
+    }
+
+    test('backs off exponentially while starts fail', async () => {
+        const handleServerRequest = jest.fn().mockResolvedValue(null);
+        const matchmaker = createWithPool(handleServerRequest);
+
+        expect(await matchmaker.startServer('duels', { id: 'm1' })).toBeNull();
+        expect(await matchmaker.startServer('duels', { id: 'm2' })).toBeNull();
+        expect(handleServerRequest).toHaveBeenCalledTimes(1);
+
+        // First retry after 2 x interval, the next after 4 x interval
+        jest.advanceTimersByTime(4000);
+        await matchmaker.startServer('duels', { id: 'm3' });
+        expect(handleServerRequest).toHaveBeenCalledTimes(2);
+
+        jest.advanceTimersByTime(7999);
+        await matchmaker.startServer('duels', { id: 'm4' });
+        expect(handleServerRequest).toHaveBeenCalledTimes(2);
+
+        jest.advanceTimersByTime(1);
+        await matchmaker.startServer('duels', { id: 'm5' });
+        expect(handleServerRequest).toHaveBeenCalledTimes(3);
+    });
+
+    test('does not hold back other game types', async () => {
+        const handleServerRequest = jest.fn().mockResolvedValue(null);
+        const matchmaker = createWithPool(handleServerRequest);
+
+        await matchmaker.startServer('duels', { id: 'm1' });
+        await matchmaker.startServer('skywars', { id: 'm2' });
+
+        expect(handleServerRequest).toHaveBeenCalledTimes(2);
+    });
+
+    test('a successful start clears the backoff', async () => {
+        const server = { id: 'duels-1' };
+        const handleServerRequest = jest.fn().mockResolvedValueOnce(null).mockResolvedValue(server);
+        const matchmaker = createWithPool(handleServerRequest);
+
+        await matchmaker.startServer('duels', { id: 'm1' });
+        jest.advanceTimersByTime(4000);
+        expect(await matchmaker.startServer('duels', { id: 'm2' })).toBe(server);
+        expect(matchmaker.startFailures.has('duels')).toBe(false);
+    });
+});
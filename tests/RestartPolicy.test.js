@@ -0,0 +1,113 @@
+// tests/RestartPolicy.test.js - Restart limits within the sliding window and exponential backoff
+
+jest.mock('../src/utils/Logger');
+
+const RestartPolicy = require('../src/RestartPolicy');
+
+function createPolicy(autoRestart = {}) {
+    const config = {
+        get: (path, defaultValue) => path === 'features.autoRestart'
+            ? { maxRetries: 3, retryDelay: 1000, maxDelay: 3000, window: 60000, ...autoRestart }
+            : defaultValue
+    };
+    return new RestartPolicy(config);
+}
+
+describe('RestartPolicy', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('doubles the delay per attempt up to maxDelay', () => {
+        const policy = createPolicy({ maxRetries: 5 });
+        const delays = [];
+
+        for (let i = 0; i < 4; i++) {
+            delays.push(policy.handleCrash('hub', 1, () => {}).delay);
+        }
+
+        expect(delays).toEqual([1000, 2000, 3000, 3000]);
+        policy.stop();
+    });
+
+    test('runs the restart after the delay', async () => {
+        const policy = createPolicy();
+        const restart = jest.fn();
+
+        policy.handleCrash('hub', 1, restart);
+        await jest.advanceTimersByTimeAsync(999);
+        expect(restart).not.toHaveBeenCalled();
+
+        await jest.advanceTimersByTimeAsync(1);
+        expect(restart).toHaveBeenCalledTimes(1);
+    });
+
+    test('cancel drops a pending restart', () => {
+        const policy = createPolicy();
+        const restart = jest.fn();
+
+        policy.handleCrash('hub', 1, restart);
+        policy.cancel('hub');
+        jest.advanceTimersByTime(10000);
+
+        expect(restart).not.toHaveBeenCalled();
+        expect(policy.getState('hub').nextRestartAt).toBeNull();
+    });
+
+    test('marks the server failed once maxRetries restarts fall within the window', () => {
+        const policy = createPolicy();
+        const alert = jest.fn();
+        policy.on('alert', alert);
+
+        for (let i = 0; i < 3; i++) {
+            expect(policy.handleCrash('hub', 1, () => {}).restart).toBe(true);
+        }
+
+        expect(policy.handleCrash('hub', 1, () => {})).toEqual({ restart: false, failed: true });
+        expect(policy.isFailed('hub')).toBe(true);
+        expect(alert).toHaveBeenCalledWith(expect.objectContaining({ id: 'hub', type: 'restartLimitReached', restarts: 3 }));
+
+        // Stays failed until reset
+        expect(policy.handleCrash('hub', 1, () => {})).toEqual({ restart: false, failed: true });
+        policy.stop();
+    });
+
+    test('restarts older than the window no longer count', () => {
+        const policy = createPolicy();
+
+        policy.handleCrash('hub', 1, () => {});
+        policy.handleCrash('hub', 1, () => {});
+        jest.advanceTimersByTime(60000);
+
+        const result = policy.handleCrash('hub', 1, () => {});
+        expect(result).toMatchObject({ restart: true, attempt: 1, delay: 1000 });
+        expect(policy.getState('hub').recentRestarts).toBe(1);
+        policy.stop();
+    });
+
+    test('reset clears a failed server but keeps the lifetime count', () => {
+        const policy = createPolicy({ maxRetries: 1 });
+
+        policy.handleCrash('hub', 1, () => {});
+        policy.handleCrash('hub', 1, () => {});
+        expect(policy.isFailed('hub')).toBe(true);
+
+        expect(policy.reset('hub')).toBe(true);
+        expect(policy.isFailed('hub')).toBe(false);
+        expect(policy.getRestartCount('hub')).toBe(1);
+        expect(policy.handleCrash('hub', 1, () => {}).restart).toBe(true);
+        policy.stop();
+    });
+
+    test('does nothing when auto-restart is disabled', () => {
+        const policy = createPolicy({ enabled: false });
+
+        expect(policy.handleCrash('hub', 1, () => {})).toEqual({ restart: false, failed: false });
+        expect(policy.getRestartCount('hub')).toBe(0);
+    });
+});
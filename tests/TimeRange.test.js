@@ -0,0 +1,43 @@
+// tests/TimeRange.test.js - Duration parsing and query timestamps
+
+const { parseDuration, toTimestamp } = require('../src/utils/TimeRange');
+
+describe('TimeRange.parseDuration', () => {
+    test('units and plain milliseconds', () => {
+        expect(parseDuration('500')).toBe(500);
+        expect(parseDuration('30s')).toBe(30000);
+        expect(parseDuration('1.5m')).toBe(90000);
+        expect(parseDuration('7d')).toBe(7 * 24 * 60 * 60 * 1000);
+        expect(parseDuration(250)).toBe(250);
+    });
+
+    test('unparsable values give null', () => {
+        expect(parseDuration('soon')).toBeNull();
+        expect(parseDuration('5w')).toBeNull();
+        expect(parseDuration('')).toBeNull();
+    });
+});
+
+describe('TimeRange.toTimestamp', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-01-02T00:00:00Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('epoch ms, ISO dates and durations before now', () => {
+        expect(toTimestamp('1767225600000')).toBe(1767225600000);
+        expect(toTimestamp('2026-01-01T00:00:00Z')).toBe(Date.parse('2026-01-01T00:00:00Z'));
+        expect(toTimestamp('-24h')).toBe(Date.parse('2026-01-01T00:00:00Z'));
+    });
+
+    test('missing values give null and unparsable ones NaN', () => {
+        expect(toTimestamp(undefined)).toBeNull();
+        expect(toTimestamp('')).toBeNull();
+        expect(toTimestamp('yesterday')).toBeNaN();
+        expect(toTimestamp('-soon')).toBeNaN();
+    });
+});
@@ -0,0 +1,31 @@
+// tests/auth.test.js - Password hashing and verification
+
+jest.mock('../src/utils/Logger');
+
+const { hashPassword, verifyPassword } = require('../api/middleware/auth');
+
+describe('auth.verifyPassword', () => {
+    test('accepts the password a hash was made from', () => {
+        const user = { passwordHash: hashPassword('secret') };
+
+        expect(verifyPassword('secret', user)).toBe(true);
+        expect(verifyPassword('Secret', user)).toBe(false);
+        expect(verifyPassword('', user)).toBe(false);
+    });
+
+    test('rejects malformed hashes for any password', () => {
+        for (const passwordHash of ['scrypt:salt:', 'scrypt:salt:zz', 'scrypt:salt:abc', 'scrypt::abcd', 'bcrypt:salt:abcd', 'scrypt']) {
+            expect(verifyPassword('', { passwordHash })).toBe(false);
+            expect(verifyPassword('anything', { passwordHash })).toBe(false);
+        }
+    });
+
+    test('compares plain passwords exactly', () => {
+        expect(verifyPassword('secret', { password: 'secret' })).toBe(true);
+        expect(verifyPassword('secre', { password: 'secret' })).toBe(false);
+    });
+
+    test('users without a password never match', () => {
+        expect(verifyPassword('', {})).toBe(false);
+    });
+});
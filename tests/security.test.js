@@ -0,0 +1,60 @@
+// tests/security.test.js - IP allowlist entry matching
+
+jest.mock('../src/utils/Logger');
+
+const Logger = require('../src/utils/Logger');
+const { matchesEntry } = require('../api/middleware/security');
+
+describe('security.matchesEntry', () => {
+    test('wildcard and localhost', () => {
+        expect(matchesEntry('203.0.113.9', '*')).toBe(true);
+        expect(matchesEntry('127.0.0.1', 'localhost')).toBe(true);
+        expect(matchesEntry('::1', 'localhost')).toBe(true);
+        expect(matchesEntry('10.0.0.1', 'localhost')).toBe(false);
+    });
+
+    test('exact addresses, with or without the IPv4-mapped prefix', () => {
+        expect(matchesEntry('192.168.1.10', '192.168.1.10')).toBe(true);
+        expect(matchesEntry('192.168.1.10', '::ffff:192.168.1.10')).toBe(true);
+        expect(matchesEntry('192.168.1.11', '192.168.1.10')).toBe(false);
+    });
+
+    test('CIDR ranges', () => {
+        expect(matchesEntry('10.1.2.3', '10.0.0.0/8')).toBe(true);
+        expect(matchesEntry('11.0.0.1', '10.0.0.0/8')).toBe(false);
+        expect(matchesEntry('192.168.1.255', '192.168.1.0/24')).toBe(true);
+        expect(matchesEntry('192.168.2.0', '192.168.1.0/24')).toBe(false);
+        expect(matchesEntry('172.31.255.255', '172.16.0.0/12')).toBe(true);
+        expect(matchesEntry('172.32.0.0', '172.16.0.0/12')).toBe(false);
+    });
+
+    test('host bits in the range are ignored', () => {
+        expect(matchesEntry('192.168.1.7', '192.168.1.100/24')).toBe(true);
+    });
+
+    test('/32 matches one address and /0 matches all', () => {
+        expect(matchesEntry('8.8.8.8', '8.8.8.8/32')).toBe(true);
+        expect(matchesEntry('8.8.8.9', '8.8.8.8/32')).toBe(false);
+        expect(matchesEntry('8.8.8.9', '0.0.0.0/0')).toBe(true);
+    });
+
+    test('IPv6 clients and malformed ranges never match a CIDR entry', () => {
+        expect(matchesEntry('2001:db8::1', '10.0.0.0/8')).toBe(false);
+        expect(matchesEntry('10.0.0.1', '10.0.0/8')).toBe(false);
+        expect(matchesEntry('10.0.0.1', '10.0.0.0/abc')).toBe(false);
+        expect(matchesEntry('10.0.0.1', '300.0.0.0/8')).toBe(false);
+    });
+
+    test('masks outside 0-32 never match and are logged once', () => {
+        const logger = Logger.mock.instances[0];
+
+        expect(matchesEntry('10.0.0.1', '10.0.0.0/33')).toBe(false);
+        expect(matchesEntry('10.0.0.1', '10.0.0.0/33')).toBe(false);
+        expect(matchesEntry('10.0.0.1', '10.0.0.0/-1')).toBe(false);
+        expect(matchesEntry('10.0.0.1', '10.0.0.0/')).toBe(false);
+
+        const warned = logger.warn.mock.calls.map(([message]) => message);
+        expect(warned.filter(message => message.includes('10.0.0.0/33'))).toHaveLength(1);
+        expect(warned.some(message => message.includes('10.0.0.0/-1'))).toBe(true);
+    });
+});